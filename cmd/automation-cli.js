@@ -10,10 +10,29 @@ const { program } = require('commander');
 const {
     addrs,
     generateIds,
+    getNameId,
+    nullAddress,
 } = require('../test/utils');
+const { getSubHash, getLatestSubEvent } = require('../test/utils-strategies');
+const { getStrategyDefinitions, compileStrategyDefinition } = require('../scripts/utils/strategy-compiler');
+
+const {
+    formatParamMapping,
+    describeStrategy,
+    renderStrategy,
+    renderBundle,
+    getSubSlots,
+    decodeSubData,
+    decodeTriggerData,
+    formatSource,
+} = require('../scripts/utils/strategy-decoder');
+const { decodeExecuteStrategyCall, decodeStrategyExecution } = require('../scripts/utils/execution-decoder');
 
 const strategyStorageAbi = require('../artifacts/contracts/core/strategy/StrategyStorage.sol/StrategyStorage.json').abi;
 const bundleStorageAbi = require('../artifacts/contracts/core/strategy/BundleStorage.sol/BundleStorage.json').abi;
+const subStorageAbi = require('../artifacts/contracts/core/strategy/SubStorage.sol/SubStorage.json').abi;
+const registryAbi = require('../artifacts/contracts/core/DFSRegistry.sol/DFSRegistry.json').abi;
+const proxyRegistryAbi = require('../artifacts/contracts/interfaces/IProxyRegistry.sol/IProxyRegistry.json').abi;
 
 let network = 'mainnet';
 
@@ -28,7 +47,18 @@ const setStrategyAndBundleContracts = async (options) => {
 
     const bundleStorage = new ethers.Contract(addrs[network].BUNDLE_STORAGE_ADDR, bundleStorageAbi, provider);
 
-    return { strategyStorage, bundleStorage };
+    return { strategyStorage, bundleStorage, provider };
+};
+
+const setSubStorage = async (options) => {
+    const contracts = await setStrategyAndBundleContracts(options);
+
+    const registry = new ethers.Contract(addrs[network].REGISTRY_ADDR, registryAbi, contracts.provider);
+    const subStorageAddr = await registry.getAddr(getNameId('SubStorage'));
+
+    const subStorage = new ethers.Contract(subStorageAddr, subStorageAbi, contracts.provider);
+
+    return { ...contracts, subStorage };
 };
 
 const getStrategy = async (id, options) => {
@@ -65,20 +95,7 @@ const getAllStrategies = async (options) => {
             isContinuous: strategy.continuous,
             triggerIds: strategy.triggerIds.map((triggerId) => idsMap[triggerId]?.fileName?.toString()),
             actionIds: strategy.actionIds.map((actionId) => idsMap[actionId]?.fileName?.toString()),
-            paramMapping: strategy.paramMapping.map((param) => param.map((p) => {
-                if (p === 254) return '&proxy';
-                if (p === 255) return '&eoa';
-
-                if (p <= 127 && p > 0) {
-                    return `$${p}`;
-                }
-
-                if (p >= 128 && p <= 253) {
-                    return `&${p - 127}`;
-                }
-
-                return p;
-            })),
+            paramMapping: strategy.paramMapping.map((param) => param.map(formatParamMapping)),
         };
 
         if (strategyInBundleMap[index] !== undefined) {
@@ -94,6 +111,368 @@ const getAllStrategies = async (options) => {
     console.log(`Strategies written to ${filePath}`);
 };
 
+const describeStrategyCmd = async (id, options) => {
+    const { strategyStorage } = await setStrategyAndBundleContracts(options);
+
+    const strategy = await strategyStorage.getStrategy(id);
+    const description = describeStrategy(Number(id), strategy, generateIds());
+
+    console.log(renderStrategy(description, options.format));
+};
+
+const describeBundleCmd = async (id, options) => {
+    const { strategyStorage, bundleStorage } = await setStrategyAndBundleContracts(options);
+
+    const bundle = await bundleStorage.getBundle(id);
+    const idsMap = generateIds();
+
+    const descriptions = [];
+    for (let i = 0; i < bundle.strategyIds.length; i++) {
+        const strategyId = bundle.strategyIds[i].toNumber();
+        // eslint-disable-next-line no-await-in-loop
+        const strategy = await strategyStorage.getStrategy(strategyId);
+
+        descriptions.push(describeStrategy(strategyId, strategy, idsMap));
+    }
+
+    console.log(renderBundle(Number(id), descriptions, options.format));
+};
+
+// a contract is treated as a wallet, for an EOA we look up its DSProxy
+const getWalletForAddress = async (addr, provider) => {
+    const code = await provider.getCode(addr);
+
+    if (code !== '0x') return addr;
+
+    const proxyRegistry = new ethers.Contract(addrs[network].PROXY_REGISTRY, proxyRegistryAbi, provider);
+    const proxyAddr = await proxyRegistry.proxies(addr);
+
+    return proxyAddr === nullAddress ? null : proxyAddr;
+};
+
+const getSubInfo = async (subId, contracts) => {
+    const { subStorage, strategyStorage, bundleStorage } = contracts;
+
+    const storedSub = await subStorage.getSub(subId);
+    const lastEvent = await getLatestSubEvent(subStorage, subId);
+
+    const info = {
+        subId: Number(subId),
+        walletAddr: ethers.utils.getAddress(storedSub.walletAddr),
+        isEnabled: storedSub.isEnabled,
+        storedHash: storedSub.strategySubHash,
+    };
+
+    if (!lastEvent) return info;
+
+    const strategySub = lastEvent.args.subStruct;
+
+    info.lastUpdate = { blockNumber: lastEvent.blockNumber, txHash: lastEvent.transactionHash };
+    info.strategySub = strategySub;
+    info.isHashMatching = getSubHash(strategySub) === storedSub.strategySubHash;
+
+    const strategyIds = strategySub.isBundle
+        ? (await bundleStorage.getBundle(strategySub.strategyOrBundleId)).strategyIds.map((id) => id.toNumber())
+        : [strategySub.strategyOrBundleId.toNumber()];
+
+    info.strategies = [];
+    for (let i = 0; i < strategyIds.length; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        const strategy = await strategyStorage.getStrategy(strategyIds[i]);
+        info.strategies.push(describeStrategy(strategyIds[i], strategy, contracts.idsMap));
+    }
+
+    return info;
+};
+
+const formatSubTarget = (info) => {
+    if (!info.strategySub) return 'unknown';
+
+    const names = info.strategies.map((s) => `${s.id} ${s.name}`).join(', ');
+
+    if (info.strategySub.isBundle) return `bundle ${info.strategySub.strategyOrBundleId} (${names})`;
+
+    return `strategy ${names}`;
+};
+
+const formatHashCheck = (info) => {
+    if (!info.strategySub) return `${info.storedHash} (no Subscribe/UpdateData event found)`;
+
+    return `${info.storedHash} (${info.isHashMatching ? 'matches' : 'DOES NOT MATCH'} latest sub data)`;
+};
+
+const listSubs = async (walletOrOwner, options) => {
+    const contracts = await setSubStorage(options);
+    contracts.idsMap = generateIds();
+
+    const walletAddr = await getWalletForAddress(walletOrOwner, contracts.provider);
+
+    if (!walletAddr) {
+        console.log(`No wallet found for ${walletOrOwner}`);
+        return;
+    }
+
+    const events = await contracts.subStorage.queryFilter(contracts.subStorage.filters.Subscribe(null, walletAddr));
+
+    console.log(`Wallet ${walletAddr} has ${events.length} subs`);
+
+    for (let i = 0; i < events.length; i++) {
+        // eslint-disable-next-line no-await-in-loop
+        const info = await getSubInfo(events[i].args.subId, contracts);
+
+        const flags = [info.isEnabled ? 'active' : 'inactive'];
+        if (!info.isHashMatching) flags.push('hash mismatch');
+
+        console.log(`  Sub #${info.subId}: ${formatSubTarget(info)} [${flags.join(', ')}]`);
+    }
+};
+
+const getSub = async (subId, options) => {
+    const contracts = await setSubStorage(options);
+    contracts.idsMap = generateIds();
+
+    const info = await getSubInfo(subId, contracts);
+
+    console.log(`Sub #${info.subId}`);
+    console.log(`  Wallet:   ${info.walletAddr}`);
+    console.log(`  Active:   ${info.isEnabled ? 'yes' : 'no'}`);
+    console.log(`  Target:   ${formatSubTarget(info)}`);
+    console.log(`  Sub hash: ${formatHashCheck(info)}`);
+
+    if (!info.strategySub) return;
+
+    console.log(`  Last update: block ${info.lastUpdate.blockNumber} tx ${info.lastUpdate.txHash}`);
+
+    // all strategies in a bundle have the same triggers
+    const { triggers } = info.strategies[0];
+
+    console.log('  Triggers:');
+    info.strategySub.triggerData.forEach((triggerData, i) => {
+        const trigger = triggers[i];
+        const decoded = trigger ? decodeTriggerData(triggerData, trigger) : null;
+
+        console.log(`    #${i + 1} ${trigger?.name || 'unknown trigger'}`);
+
+        if (!decoded) {
+            console.log(`        ${triggerData}`);
+            return;
+        }
+
+        decoded.forEach(({ name, value }) => {
+            console.log(`        ${name} = ${value}`);
+        });
+    });
+
+    console.log('  Sub data:');
+    decodeSubData(info.strategySub.subData, getSubSlots(info.strategies)).forEach((slot) => {
+        const usedBy = slot.usedBy.length > 0 ? ` -> ${[...new Set(slot.usedBy)].join(', ')}` : '';
+        const value = slot.value !== slot.raw ? ` = ${slot.value}` : '';
+
+        console.log(`    [${slot.index}] ${slot.raw}${value}${usedBy}`);
+    });
+};
+
+// nested params are flattened to exchangeData.srcAmount, arrays of structs to tokens[0].addr
+const flattenParams = (value, prefix) => {
+    if (Array.isArray(value) && value.some((v) => typeof v === 'object')) {
+        return value.flatMap((v, i) => flattenParams(v, `${prefix}[${i}]`));
+    }
+
+    if (Array.isArray(value)) return [[prefix, `[${value.join(', ')}]`]];
+
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, v]) => flattenParams(v, prefix ? `${prefix}.${key}` : key));
+    }
+
+    return [[prefix, value]];
+};
+
+const decodeExecution = async (txHashOrCallData, options) => {
+    const contracts = await setSubStorage(options);
+    const { subStorage, strategyStorage, bundleStorage } = contracts;
+
+    let callData = txHashOrCallData;
+    let tx;
+
+    if (/^0x[0-9a-fA-F]{64}$/.test(txHashOrCallData)) {
+        tx = await contracts.provider.getTransaction(txHashOrCallData);
+
+        if (!tx) {
+            console.log(`Transaction ${txHashOrCallData} not found on ${network}`);
+            return;
+        }
+
+        callData = tx.data;
+    }
+
+    const execution = decodeExecuteStrategyCall(callData);
+
+    console.log(`Sub #${execution.subId}, strategy index ${execution.strategyIndex} (${execution.isL2 ? 'StrategyExecutorL2' : 'StrategyExecutor'})`);
+
+    if (tx) {
+        const receipt = await contracts.provider.getTransactionReceipt(tx.hash);
+        const status = receipt ? ` ${receipt.status === 1 ? 'succeeded' : 'reverted'}` : ' pending';
+
+        console.log(`  Tx: ${tx.hash} from ${tx.from} in block ${tx.blockNumber}${status}`);
+    }
+
+    // sub as it was when the tx was sent, for raw call data the current one
+    const lastEvent = await getLatestSubEvent(subStorage, execution.subId, tx?.blockNumber || 'latest');
+    const eventSub = lastEvent?.args.subStruct;
+    const strategySub = execution.strategySub || eventSub;
+
+    if (lastEvent) {
+        const hashCheck = execution.strategySub
+            ? `, ${getSubHash(execution.strategySub) === getSubHash(eventSub) ? 'matches' : 'DOES NOT MATCH'} the sub in call data`
+            : '';
+
+        console.log(`  Sub from ${lastEvent.event} in block ${lastEvent.blockNumber} tx ${lastEvent.transactionHash}${hashCheck}`);
+    }
+
+    if (!strategySub) {
+        console.log('  No Subscribe/UpdateData event found for the sub');
+        return;
+    }
+
+    const strategyId = strategySub.isBundle
+        ? (await bundleStorage.getStrategyId(strategySub.strategyOrBundleId, execution.strategyIndex)).toNumber()
+        : strategySub.strategyOrBundleId.toNumber();
+
+    const strategy = await strategyStorage.getStrategy(strategyId);
+    const decoded = decodeStrategyExecution(execution, strategyId, strategy, generateIds());
+
+    const target = strategySub.isBundle ? `bundle ${strategySub.strategyOrBundleId} -> ` : '';
+    console.log(`  Strategy: ${target}${strategyId} ${decoded.strategyName}`);
+
+    console.log('  Triggers:');
+    decoded.triggers.forEach((trigger, i) => {
+        console.log(`    #${i + 1} ${trigger.name}`);
+
+        if (!trigger.params) {
+            console.log(`        ${trigger.raw}`);
+            return;
+        }
+
+        flattenParams(trigger.params, '').forEach(([name, value]) => console.log(`        ${name} = ${value}`));
+    });
+
+    console.log('  Actions:');
+    decoded.actions.forEach((action, i) => {
+        console.log(`    #${i + 1} ${action.name}`);
+
+        if (!action.params) {
+            console.log(`        ${action.raw}`);
+            return;
+        }
+
+        flattenParams(action.params, '').forEach(([name, value]) => {
+            const injected = action.injected[name] ? ` <- ${formatSource(action.injected[name], decoded.actions)}` : '';
+
+            console.log(`        ${name} = ${value}${injected}`);
+        });
+    });
+};
+
+// builders taking args (e.g. the close strategy bases) are only helpers for other builders
+const getLocalStrategies = (networkName, idsMap) => {
+    const encoded = getStrategyDefinitions(networkName).map((definition) => ({
+        source: `scripts/strategies/${definition.name}.json`,
+        strategyData: compileStrategyDefinition(definition),
+        isContinuous: definition.continuous,
+    }));
+
+    // same shape as the strategies written by sync-strategies
+    return encoded.map(({ source, strategyData, isContinuous }) => {
+        const [name, triggerIds, actionIds, paramMapping] = strategyData;
+
+        return {
+            source,
+            name,
+            isContinuous,
+            triggerIds: triggerIds.map((triggerId) => idsMap[triggerId]?.fileName?.toString()),
+            actionIds: actionIds.map((actionId) => idsMap[actionId]?.fileName?.toString()),
+            paramMapping: paramMapping.map((param) => param.map(formatParamMapping)),
+        };
+    });
+};
+
+const getStrategyDifferences = (local, onchain) => {
+    const differences = [];
+    const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    if (!isSame(local.triggerIds, onchain.triggerIds)) {
+        differences.push(`triggers: local [${local.triggerIds}], on-chain [${onchain.triggerIds}]`);
+    }
+
+    if (!isSame(local.actionIds, onchain.actionIds)) {
+        differences.push(`actions: local [${local.actionIds}], on-chain [${onchain.actionIds}]`);
+    } else {
+        local.paramMapping.forEach((mapping, i) => {
+            if (!isSame(mapping, onchain.paramMapping[i])) {
+                differences.push(`paramMapping of #${i + 1} ${local.actionIds[i]}: local [${mapping}], on-chain [${onchain.paramMapping[i]}]`);
+            }
+        });
+    }
+
+    // only strategy definitions know if the strategy is continuous
+    if (local.isContinuous !== undefined && local.isContinuous !== onchain.isContinuous) {
+        differences.push(`continuous: local ${local.isContinuous}, on-chain ${onchain.isContinuous}`);
+    }
+
+    return differences;
+};
+
+const diffStrategies = async (options) => {
+    network = options.network.length === 0 ? 'mainnet' : options.network;
+
+    const filePath = path.join(__dirname, '..', 'addresses', 'strategies', `${network}.json`);
+
+    if (!fs.existsSync(filePath)) {
+        console.log(`No ${filePath}, run sync-strategies -n ${network} first`);
+        return;
+    }
+
+    const onchainStrategies = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const localStrategies = getLocalStrategies(network, generateIds());
+
+    const identical = [];
+    const different = [];
+    const notDeployed = [];
+
+    localStrategies.forEach((local) => {
+        const sameName = onchainStrategies.filter((s) => s.name === local.name);
+        const matching = onchainStrategies.filter((s) => getStrategyDifferences(local, s).length === 0);
+
+        if (matching.length > 0) {
+            identical.push({ local, ids: matching.map((s) => s.id) });
+        } else if (sameName.length > 0) {
+            // compare with the latest deployed version
+            const onchain = sameName.at(-1);
+            different.push({ local, onchain, differences: getStrategyDifferences(local, onchain) });
+        } else {
+            notDeployed.push({ local });
+        }
+    });
+
+    console.log(`Network ${network}: ${localStrategies.length} local strategies, ${onchainStrategies.length} on-chain`);
+
+    console.log(`\nIdentical (${identical.length}):`);
+    identical.forEach(({ local, ids }) => {
+        console.log(`  ${local.name} (${local.source}) -> id ${ids.join(', ')}`);
+    });
+
+    console.log(`\nDifferent (${different.length}):`);
+    different.forEach(({ local, onchain, differences }) => {
+        console.log(`  ${local.name} (${local.source}) vs id ${onchain.id}:`);
+        differences.forEach((difference) => console.log(`      ${difference}`));
+    });
+
+    console.log(`\nNever deployed (${notDeployed.length}):`);
+    notDeployed.forEach(({ local }) => {
+        console.log(`  ${local.name} (${local.source})`);
+    });
+};
+
 (async () => {
     program
         .command('get-strategy <id>')
@@ -113,5 +492,61 @@ const getAllStrategies = async (options) => {
             process.exit(0);
         });
 
+    program
+        .command('describe-strategy <id>')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .option('-f, --format <format>', 'Output format, text or markdown', 'text')
+        .description('Prints a strategy as a pipeline of triggers and actions with their param mappings')
+        .action(async (id, options) => {
+            await describeStrategyCmd(id, options);
+            process.exit(0);
+        });
+
+    program
+        .command('describe-bundle <id>')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .option('-f, --format <format>', 'Output format, text or markdown', 'text')
+        .description('Prints all strategies in a bundle as pipelines of triggers and actions')
+        .action(async (id, options) => {
+            await describeBundleCmd(id, options);
+            process.exit(0);
+        });
+
+    program
+        .command('diff-strategies')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .description('Compares local strategies with the ones in addresses/strategies/<network>.json')
+        .action(async (options) => {
+            await diffStrategies(options);
+            process.exit(0);
+        });
+
+    program
+        .command('subs <address>')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .description('Lists subs of a wallet, or of the DSProxy owned by the address')
+        .action(async (address, options) => {
+            await listSubs(address, options);
+            process.exit(0);
+        });
+
+    program
+        .command('get-sub <subId>')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .description('Shows a sub with decoded trigger and sub data and checks its stored hash')
+        .action(async (subId, options) => {
+            await getSub(subId, options);
+            process.exit(0);
+        });
+
+    program
+        .command('decode-execution <txHashOrCallData>')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .description('Decodes an executeStrategy tx or call data into named trigger and action params')
+        .action(async (txHashOrCallData, options) => {
+            await decodeExecution(txHashOrCallData, options);
+            process.exit(0);
+        });
+
     program.parse(process.argv);
 })();
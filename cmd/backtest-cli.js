@@ -0,0 +1,51 @@
+/* eslint-disable max-len */
+const fs = require('fs');
+const { program } = require('commander');
+
+const { PROTOCOLS, loadPriceSeries, compareParamSets } = require('../scripts/utils/ratio-backtester');
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp * 1000).toISOString().slice(0, 10) : '-');
+
+const runBacktest = async (configFile, priceFile, options) => {
+    const {
+        protocol, position, paramSets, costs,
+    } = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+    const series = loadPriceSeries(priceFile);
+    const results = compareParamSets(protocol, position, paramSets, series, costs);
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ protocol, position, results }, null, 2));
+        return;
+    }
+
+    console.log(`${PROTOCOLS[protocol].trigger} bundle, ${series.length} prices from ${formatDate(series[0].timestamp)} to ${formatDate(series[series.length - 1].timestamp)}`);
+    console.log(`Liquidation ratio ${results[0].liquidationRatio.toFixed(2)}%`);
+
+    console.table(results.map(({ params, ...result }) => ({
+        min: params.minRatio,
+        repayTo: params.targetRepayRatio,
+        boostTo: params.boostEnabled ? params.targetBoostRatio : '-',
+        max: params.boostEnabled ? params.maxRatio : '-',
+        repays: result.repays,
+        boosts: result.boosts,
+        gasFees: +result.gasFees.toFixed(2),
+        swapFees: +result.swapFees.toFixed(2),
+        lowestRatio: +result.lowestRatio.toFixed(2),
+        liquidated: formatDate(result.liquidatedAt),
+        netValue: +result.netValue.toFixed(2),
+    })));
+};
+
+(async () => {
+    program
+        .command('run <configFile> <priceFile>')
+        .option('-f, --format <format>', 'Output format, table or json', 'table')
+        .description('Replays a price series (json or csv with timestamp,price[,gasPrice,ethPrice]) against a position for every param set in the config')
+        .action(async (configFile, priceFile, options) => {
+            await runBacktest(configFile, priceFile, options);
+            process.exit(0);
+        });
+
+    program.parse(process.argv);
+})();
@@ -4,7 +4,7 @@
 /* eslint-disable import/no-extraneous-dependencies */
 const path = require('path');
 const fs = require('fs');
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const hre = require('hardhat');
 require('dotenv-safe').config();
 const {
@@ -22,7 +22,7 @@ const {
 } = require('envfile');
 
 const {
-    createFork, topUp, chainIds,
+    createFork, topUp, impersonate, isTenderlyFork, chainIds,
 } = require('../scripts/utils/fork');
 
 const {
@@ -51,6 +51,7 @@ const {
     getContractFromRegistry,
     filterEthersObject,
     setBalance,
+    executeTxFromProxy,
 } = require('../test/utils');
 
 const {
@@ -86,11 +87,28 @@ const {
 const { subAaveV3L2AutomationStrategy, updateAaveV3L2AutomationStrategy, subAaveV3CloseBundle } = require('../test/l2-strategy-subs');
 
 const { deployContract } = require('../scripts/utils/deployer');
+const { getPositions } = require('../scripts/utils/positions');
+const { loadScenario, runScenario, printScenarioSummary } = require('../scripts/utils/scenario');
+const {
+    recordNewFork, recordMockedPrice, saveSnapshot, restoreSnapshot, getSnapshots,
+} = require('../scripts/utils/fork-snapshots');
+const { startJsonOutput, addResult, addError } = require('../scripts/utils/cli-result');
+const {
+    resolveSubTarget,
+    describeSubTarget,
+    parseAssignments,
+    buildStrategySub,
+    findSubProxy,
+    getSubProxyFields,
+    encodeSubProxyCall,
+} = require('../scripts/utils/sub-builder');
+const { resolveToken, parseTokenAmount, gibToken } = require('../scripts/utils/token-faucet');
 
 const {
     getSubHash,
     addBotCaller,
     getLatestStrategyId,
+    getLatestSubId,
     createStrategy,
     createBundle,
     getLatestBundleId,
@@ -195,6 +213,7 @@ const forkSetup = async (sender) => {
     let senderAcc = (await hre.ethers.getSigners())[0];
 
     if (sender) {
+        await impersonate(sender.toString());
         senderAcc = hre.ethers.provider.getSigner(sender.toString());
         // eslint-disable-next-line no-underscore-dangle
         senderAcc.address = senderAcc._address;
@@ -251,6 +270,7 @@ const supplyInSS = async (protocol, daiAmount, sender) => {
             REGISTRY_ADDR,
         );
     } catch (err) {
+        await addError(err);
         console.log('Buying dai failed');
     }
 
@@ -274,6 +294,7 @@ const supplyInSS = async (protocol, daiAmount, sender) => {
 
         console.log(`Deposited to ${protocol} ${daiAmount} Dai`);
     } catch (err) {
+        await addError(err);
         console.log(`Failed to supply ${daiAmount} to ${protocol}`);
     }
 };
@@ -338,6 +359,7 @@ const updateMcdCloseStrategySub = async (subId, vaultId, type, price, priceState
             gasLimit: 5000000,
         });
     } catch (err) {
+        await addError(err);
         console.log('Updated failed');
         return;
     }
@@ -413,6 +435,7 @@ const updateMcdCloseToCollStrategySub = async (subId, vaultId, type, price, pric
             gasLimit: 5000000,
         });
     } catch (err) {
+        await addError(err);
         console.log('Updated failed');
         return;
     }
@@ -952,6 +975,7 @@ const updateSmartSavingsStrategySub = async (protocol, subId, vaultId, minRatio,
             gasLimit: 5000000,
         });
     } catch (err) {
+        await addError(err);
         console.log('Updated failed');
         return;
     }
@@ -990,6 +1014,7 @@ const activateSub = async (subId, sender) => {
             gasLimit: 5000000,
         });
     } catch (err) {
+        await addError(err);
         console.log('Activate sub failed');
         return;
     }
@@ -1028,6 +1053,7 @@ const deactivateSub = async (subId, sender) => {
             gasLimit: 5000000,
         });
     } catch (err) {
+        await addError(err);
         console.log('Deactivate sub failed');
         return;
     }
@@ -1099,6 +1125,7 @@ const createLiquityTrove = async (coll, debt, sender) => {
 
         console.log('DebtInFront ', debtInFront.debt / 1e18);
     } catch (err) {
+        await addError(err);
         console.log(`Error opening trove at proxy address: ${proxy.address}`);
 
         const troveInfo = await getTroveInfo(proxy.address);
@@ -1150,6 +1177,7 @@ const createMcdVault = async (type, coll, debt, sender) => {
                 REGISTRY_ADDR,
             );
         } catch (err) {
+            await addError(err);
             console.log(`Buying ${tokenData.name} failed`);
         }
     }
@@ -1174,6 +1202,7 @@ const createMcdVault = async (type, coll, debt, sender) => {
 
         console.log(`Vault #${vaultsAfter.ids[vaultsAfter.ids.length - 1].toString()} created`);
     } catch (err) {
+        await addError(err);
         console.log(err);
     }
 
@@ -1232,6 +1261,24 @@ const getDFSAddr = async (actionName) => {
     const addr = await getAddrFromRegistry(actionName, REGISTRY_ADDR);
 
     console.log(`Address: ${addr}`);
+    addResult({ name: actionName, address: addr });
+};
+
+const gibTokenCall = async (account, tokenLabel, amount, whale) => {
+    setNetwork(process.env.TEST_CHAIN_ID || 'mainnet');
+
+    const token = await resolveToken(tokenLabel);
+    const amountWei = await parseTokenAmount(token, amount);
+
+    const method = await gibToken(account, token.address, amountWei, { whale });
+    const balance = await balanceOf(token.address, account);
+
+    console.log(`Acc: ${account} credited with ${hre.ethers.utils.formatUnits(amountWei, token.decimals)} ${token.symbol} (${method})`);
+    console.log(`Balance: ${balance.toString()} | ${hre.ethers.utils.formatUnits(balance, token.decimals)}`);
+
+    addResult({
+        token: token.address, amount: amountWei.toString(), method, balance: balance.toString(),
+    });
 };
 
 const getBalanceCall = async (account, tokenLabel) => {
@@ -1240,12 +1287,14 @@ const getBalanceCall = async (account, tokenLabel) => {
     const balance = await balanceOf(token.address, account);
 
     console.log(`Balance: ${balance.toString()} | ${hre.ethers.utils.formatUnits(balance, token.decimals)}`);
+    addResult({ token: token.address, balance: balance.toString(), amount: hre.ethers.utils.formatUnits(balance, token.decimals) });
 };
 
 const getCdp = async (cdpId, type) => {
     const mcdView = await deployContract('McdView');
     const ratio = await getRatio(mcdView, cdpId);
     console.log(`Vault id: #${cdpId} has ratio ${ratio}%`);
+    addResult({ vault: { id: cdpId, ratio } });
 
     if (type) {
         const ilkObj = ilks.find((i) => i.ilkLabel === type);
@@ -1253,6 +1302,11 @@ const getCdp = async (cdpId, type) => {
 
         console.log(`Coll: ${cdpState.coll}`);
         console.log(`Debt: ${cdpState.debt}`);
+        addResult({
+            vault: {
+                id: cdpId, type, ratio, coll: cdpState.coll, debt: cdpState.debt,
+            },
+        });
     }
 };
 
@@ -1272,6 +1326,7 @@ const getTrove = async (acc) => {
 
     console.log(`Coll amount ${troveInfo.collAmount / 1e18}`);
     console.log(`Debt amount ${troveInfo.debtAmount / 1e18}`);
+    addResult({ proxy: proxy.address, trove: filterEthersObject(troveInfo) });
 };
 
 const callSell = async (srcTokenLabel, destTokenLabel, srcAmount, sender) => {
@@ -1313,8 +1368,11 @@ const callSell = async (srcTokenLabel, destTokenLabel, srcAmount, sender) => {
 
         console.log(`Balance ${srcTokenLabel}`, balanceSrc.toString());
         console.log(`Balance ${destTokenLabel}: `, balanceDest.toString());
+
+        addResult({ balances: { [srcTokenLabel]: balanceSrc, [destTokenLabel]: balanceDest } });
     } catch (err) {
         console.log(`Buying ${destTokenLabel} failed`);
+        await addError(err);
     }
 };
 
@@ -1355,6 +1413,7 @@ const supplyCdp = async (type, cdpId, amount, sender) => {
         console.log(`Supplied to cdp ${cdpId}`);
         await getCdp(cdpId, type);
     } catch (err) {
+        await addError(err);
         console.log(err);
         console.log('Failed to supply to cdp');
     }
@@ -1393,6 +1452,7 @@ const withdrawLiquity = async (collAmount, sender) => {
         console.log(`Coll amount ${troveInfo.collAmount / 1e18}`);
         console.log(`Debt amount ${troveInfo.debtAmount / 1e18}`);
     } catch (err) {
+        await addError(err);
         console.log(err);
         console.log('Failed to withdraw from trove');
     }
@@ -1435,6 +1495,7 @@ const withdrawCdp = async (type, cdpId, amount, sender) => {
         console.log(`Withdraw from cdp ${cdpId}`);
         await getCdp(cdpId, type);
     } catch (err) {
+        await addError(err);
         console.log(err);
         console.log('Failed to withdraw from cdp');
     }
@@ -1500,6 +1561,7 @@ const createAavePosition = async (collSymbol, debtSymbol, collAmount, debtAmount
             );
             console.log(`Buying ${collSymbol} succeeded`);
         } catch (err) {
+            await addError(err);
             console.log(err);
             console.log(`Buying ${collSymbol} failed`);
         }
@@ -1580,6 +1642,7 @@ const createMorphoPosition = async (collSymbol, debtSymbol, collAmount, debtAmou
             );
             console.log(`Buying ${collSymbol} succeeded`);
         } catch (err) {
+            await addError(err);
             console.log(err);
             console.log(`Buying ${collSymbol} failed`);
         }
@@ -2507,6 +2570,7 @@ const getAavePos = async (
 
     console.log(`User proxy: ${aaveInfo.user}`);
     console.log(`Ratio: ${aaveInfo.ratio / 1e16}%`);
+    addResult({ position: filterEthersObject(aaveInfo) });
 
     aaveInfo.collAmounts.forEach((amount, i) => {
         if (!amount.eq(0)) {
@@ -2589,6 +2653,202 @@ const getCompV3Pos = async (
 
     console.log(`Coll $${compInfo.collValue / 1e8}`);
     console.log(`Debt $${compInfo.borrowValue / 1e6}`);
+    addResult({ user, position: filterEthersObject(compInfo) });
+};
+
+const getWalletPositions = async (wallet, format) => {
+    let network = 'mainnet';
+
+    if (process.env.TEST_CHAIN_ID) {
+        network = process.env.TEST_CHAIN_ID;
+    }
+
+    setNetwork(network);
+
+    const { positions, errors } = await getPositions(wallet, network);
+    addResult({ positions, errors });
+
+    if (format === 'json') {
+        console.log(JSON.stringify({
+            wallet, network, positions, errors,
+        }, null, 2));
+        return;
+    }
+
+    if (positions.length === 0) {
+        console.log(`No positions found for ${wallet} on ${network}`);
+    } else {
+        console.table(positions);
+    }
+
+    Object.entries(errors).forEach(([protocol, message]) => {
+        console.log(`Failed to read ${protocol} positions: ${message}`);
+    });
+};
+
+// runs a forkooor command in a child process so every step starts with fresh options,
+// output is printed as it comes and returned for captures
+const runForkooorCommand = (args) => new Promise((resolve, reject) => {
+    console.log(`\n> forkooor ${args.join(' ')}`);
+
+    const child = spawn(process.execPath, [__filename, ...args], { env: process.env });
+    let output = '';
+
+    child.stdout.on('data', (data) => {
+        output += data;
+        process.stdout.write(data);
+    });
+    child.stderr.on('data', (data) => {
+        output += data;
+        process.stderr.write(data);
+    });
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+        if (code !== 0) reject(new Error(`forkooor ${args[0]} exited with code ${code}`));
+        else resolve(output);
+    });
+});
+
+const runScenarioFile = async (file, sender, bail) => {
+    const scenario = loadScenario(file);
+    const { senderAcc, proxy, network } = await forkSetup(sender);
+
+    const summary = await runScenario(scenario, {
+        runCommand: runForkooorCommand,
+        getPositions: (wallet) => getPositions(wallet, network),
+        vars: { sender: senderAcc.address, proxy: proxy.address, network },
+        bail,
+    });
+
+    printScenarioSummary(summary);
+    addResult({ scenario: summary });
+
+    return summary.passed;
+};
+
+const setSnapshotNetwork = () => {
+    let network = 'mainnet';
+
+    if (process.env.TEST_CHAIN_ID) {
+        network = process.env.TEST_CHAIN_ID;
+    }
+
+    setNetwork(network);
+};
+
+const printSnapshot = (name, snapshot) => {
+    console.log(`Snapshot ${name} (${snapshot.snapshotId}) at block ${snapshot.blockNumber}, saved ${snapshot.savedAt}`);
+    console.table(Object.entries(snapshot.proxies).map(([owner, proxy]) => ({ owner, proxy })));
+
+    if (snapshot.subs) {
+        console.table(snapshot.subs);
+    } else {
+        console.log('Subs unknown, the fork was not created with new-fork');
+    }
+
+    console.log('Mocked prices', snapshot.mockedPrices);
+};
+
+const saveForkSnapshot = async (name, senders) => {
+    setSnapshotNetwork();
+
+    const snapshot = await saveSnapshot(name, senders);
+
+    printSnapshot(name, snapshot);
+    addResult({ name, snapshot });
+};
+
+const restoreForkSnapshot = async (name) => {
+    setSnapshotNetwork();
+
+    const snapshot = await restoreSnapshot(name);
+
+    printSnapshot(name, snapshot);
+    addResult({ name, snapshot });
+    if (snapshot.dropped.length > 0) {
+        console.log(`Removed snapshots taken after ${name}: ${snapshot.dropped.join(', ')}`);
+    }
+};
+
+const listForkSnapshots = () => {
+    setSnapshotNetwork();
+
+    addResult({ snapshots: getSnapshots() });
+    console.table(Object.entries(getSnapshots()).map(([name, snapshot]) => ({
+        name,
+        block: snapshot.blockNumber,
+        savedAt: snapshot.savedAt,
+        proxies: Object.values(snapshot.proxies).join(', '),
+        subIds: snapshot.subs ? snapshot.subs.map(({ subId }) => subId).join(', ') : '-',
+    })));
+};
+
+const printSubTarget = (target, description, subProxy) => {
+    console.log(`${target.isBundle ? 'Bundle' : 'Strategy'} ${target.name} #${target.id}`);
+
+    if (subProxy) {
+        console.log(`Subscribed through ${subProxy.name}, --slot fields: ${getSubProxyFields(subProxy).join(', ')}`);
+        return;
+    }
+
+    console.table(description.slots.filter((slot) => slot).map(({
+        index, name, abiType, usedBy,
+    }) => ({
+        slot: index, name, type: abiType, usedBy: usedBy.join(', '),
+    })));
+
+    description.triggers.forEach((trigger) => {
+        const params = trigger.subParams ? trigger.subParams.map(({ type, name }) => `${type} ${name}`).join(', ') : 'unknown';
+
+        console.log(`Trigger ${trigger.name}(${params})`);
+    });
+};
+
+const subByName = async (name, options) => {
+    const { proxy, network } = await forkSetup(options.sender);
+    const regAddr = addrs[network].REGISTRY_ADDR;
+
+    const target = resolveSubTarget(name, network);
+    const description = describeSubTarget(target);
+    const subProxy = await findSubProxy(target, network);
+
+    if (options.info) {
+        printSubTarget(target, description, subProxy);
+        addResult({
+            target, slots: description.slots, triggers: description.triggers, subProxy: subProxy?.name || null,
+        });
+        return;
+    }
+
+    const slotValues = parseAssignments(options.slot);
+    const triggerValues = parseAssignments(options.trigger);
+
+    let targetAddr;
+    let callData;
+
+    if (subProxy) {
+        if (options.trigger.length > 0) console.log(`${subProxy.name} builds the trigger data, --trigger values are ignored`);
+
+        targetAddr = subProxy.address;
+        callData = encodeSubProxyCall(subProxy, slotValues, network);
+    } else {
+        const strategySub = buildStrategySub(target, description, slotValues, triggerValues, network);
+        const subProxyContract = await hre.ethers.getContractAt('SubProxy', await getAddrFromRegistry('SubProxy', regAddr));
+
+        targetAddr = subProxyContract.address;
+        callData = subProxyContract.interface.encodeFunctionData('subscribeToStrategy', [strategySub]);
+    }
+
+    const lastSubId = +(await getLatestSubId(regAddr));
+    await executeTxFromProxy(proxy, targetAddr, callData);
+    const latestSubId = +(await getLatestSubId(regAddr));
+
+    const subIds = [...Array(latestSubId - lastSubId).keys()].map((i) => lastSubId + 1 + i);
+
+    console.log(`Subscribed to ${target.isBundle ? 'bundle' : 'strategy'} ${target.name} #${target.id}${subProxy ? ` through ${subProxy.name}` : ''}`);
+    subIds.forEach((subId) => console.log(`Sub created #${subId}!`));
+    addResult({ target, subProxy: subProxy?.name || null });
 };
 
 const updateAaveV3AutomationSub = async (
@@ -2680,6 +2940,7 @@ const setBotAuth = async (addr) => {
     setNetwork(network);
 
     await topUp(addrs[network].OWNER_ACC);
+    await impersonate(addrs[network].OWNER_ACC);
 
     await addBotCaller(addr, addrs[network].REGISTRY_ADDR, true, network);
 };
@@ -2693,10 +2954,12 @@ const setMockChainlinkPrice = async (tokenLabel, price) => {
 
     console.log(srcToken.address);
     await c.setRoundData(srcToken.address, USD_QUOTE, formattedPrice);
+    recordMockedPrice(tokenLabel, price);
 
     const oracleData = await c.latestRoundData(srcToken.address, USD_QUOTE);
 
     console.log(`Current price for token ${tokenLabel} at ${new Date(oracleData.updatedAt * 1000).toLocaleTimeString('en-US')} is $${oracleData.answer / 1e8}`);
+    addResult({ token: srcToken.address, price: oracleData.answer / 1e8, updatedAt: oracleData.updatedAt.toNumber() });
 };
 
 const createCompV3Position = async (
@@ -2752,6 +3015,7 @@ const createCompV3Position = async (
                 REGISTRY_ADDR,
             );
         } catch (err) {
+            await addError(err);
             console.log(`Buying ${collToken.name} failed`);
         }
     }
@@ -2795,6 +3059,7 @@ const createCompV3Position = async (
             console.log(`Position created! for ${proxy.address}`);
         }
     } catch (err) {
+        await addError(err);
         console.log(err);
     }
 };
@@ -2911,6 +3176,7 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
     try {
         await llammaExchange.exchange(sellId, buyId, swapAmountWei, minAmount, { gasLimit: 5000000 });
     } catch (err) {
+        await addError(err);
         console.log(err);
     }
 
@@ -2919,25 +3185,48 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
 };
 
 (async () => {
+    program
+        .option('--json', 'Prints one json result with txs, created ids, proxies, balances and decoded errors instead of logs')
+        .hook('preAction', (thisCommand, actionCommand) => {
+            if (!program.opts().json) return;
+
+            const names = [];
+            for (let cmd = actionCommand; cmd.parent; cmd = cmd.parent) names.unshift(cmd.name());
+
+            startJsonOutput(names.join(' '), actionCommand.args, actionCommand.opts());
+        });
+
     program
         .command('new-fork <network>')
-        .description('Creates a new tenderly fork')
+        .description('Creates a new tenderly fork, or resets the local node to a new fork when run with a local network (HARDHAT_NETWORK=local)')
         .option('-b, --bots <botAddr...>', 'bot addresses', [])
         .action(async (network, options) => {
             const forkId = await createFork(network);
 
-            hre.ethers.provider = hre.ethers.getDefaultProvider(`https://rpc.tenderly.co/fork/${forkId}`);
-            process.env.FORK_ID = forkId;
+            if (isTenderlyFork()) {
+                hre.ethers.provider = hre.ethers.getDefaultProvider(`https://rpc.tenderly.co/fork/${forkId}`);
+                process.env.FORK_ID = forkId;
 
-            setEnv('FORK_ID', forkId);
+                setEnv('FORK_ID', forkId);
+            }
             setEnv('TEST_CHAIN_ID', network);
+            process.env.TEST_CHAIN_ID = network;
+
+            setNetwork(network);
+            await recordNewFork(network);
 
             const currentBlockNum = await hre.ethers.provider.getBlockNumber();
 
-            console.log(`Fork id: ${forkId}   |   Rpc url https://rpc.tenderly.co/fork/${forkId}`);
+            if (isTenderlyFork()) {
+                console.log(`Fork id: ${forkId}   |   Rpc url https://rpc.tenderly.co/fork/${forkId}`);
+            } else {
+                console.log(`Local fork of ${network}   |   Rpc url ${forkId}`);
+            }
             console.log('chainlink oracle', MOCK_CHAINLINK_ORACLE);
             console.log('blockNumber', currentBlockNum.toString());
             if (options.bots.length > 0) {
+                await impersonate(addrs[network].OWNER_ACC);
+
                 // setting this so we can do topUp and addBotCaller from this script
                 for (let i = 0; i < options.bots.length; i++) {
                     const botAddr = options.bots[i];
@@ -2947,7 +3236,15 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
                     await addBotCaller(botAddr, addrs[network].REGISTRY_ADDR, true);
                 }
             }
-            topUp(addrs[network].OWNER_ACC);
+            await topUp(addrs[network].OWNER_ACC);
+
+            addResult({
+                network,
+                forkId: isTenderlyFork() ? forkId : null,
+                rpcUrl: isTenderlyFork() ? `https://rpc.tenderly.co/fork/${forkId}` : forkId,
+                blockNumber: currentBlockNum,
+                bots: options.bots,
+            });
             process.exit(0);
         });
 
@@ -2957,7 +3254,7 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
         .action(async () => {
             console.log('This might take a few minutes dont stop the process');
 
-            await spawnSync('npm run deploy fork deploy-on-fork',
+            await spawnSync('npx hardhat deploy-manifest fork --network fork',
                 {
                     shell: true,
                     stdio: [process.stdin, process.stdout, process.stderr],
@@ -3716,6 +4013,8 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
         .description('Moves the forked blockchain timestamp by <seconds>')
         .action(async (seconds) => {
             await timeTravel(+seconds);
+
+            addResult({ timestamp: (await hre.ethers.provider.getBlock('latest')).timestamp });
             process.exit(0);
         });
 
@@ -3757,6 +4056,16 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
         .action(async (account) => {
             await topUp(account);
             console.log(`Acc: ${account} credited with 100000 Eth`);
+            addResult({ account, ethBalance: hre.ethers.utils.formatEther(await hre.ethers.provider.getBalance(account)) });
+            process.exit(0);
+        });
+
+    program
+        .command('gib-token <account> <token> <amount>')
+        .description('Gives the account a token by symbol or address, amount in tokens or in usd as $1000')
+        .option('-w, --whale <address>', 'Holder of the token sending it when its balance slot isn\'t found')
+        .action(async (account, token, amount, options) => {
+            await gibTokenCall(account, token, amount, options.whale);
             process.exit(0);
         });
 
@@ -3815,6 +4124,67 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
             ).then((userInfo) => filterEthersObject(userInfo));
 
             console.dir(userInfo, { depth: null });
+            addResult({ user, position: userInfo });
+            process.exit(0);
+        });
+
+    program
+        .command('positions <wallet>')
+        .option('-f, --format <format>', 'Output format, table or json', 'table')
+        .description('Lists positions of a DSProxy or Safe in every protocol with a view contract')
+        .action(async (wallet, options) => {
+            await getWalletPositions(wallet, options.format);
+            process.exit(0);
+        });
+
+    program
+        .command('run-scenario <file>')
+        .option('-s, --sender <sender>', 'Sender whose address and proxy are set as the sender and proxy variables')
+        .option('-b, --bail', 'Stop at the first failed assertion')
+        .description('Runs forkooor commands from a yaml or json scenario, capturing ids from their output and asserting position state')
+        .action(async (file, options) => {
+            const passed = await runScenarioFile(file, options.sender, options.bail);
+            process.exit(passed ? 0 : 1);
+        });
+
+    const snapshot = program
+        .command('snapshot')
+        .description('Saves and restores named fork states with their proxies, subs and mocked prices');
+
+    snapshot
+        .command('save <name>')
+        .option('-s, --senders <sender...>', 'Accounts whose proxies are recorded, defaults to the first signer', [])
+        .description('Takes a snapshot of the fork under the name')
+        .action(async (name, options) => {
+            await saveForkSnapshot(name, options.senders);
+            process.exit(0);
+        });
+
+    snapshot
+        .command('restore <name>')
+        .description('Reverts the fork to the named snapshot')
+        .action(async (name) => {
+            await restoreForkSnapshot(name);
+            process.exit(0);
+        });
+
+    snapshot
+        .command('list')
+        .description('Lists the snapshots of the current fork')
+        .action(async () => {
+            listForkSnapshots();
+            process.exit(0);
+        });
+
+    program
+        .command('sub <strategyOrBundleName>')
+        .option('-s, --slot <name=value...>', 'Sub slot by action param name, Action.param or index, addresses can be token symbols', [])
+        .option('-t, --trigger <name=value...>', 'Trigger sub param by name or Trigger.name', [])
+        .option('--sender <sender>', 'Sender of the sub, defaults to the first signer')
+        .option('-i, --info', 'Only prints the slots and trigger params the sub takes')
+        .description('Subscribes to any strategy (name from addresses/strategies) or bundle (automation sdk name or bundle:<id>), through its SubProxy when it has one')
+        .action(async (name, options) => {
+            await subByName(name, options);
             process.exit(0);
         });
 
@@ -3833,6 +4203,7 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
             await setBotAuth(botAddr);
 
             console.log(`Bot auth given to ${botAddr}`);
+            addResult({ botAddr });
             process.exit(0);
         });
 
@@ -3853,8 +4224,9 @@ const llammaSell = async (controllerAddress, swapAmount, sellCrvUsd, sender) =>
             if (process.env.TEST_CHAIN_ID) {
                 network = process.env.TEST_CHAIN_ID;
             }
-            await redeploy(contractName.toString(), addrs[network].REGISTRY_ADDR, false, true);
+            const contract = await redeploy(contractName.toString(), addrs[network].REGISTRY_ADDR, false, true);
 
+            addResult({ name: contractName, address: contract.address });
             process.exit(0);
         });
 
@@ -0,0 +1,179 @@
+/* eslint-disable import/no-extraneous-dependencies */
+/* eslint-disable max-len */
+require('dotenv-safe').config();
+
+const ethers = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { program } = require('commander');
+
+const { addrs, generateIds } = require('../test/utils');
+const { getLogDataTypes, decodeLogData } = require('../scripts/utils/log-decoder');
+
+const LOGGER_EVENTS = {
+    RecipeEvent: 'RecipeEvent(address,string)',
+    ActionDirectEvent: 'ActionDirectEvent(address,string,bytes)',
+};
+
+// actions inside a recipe emit from the wallet itself, as they are delegatecalled
+const ACTION_EVENT = 'ActionEvent(string,bytes)';
+
+const CSV_COLUMNS = ['blockNumber', 'txHash', 'logIndex', 'event', 'name', 'params', 'data'];
+
+const getProvider = (network) => {
+    const nodeName = network !== 'mainnet' ? `${network.toUpperCase()}_NODE` : 'ETHEREUM_NODE';
+
+    return new ethers.providers.JsonRpcProvider(process.env[nodeName]);
+};
+
+// indexed strings are only stored as a hash, so log names are matched against all names we know
+const getKnownNames = (network, idsMap) => {
+    const names = Object.values(idsMap).map(({ fileName }) => fileName);
+
+    const strategiesPath = path.join(__dirname, '..', 'addresses', 'strategies', `${network}.json`);
+    if (fs.existsSync(strategiesPath)) {
+        // recipes executed by strategies are named as the strategy
+        JSON.parse(fs.readFileSync(strategiesPath, 'utf8')).forEach(({ name }) => names.push(name));
+    }
+
+    return Object.fromEntries(names.map((name) => [ethers.utils.id(name), name]));
+};
+
+const parseLog = (log, knownNames) => {
+    const [topic, ...indexed] = log.topics;
+
+    const isActionEvent = topic === ethers.utils.id(ACTION_EVENT);
+    const event = isActionEvent
+        ? 'ActionEvent'
+        : Object.keys(LOGGER_EVENTS).find((name) => ethers.utils.id(LOGGER_EVENTS[name]) === topic);
+
+    const nameHash = isActionEvent ? indexed[0] : indexed[1];
+    const proxy = isActionEvent ? log.address : ethers.utils.getAddress(ethers.utils.hexDataSlice(indexed[0], 12));
+
+    let data = null;
+    if (event !== 'RecipeEvent') {
+        [data] = ethers.utils.defaultAbiCoder.decode(['bytes'], log.data);
+    }
+
+    return {
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+        logIndex: log.logIndex,
+        event,
+        proxy,
+        name: knownNames[nameHash] || nameHash,
+        data,
+    };
+};
+
+const getLogs = async (provider, filter, fromBlock, toBlock, step) => {
+    const logs = [];
+
+    for (let start = fromBlock; start <= toBlock; start += step) {
+        const end = Math.min(start + step - 1, toBlock);
+
+        // eslint-disable-next-line no-await-in-loop
+        logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+
+        console.log(`Scanned blocks ${start} - ${end}, ${logs.length} logs found`);
+    }
+
+    return logs;
+};
+
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+
+    const str = typeof value === 'object' ? JSON.stringify(value) : value.toString();
+
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const writeProxyFile = (outputDir, proxy, entries, format) => {
+    const filePath = path.join(outputDir, `${proxy}.${format}`);
+
+    if (format === 'csv') {
+        const rows = entries.map((entry) => CSV_COLUMNS.map((column) => toCsvValue(entry[column])).join(','));
+        fs.writeFileSync(filePath, [CSV_COLUMNS.join(','), ...rows].join('\n'));
+    } else {
+        fs.writeFileSync(filePath, JSON.stringify(entries, null, 2));
+    }
+};
+
+const indexLogs = async (fromBlock, toBlock, options) => {
+    const network = options.network.length === 0 ? 'mainnet' : options.network;
+    const format = options.format === 'csv' ? 'csv' : 'json';
+
+    const provider = getProvider(network);
+    const idsMap = generateIds();
+    const knownNames = getKnownNames(network, idsMap);
+
+    const from = Number(fromBlock);
+    const to = toBlock ? Number(toBlock) : await provider.getBlockNumber();
+    const step = Number(options.step);
+
+    // caller is the first indexed topic of the logger events
+    const proxyTopic = options.proxy ? ethers.utils.hexZeroPad(options.proxy, 32) : null;
+
+    const loggerLogs = await getLogs(provider, {
+        address: addrs[network].LOGGER_ADDR,
+        topics: [Object.values(LOGGER_EVENTS).map((event) => ethers.utils.id(event)), proxyTopic],
+    }, from, to, step);
+
+    const actionLogs = await getLogs(provider, {
+        address: options.proxy,
+        topics: [ethers.utils.id(ACTION_EVENT)],
+    }, from, to, step);
+
+    const entries = [...loggerLogs, ...actionLogs]
+        .map((log) => parseLog(log, knownNames))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // log names are the action contract names, their payload types are read once per action
+    const logDataTypes = {};
+    const actionIds = Object.fromEntries(Object.entries(idsMap).map(([id, entry]) => [entry.fileName, id]));
+
+    entries.filter((entry) => entry.data).forEach((entry) => {
+        if (!(entry.name in logDataTypes)) {
+            const idEntry = idsMap[actionIds[entry.name]];
+            logDataTypes[entry.name] = idEntry ? getLogDataTypes(idEntry) : null;
+        }
+
+        // eslint-disable-next-line no-param-reassign
+        entry.params = decodeLogData(logDataTypes[entry.name], entry.data);
+    });
+
+    const entriesByProxy = {};
+    entries.forEach((entry) => {
+        entriesByProxy[entry.proxy] = [...(entriesByProxy[entry.proxy] || []), entry];
+    });
+
+    const outputDir = options.output || path.join(__dirname, '..', 'logs', network);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    Object.entries(entriesByProxy).forEach(([proxy, proxyEntries]) => {
+        writeProxyFile(outputDir, proxy, proxyEntries, format);
+    });
+
+    const undecoded = entries.filter((entry) => entry.data && !entry.params).length;
+
+    console.log(`Indexed ${entries.length} events of ${Object.keys(entriesByProxy).length} proxies into ${outputDir}`);
+    if (undecoded > 0) console.log(`${undecoded} payloads could not be decoded and are kept as raw data`);
+};
+
+(async () => {
+    program
+        .command('index <fromBlock> [toBlock]')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .option('-f, --format <format>', 'Output format, json or csv', 'json')
+        .option('-o, --output <dir>', 'Output folder (defaults to logs/<network>)')
+        .option('-p, --proxy <address>', 'Only index events of this proxy')
+        .option('-s, --step <blocks>', 'Number of blocks per getLogs call', '2000')
+        .description('Indexes DefisaverLogger and action events in a block range and writes them per proxy')
+        .action(async (fromBlock, toBlock, options) => {
+            await indexLogs(fromBlock, toBlock, options);
+            process.exit(0);
+        });
+
+    program.parse(process.argv);
+})();
@@ -5,10 +5,14 @@
 require('dotenv-safe').config();
 
 const ethers = require('ethers');
+const fs = require('fs');
+const path = require('path');
 const { program } = require('commander');
 
 const { addrs } = require('../test/utils');
 const { getNameId, generateIds } = require('../test/utils');
+const { isArtifactCodeMatching } = require('../scripts/utils/bytecode');
+const { planRegistryChanges } = require('../scripts/utils/registry-plan');
 
 const registryAbi = require('../artifacts/contracts/core/DFSRegistry.sol/DFSRegistry.json').abi;
 
@@ -24,6 +28,14 @@ const setRegistry = async (options) => {
     return registry;
 };
 
+const getLocalAddresses = (network) => {
+    const filePath = path.join(__dirname, '..', 'addresses', `${network}.json`);
+
+    if (!fs.existsSync(filePath)) return [];
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
 const parseAddNewContractEvent = (event) => ({
     id: event.args[1],
     addr: event.args[2],
@@ -36,6 +48,28 @@ const parseApproveContractChangeEvent = (event) => ({
     newAddr: event.args[3],
 });
 
+const parseStartContractChangeEvent = (event) => ({
+    id: event.args[1],
+    oldAddr: event.args[2],
+    newAddr: event.args[3],
+});
+
+const parseStartWaitPeriodChangeEvent = (event) => ({
+    id: event.args[1],
+    newWaitPeriod: parseFloat(event.args[2].toString()),
+});
+
+// registry ids that are not named as the contract deployed under them
+const getContractNameForId = (id, network) => {
+    const name = generateIds()[id]?.fileName;
+
+    if (name === 'StrategyExecutorID') {
+        return network === 'mainnet' ? 'StrategyExecutor' : 'StrategyExecutorL2';
+    }
+
+    return name;
+};
+
 const getEntry = async (registry, id) => {
     const entry = await registry.entries(id);
 
@@ -89,9 +123,7 @@ const getFullEntryData = async (idOrName, options) => {
     };
 };
 
-const fetchAllContractsInRegistry = async (options) => {
-    const registry = await setRegistry(options);
-
+const fetchRegistryEntries = async (registry) => {
     // fetch newContract events
     let filter = registry.filters.AddNewContract();
     let events = await registry.queryFilter(filter);
@@ -139,9 +171,85 @@ const fetchAllContractsInRegistry = async (options) => {
         formattedArr.push(formattedEntry);
     }
 
+    return formattedArr;
+};
+
+const fetchAllContractsInRegistry = async (options) => {
+    const registry = await setRegistry(options);
+
+    const formattedArr = await fetchRegistryEntries(registry);
+
     console.log(JSON.stringify(formattedArr));
 };
 
+// keeps local order and metadata (path, version, registryIds), on-chain data wins for the rest
+const mergeRegistryEntries = (localEntries, onchainEntries) => {
+    const onchainById = {};
+    onchainEntries.forEach((e) => { onchainById[e.id.toLowerCase()] = e; });
+
+    const localIds = new Set(localEntries.map((e) => e.id.toLowerCase()));
+
+    const report = { onlyOnchain: [], onlyLocal: [], updated: [] };
+
+    const merged = localEntries.map((localEntry) => {
+        const onchainEntry = onchainById[localEntry.id.toLowerCase()];
+
+        if (!onchainEntry) {
+            // entries not in registry are tracked by hand (registry itself, proxies, ...)
+            if (localEntry.inRegistry) report.onlyLocal.push(localEntry);
+            return localEntry;
+        }
+
+        if (localEntry.address.toLowerCase() !== onchainEntry.address.toLowerCase()) {
+            report.updated.push({ ...onchainEntry, oldAddr: localEntry.address });
+        }
+
+        return {
+            ...onchainEntry,
+            name: localEntry.name || onchainEntry.name,
+            path: localEntry.path || onchainEntry.path,
+            version: localEntry.address.toLowerCase() === onchainEntry.address.toLowerCase()
+                ? localEntry.version || onchainEntry.version
+                : onchainEntry.version,
+            registryIds: localEntry.registryIds || [],
+        };
+    });
+
+    onchainEntries.forEach((onchainEntry) => {
+        if (!localIds.has(onchainEntry.id.toLowerCase())) {
+            report.onlyOnchain.push(onchainEntry);
+            merged.push(onchainEntry);
+        }
+    });
+
+    return { merged, report };
+};
+
+const syncAddresses = async (options) => {
+    const networks = options.network.length === 0 ? Object.keys(addrs) : [options.network];
+
+    for (let i = 0; i < networks.length; ++i) {
+        const network = networks[i];
+        const registry = await setRegistry({ network });
+
+        const onchainEntries = await fetchRegistryEntries(registry);
+        const { merged, report } = mergeRegistryEntries(getLocalAddresses(network), onchainEntries);
+
+        console.log(`\n${network}: ${onchainEntries.length} entries in registry`);
+
+        report.updated.forEach((e) => console.log(`  ~ ${e.name} ${e.id}: ${e.oldAddr} -> ${e.address}`));
+        report.onlyOnchain.forEach((e) => console.log(`  + ${e.name} ${e.id}: ${e.address} (on-chain only)`));
+        report.onlyLocal.forEach((e) => console.log(`  - ${e.name} ${e.id}: ${e.address} (local only)`));
+
+        if (!options.dryRun) {
+            const filePath = path.join(__dirname, '..', 'addresses', `${network}.json`);
+            fs.writeFileSync(filePath, JSON.stringify(merged, null, 4));
+
+            console.log(`  written to ${filePath}`);
+        }
+    }
+};
+
 const addEntryCall = async (idOrName, contractAddr, waitTime, options) => {
     const registry = await setRegistry(options);
     const network = options.network.length === 0 ? 'mainnet' : options.network;
@@ -200,6 +308,228 @@ const approveContractChangeCall = async (idOrName, options) => {
     };
 };
 
+const CODE_CHECK = {
+    MATCHES: 'matches artifact',
+    DIFFERS: 'DIFFERS from artifact',
+    NO_CODE: 'no code',
+    NO_ARTIFACT: 'no artifact',
+    UNKNOWN_ID: 'unknown id',
+};
+
+const checkCodeAgainstArtifact = async (provider, addr, contractName) => {
+    if (!contractName) return CODE_CHECK.UNKNOWN_ID;
+
+    const code = await provider.getCode(addr);
+    if (code === '0x') return CODE_CHECK.NO_CODE;
+
+    try {
+        const isMatching = await isArtifactCodeMatching(code, contractName);
+
+        return isMatching ? CODE_CHECK.MATCHES : CODE_CHECK.DIFFERS;
+    } catch (err) {
+        return CODE_CHECK.NO_ARTIFACT;
+    }
+};
+
+const fetchPendingChanges = async (options) => {
+    const registry = await setRegistry(options);
+    const network = options.network.length === 0 ? 'mainnet' : options.network;
+
+    let filter = registry.filters.StartContractChange();
+    const contractChangeEvents = await registry.queryFilter(filter);
+
+    filter = registry.filters.StartWaitPeriodChange();
+    const waitPeriodChangeEvents = await registry.queryFilter(filter);
+
+    const ids = [...new Set([
+        ...contractChangeEvents.map((e) => parseStartContractChangeEvent(e).id),
+        ...waitPeriodChangeEvents.map((e) => parseStartWaitPeriodChangeEvent(e).id),
+    ])];
+
+    const { timestamp } = await registry.provider.getBlock('latest');
+    const idsMap = generateIds();
+
+    const pendingChanges = [];
+
+    for (let i = 0; i < ids.length; ++i) {
+        const id = ids[i];
+        const entry = await registry.entries(id);
+
+        const approveTime = parseInt(entry.changeStartTime.toString(), 10)
+            + parseInt(entry.waitPeriod.toString(), 10);
+
+        const pendingChange = {
+            id,
+            name: idsMap[id]?.fileName,
+            timeLeft: Math.max(approveTime - timestamp, 0),
+            approveTime,
+        };
+
+        if (entry.inContractChange) {
+            const newAddr = await registry.pendingAddresses(id);
+            const contractName = getContractNameForId(id, network);
+
+            pendingChanges.push({
+                ...pendingChange,
+                type: 'contract',
+                oldAddr: entry.contractAddr,
+                newAddr,
+                codeCheck: await checkCodeAgainstArtifact(registry.provider, newAddr, contractName),
+            });
+        }
+
+        if (entry.inWaitPeriodChange) {
+            pendingChanges.push({
+                ...pendingChange,
+                type: 'waitPeriod',
+                oldWaitPeriod: parseInt(entry.waitPeriod.toString(), 10),
+                newWaitPeriod: parseInt((await registry.pendingWaitTimes(id)).toString(), 10),
+            });
+        }
+    }
+
+    return pendingChanges.sort((a, b) => a.approveTime - b.approveTime);
+};
+
+const verifyRegistryCode = async (options) => {
+    const registry = await setRegistry(options);
+    const network = options.network.length === 0 ? 'mainnet' : options.network;
+
+    const idsMap = generateIds();
+    // generateIds also adds <name>New ids which are not used in the registry
+    const ids = Object.keys(idsMap).filter((id) => !id.endsWith('New'));
+
+    const results = {
+        matching: [],
+        differs: [],
+        noArtifact: [],
+    };
+
+    for (let i = 0; i < ids.length; ++i) {
+        const id = ids[i];
+        const entry = await registry.entries(id);
+
+        if (entry.exists) {
+            const contractName = getContractNameForId(id, network);
+            const codeCheck = await checkCodeAgainstArtifact(
+                registry.provider,
+                entry.contractAddr,
+                contractName,
+            );
+
+            const result = {
+                name: idsMap[id].fileName,
+                id,
+                addr: entry.contractAddr,
+                path: idsMap[id].filePath,
+            };
+
+            if (codeCheck === CODE_CHECK.MATCHES) {
+                results.matching.push(result);
+            } else if (codeCheck === CODE_CHECK.DIFFERS) {
+                results.differs.push(result);
+            } else {
+                results.noArtifact.push({ ...result, reason: codeCheck });
+            }
+        }
+    }
+
+    return results;
+};
+
+const formatDuration = (seconds) => {
+    if (seconds <= 0) return '0s';
+
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    return [
+        days > 0 ? `${days}d` : '',
+        hours > 0 ? `${hours}h` : '',
+        minutes > 0 ? `${minutes}m` : '',
+    ].filter((s) => s).join(' ') || `${seconds}s`;
+};
+
+// accepts a list of { name | id, address, waitTime }
+// or a deployment output file with the same list under contracts
+const parsePlannedChanges = (changesFile, inlineChanges) => {
+    let changes = [];
+
+    if (changesFile) {
+        const data = JSON.parse(fs.readFileSync(changesFile, 'utf8'));
+        changes = Array.isArray(data) ? data : data.contracts;
+    }
+
+    inlineChanges.forEach((change) => {
+        const [idOrName, address] = change.split(':');
+        changes.push({ name: idOrName, address });
+    });
+
+    return changes.map((change) => {
+        const idOrName = change.id || change.registryName || change.name;
+        const id = idOrName.startsWith('0x') ? idOrName : getNameId(idOrName);
+
+        return {
+            id,
+            name: idOrName.startsWith('0x') ? generateIds()[id]?.fileName : idOrName,
+            addr: ethers.utils.getAddress(change.address || change.addr),
+            waitTime: change.waitTime || 0,
+        };
+    });
+};
+
+const getRegistryPlan = async (changesFile, options) => {
+    const registry = await setRegistry(options);
+    const network = options.network.length === 0 ? 'mainnet' : options.network;
+
+    const { timestamp } = await registry.provider.getBlock('latest');
+
+    return planRegistryChanges({
+        registry,
+        registryAddr: addrs[network].REGISTRY_ADDR,
+        changes: parsePlannedChanges(changesFile, options.change),
+        localEntries: getLocalAddresses(network),
+        timestamp,
+    });
+};
+
+const printRegistryPlan = ({ plan, txs }) => {
+    const outOfSync = (item) => (item.localOutOfSync ? ` [local file has ${item.localAddr}]` : '');
+
+    console.log(`\nNew entries (${plan.newEntries.length}):`);
+    plan.newEntries.forEach((item) => {
+        console.log(`  + ${item.name} ${item.id} -> ${item.addr}, wait period ${formatDuration(item.waitTime)}`);
+    });
+
+    console.log(`\nAddress swaps (${plan.swaps.length}):`);
+    plan.swaps.forEach((item) => {
+        let status = item.waitPeriod === 0
+            ? 'no wait period, approved in the same batch'
+            : `approvable ${formatDuration(item.waitPeriod)} after start`;
+
+        if (item.inWaitPeriodChange) status = 'BLOCKED, entry is in wait period change';
+        if (item.pendingAddr) status += `, overrides pending change to ${item.pendingAddr}`;
+
+        console.log(`  ~ ${item.name} ${item.id}: ${item.currAddr} -> ${item.addr} (${status})${outOfSync(item)}`);
+    });
+
+    console.log(`\nAlready pending (${plan.pending.length}):`);
+    plan.pending.forEach((item) => {
+        const status = item.timeLeft === 0 ? 'ready to approve' : `approvable in ${formatDuration(item.timeLeft)}`;
+
+        console.log(`  > ${item.name} ${item.id}: ${item.currAddr} -> ${item.addr} (${status})${outOfSync(item)}`);
+    });
+
+    console.log(`\nUnchanged (${plan.unchanged.length}):`);
+    plan.unchanged.forEach((item) => {
+        console.log(`  = ${item.name} ${item.id}: ${item.currAddr}${outOfSync(item)}`);
+    });
+
+    console.log(`\nTransactions (${txs.length}):`);
+    console.log(JSON.stringify(txs, null, 2));
+};
+
 (async () => {
     program
         .command('dump')
@@ -210,6 +540,16 @@ const approveContractChangeCall = async (idOrName, options) => {
             process.exit(0);
         });
 
+    program
+        .command('sync')
+        .option('-n, --network <network>', 'Sync only the specified network (defaults to all)', [])
+        .option('-d, --dry-run', 'Only report the differences without writing the files')
+        .description('Rebuilds addresses/<network>.json from registry events and reports the differences')
+        .action(async (options) => {
+            await syncAddresses(options);
+            process.exit(0);
+        });
+
     program
         .command('get-entry <idOrName>')
         .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
@@ -281,5 +621,68 @@ const approveContractChangeCall = async (idOrName, options) => {
             process.exit(0);
         });
 
+    program
+        .command('pending')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .description('Lists all registry changes that are started but not yet approved')
+        .action(async (options) => {
+            const pendingChanges = await fetchPendingChanges(options);
+
+            console.log(`\nPending changes (${pendingChanges.length}):`);
+            pendingChanges.forEach((change) => {
+                const status = change.timeLeft === 0
+                    ? 'ready to approve'
+                    : `approvable in ${formatDuration(change.timeLeft)} (${new Date(change.approveTime * 1000).toISOString()})`;
+
+                if (change.type === 'contract') {
+                    console.log(`  ${change.name} ${change.id}: ${change.oldAddr} -> ${change.newAddr}`);
+                    console.log(`      ${status}, new code ${change.codeCheck}`);
+                } else {
+                    console.log(`  ${change.name} ${change.id}: wait period ${formatDuration(change.oldWaitPeriod)} -> ${formatDuration(change.newWaitPeriod)}`);
+                    console.log(`      ${status}`);
+                }
+            });
+            process.exit(0);
+        });
+
+    program
+        .command('verify-code')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .option('-a, --all', 'Also list the contracts that match')
+        .description('Compares code of every registered contract with the local artifacts')
+        .action(async (options) => {
+            const results = await verifyRegistryCode(options);
+
+            console.log(`\nChanged in repo but not redeployed (${results.differs.length}):`);
+            results.differs.forEach((r) => console.log(`  ! ${r.name} ${r.id} ${r.addr} (${r.path})`));
+
+            console.log(`\nCould not compare (${results.noArtifact.length}):`);
+            results.noArtifact.forEach((r) => console.log(`  ? ${r.name} ${r.id} ${r.addr}: ${r.reason}`));
+
+            console.log(`\nMatching (${results.matching.length})${options.all ? ':' : ''}`);
+            if (options.all) {
+                results.matching.forEach((r) => console.log(`  = ${r.name} ${r.id} ${r.addr}`));
+            }
+            process.exit(0);
+        });
+
+    program
+        .command('plan [changesFile]')
+        .option('-n, --network <network>', 'Specify network we are calling (defaults to L1)', [])
+        .option('-c, --change <idOrName:addr...>', 'Inline registry changes', [])
+        .option('-o, --output <file>', 'Write the transaction batch to a file')
+        .description('Compares intended changes (or a deployment output file) with the registry and formats the calls')
+        .action(async (changesFile, options) => {
+            const registryPlan = await getRegistryPlan(changesFile, options);
+
+            printRegistryPlan(registryPlan);
+
+            if (options.output) {
+                fs.writeFileSync(options.output, JSON.stringify(registryPlan.txs, null, 2));
+                console.log(`\nTransactions written to ${options.output}`);
+            }
+            process.exit(0);
+        });
+
     program.parse(process.argv);
 })();
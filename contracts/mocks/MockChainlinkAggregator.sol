@@ -40,6 +40,15 @@ contract MockChainlinkAggregator {
         notUsed2 = 0;
     }
 
+    /// @dev mocked feeds are usd feeds
+    function decimals() external pure returns (uint8) {
+        return 8;
+    }
+
+    function latestAnswer() external view returns (int256) {
+        return mockRounds[latestRoundId].answer;
+    }
+
     function latestRoundData()
     external
     view
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.8.24;
+
+
+contract MockMorphoBlueOracle {
+
+    uint256 mockPrice;
+
+    function setPrice(uint256 _price) external {
+        mockPrice = _price;
+    }
+
+    function price() external view returns (uint256) {
+        return mockPrice;
+    }
+}
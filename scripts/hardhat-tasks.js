@@ -1,4 +1,5 @@
 /* eslint-disable no-undef */
+const path = require('path');
 
 const {
     flatten,
@@ -63,3 +64,172 @@ task('gib-fork-money', 'Gives specified account 100 Eth on fork')
         await topUp(args.account);
         console.log(`Acc: ${args.account} credited with 100 Eth`);
     });
+
+task('gib-fork-token', 'Gives specified account a token on fork, falls back to minting it when its balance slot isn\'t found')
+    .addPositionalParam('account', 'Account you want to add the token to')
+    .addPositionalParam('token', 'Token symbol or address')
+    .addPositionalParam('amount', 'Amount in tokens, or in usd as $1000')
+    .addOptionalParam('whale', 'Holder of the token sending it when its balance slot isn\'t found')
+    .setAction(async (args) => {
+        // eslint-disable-next-line global-require
+        const { resolveToken, parseTokenAmount, gibToken } = require('./utils/token-faucet');
+
+        const token = await resolveToken(args.token);
+        const amount = await parseTokenAmount(token, args.amount);
+        const method = await gibToken(args.account, token.address, amount, { whale: args.whale });
+
+        console.log(`Acc: ${args.account} credited with ${hre.ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol} (${method})`);
+    });
+
+task('deploy-manifest', 'Deploys the contracts from a manifest, skipping the ones already registered with the same code')
+    .addPositionalParam('manifest', 'Path to the manifest or its name in scripts/manifests')
+    .setAction(async (args) => {
+        // required here as test utils load the hardhat config
+        // eslint-disable-next-line global-require
+        const { loadManifest, runManifest } = require('./utils/manifest');
+
+        await runManifest(loadManifest(args.manifest));
+    });
+
+task('eval-triggers', 'Evaluates the triggers of a sub and shows the values they compare')
+    .addPositionalParam('subId', 'Id of the sub')
+    .addOptionalParam('block', 'Block to evaluate at, resets the local hardhat fork to it')
+    .addOptionalParam('gasPrice', 'Gas price in gwei the triggers see, defaults to the block base fee')
+    .addOptionalParam('callData', 'Comma separated trigger call data, in the order of the triggers')
+    .setAction(async (args) => {
+        // eslint-disable-next-line global-require
+        const { evaluateSubTriggers, printTriggerEvaluation } = require('./utils/trigger-eval');
+
+        const evaluation = await evaluateSubTriggers(args.subId, {
+            block: args.block,
+            gasPrice: args.gasPrice,
+            triggerCallData: args.callData ? args.callData.split(',') : [],
+        });
+
+        printTriggerEvaluation(evaluation);
+    });
+
+task('create-strategy', 'Creates a strategy in StrategyStorage from its definition')
+    .addPositionalParam('definition', 'Path to the definition or its name in scripts/strategies')
+    .setAction(async (args) => {
+        const {
+            loadStrategyDefinition,
+            compileStrategyDefinition,
+        // eslint-disable-next-line global-require
+        } = require('./utils/strategy-compiler');
+        // eslint-disable-next-line global-require
+        const { getNetwork, isNetworkFork, openStrategyAndBundleStorage } = require('../test/utils');
+        // eslint-disable-next-line global-require
+        const { createStrategy } = require('../test/utils-strategies');
+
+        const definition = loadStrategyDefinition(args.definition);
+        const network = getNetwork();
+
+        if (definition.networks && !definition.networks.includes(network)) {
+            throw new Error(`Strategy ${definition.name} is not defined for ${network}`);
+        }
+
+        // on forks storage is opened to everyone, on live networks the sender must be a creator
+        if (hre.network.name === 'hardhat' || isNetworkFork()) {
+            await openStrategyAndBundleStorage(isNetworkFork());
+        }
+
+        const strategyData = compileStrategyDefinition(definition);
+
+        await createStrategy(null, ...strategyData, !!definition.continuous);
+    });
+
+task('keeper', 'Runs a local bot that executes triggered subs')
+    .addOptionalParam('handlers', 'Path to a module exporting the call data handlers')
+    .addOptionalParam('fromBlock', 'Block to index subs from, defaults to the current one')
+    .addOptionalParam('subIds', 'Comma separated ids of older subs to watch')
+    .addOptionalParam('interval', 'Seconds between rounds', '15')
+    .addFlag('once', 'Run a single round')
+    .setAction(async (args) => {
+        // eslint-disable-next-line global-require
+        const { createKeeper, printKeeperResults } = require('./utils/keeper');
+
+        const [botAcc] = await hre.ethers.getSigners();
+
+        const keeper = await createKeeper({
+            botAcc,
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            handlers: args.handlers ? require(path.resolve(args.handlers)) : {},
+            fromBlock: args.fromBlock !== undefined ? Number(args.fromBlock) : undefined,
+            subIds: args.subIds ? args.subIds.split(',').map(Number) : [],
+        });
+
+        console.log(`Keeper running with bot ${botAcc.address}`);
+
+        do {
+            // eslint-disable-next-line no-await-in-loop
+            printKeeperResults(await keeper.runOnce());
+
+            // eslint-disable-next-line no-await-in-loop
+            if (!args.once) await sleep(Number(args.interval) * 1000);
+        } while (!args.once);
+    });
+
+task('liquidation-race', 'Drops the collateral price of a position step by step and executes its sub once triggered')
+    .addParam('protocol', 'One of mcd, aaveV3, spark, compV3, liquity, morphoBlue')
+    .addParam('subId', 'Repay or close sub of the position')
+    .addOptionalParam('position', 'Position as json, e.g. {"vaultId":1} or {"collAsset":"WETH","debtAsset":"DAI"}', '{}')
+    .addOptionalParam('handlers', 'Path to a module exporting the keeper call data handlers')
+    .addOptionalParam('step', 'Price drop per step in %', '1')
+    .addOptionalParam('maxSteps', 'Steps to run before giving up', '50')
+    .setAction(async (args) => {
+        // eslint-disable-next-line global-require
+        const { simulateLiquidationRace, printLiquidationRace } = require('./utils/liquidation-race');
+
+        const [botAcc] = await hre.ethers.getSigners();
+
+        const result = await simulateLiquidationRace({
+            protocol: args.protocol,
+            subId: Number(args.subId),
+            position: JSON.parse(args.position),
+            botAcc,
+            // eslint-disable-next-line global-require, import/no-dynamic-require
+            handlers: args.handlers ? require(path.resolve(args.handlers)) : {},
+            stepPercent: Number(args.step),
+            maxSteps: Number(args.maxSteps),
+        });
+
+        printLiquidationRace(result);
+    });
+
+task('prewarm-balance-slots', 'Finds and caches the balance slots of every @defisaver/tokens token on a fork of the network')
+    .addOptionalPositionalParam('chain', 'Network the fork is of: mainnet, optimism, arbitrum or base', 'mainnet')
+    .setAction(async (args) => {
+        // eslint-disable-next-line global-require
+        const { chainIds } = require('../test/utils');
+        // eslint-disable-next-line global-require
+        const { prewarmBalanceSlots } = require('./utils/balance-slots');
+
+        if (!chainIds[args.chain]) throw new Error(`Unknown network ${args.chain}`);
+
+        const { found, notFound } = await prewarmBalanceSlots(chainIds[args.chain]);
+
+        console.table(found.map(({ symbol, address, layout }) => ({
+            symbol, address, slot: layout.num, vyper: layout.isVyper, shares: layout.isShares,
+        })));
+        console.log(`${found.length} balance slots cached for chain ${chainIds[args.chain]}`);
+
+        if (notFound.length > 0) console.log(`No balance slot found for ${notFound.map(({ symbol }) => symbol).join(', ')}`);
+    });
+
+// RPC_FIXTURES=record|replay forks the hardhat network through the fixture server at the pinned
+// block, the server is only started here so other tasks and networks never need recorded fixtures
+task('test')
+    .setAction(async (args, hre, runSuper) => {
+        // eslint-disable-next-line global-require
+        const { getFixtureMode, useFixtureSet } = require('./utils/rpc-fixtures');
+
+        if (getFixtureMode() && hre.network.name === 'hardhat') {
+            const { url, blockNumber } = useFixtureSet('mainnet', undefined, process.env.ETHEREUM_NODE);
+
+            // the provider is created on its first request so it forks from the updated config
+            Object.assign(hre.network.config.forking, { url, blockNumber });
+        }
+
+        return runSuper(args);
+    });
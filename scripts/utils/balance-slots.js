@@ -0,0 +1,269 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+// { [chainId]: { [tokenAddr]: { isVyper, num, isShares } } }, num is the slot of the balances mapping
+const DEFAULT_CACHE_PATH = path.join(__dirname, '/../../test/storageSlots.json');
+// slots cached before the cache was keyed by chain id, used on every chain
+const LEGACY_KEY = 'legacy';
+
+const MAX_SIMPLE_SLOT = 100;
+// namespaced structs rarely have the balances mapping past the first fields
+const MAX_NAMESPACE_OFFSET = 3;
+
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+// keccak256('org.zeppelinos.proxy.implementation'), used by older proxies like USDC
+const ZEPPELINOS_IMPLEMENTATION_SLOT = '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3';
+
+// big enough that share balances don't round to the probe, small enough for packed uint96/uint128 balances
+const PROBE = hre.ethers.BigNumber.from(2).pow(84);
+
+const PROXY_ABI = ['function implementation() view returns (address)'];
+const ERC20_ABI = ['function balanceOf(address) view returns (uint256)'];
+
+const { utils } = hre.ethers;
+
+/// @notice Base slot of an ERC-7201 namespace, keccak256(keccak256(id) - 1) & ~0xff
+const getErc7201Slot = (namespaceId) => {
+    const slot = hre.ethers.BigNumber.from(utils.keccak256(utils.toUtf8Bytes(namespaceId))).sub(1);
+
+    return utils.hexZeroPad(
+        hre.ethers.BigNumber.from(utils.keccak256(utils.defaultAbiCoder.encode(['uint256'], [slot]))).and(hre.ethers.constants.MaxUint256.sub(0xff)).toHexString(),
+        32,
+    );
+};
+
+// openzeppelin v5 upgradeable ERC20 keeps _balances as the first field of its namespace
+const OZ_ERC20_NAMESPACE_SLOT = getErc7201Slot('openzeppelin.storage.ERC20');
+
+/// @notice Storage index of the account's balance for a cached slot layout
+/// @dev Solidity mappings hash the key before the slot, vyper ones the slot before the key
+const getBalanceSlotIndex = (layout, account) => {
+    const index = layout.isVyper
+        ? utils.solidityKeccak256(['uint256', 'uint256'], [layout.num, account])
+        : utils.solidityKeccak256(['uint256', 'uint256'], [account, layout.num]);
+
+    // remove padding for JSON RPC
+    return utils.hexStripZeros(index);
+};
+
+/// @notice Every PUSH32 value of the bytecode, where namespaced storage slots live
+const extractPush32 = (code) => {
+    const bytes = utils.arrayify(code);
+    const values = new Set();
+
+    for (let i = 0; i < bytes.length; i++) {
+        // PUSH1 - PUSH32 carry 1 - 32 bytes of data that isn't code
+        if (bytes[i] >= 0x60 && bytes[i] <= 0x7f) {
+            const size = bytes[i] - 0x5f;
+
+            if (size === 32 && i + 32 < bytes.length) values.add(utils.hexlify(bytes.slice(i + 1, i + 33)));
+            i += size;
+        }
+    }
+
+    return [...values];
+};
+
+// solidity and vyper mappings in the first slots
+const getSimpleLayouts = () => [...Array(MAX_SIMPLE_SLOT).keys()].flatMap((num) => [
+    { isVyper: false, num },
+    { isVyper: true, num },
+]);
+
+/// @notice Mappings at the first slots of namespaced storage, for each bytecode constant that can be a namespace
+const getNamespacedLayouts = (constants) => [...new Set([OZ_ERC20_NAMESPACE_SLOT, ...constants])].flatMap(
+    (constant) => [...Array(MAX_NAMESPACE_OFFSET).keys()].map((offset) => ({
+        isVyper: false,
+        num: hre.ethers.BigNumber.from(constant).add(offset).toHexString(),
+    })),
+);
+
+// read on every access so tests can point it to another file
+const getCachePath = () => process.env.BALANCE_SLOTS_CACHE || DEFAULT_CACHE_PATH;
+
+const readCache = () => {
+    const cachePath = getCachePath();
+    const cache = fs.existsSync(cachePath) ? JSON.parse(fs.readFileSync(cachePath, 'utf8')) : {};
+
+    return { [LEGACY_KEY]: {}, ...cache };
+};
+
+const writeCachedSlot = (chainId, tokenAddr, layout) => {
+    const cache = readCache();
+
+    cache[chainId] = { ...cache[chainId], [tokenAddr.toLowerCase()]: layout };
+    fs.writeFileSync(getCachePath(), JSON.stringify(cache));
+};
+
+const getCachedSlot = (chainId, tokenAddr, includeLegacy = true) => {
+    const cache = readCache();
+    const key = tokenAddr.toLowerCase();
+
+    return cache[chainId]?.[key] || (includeLegacy ? cache[LEGACY_KEY][key] : undefined);
+};
+
+const getStorageAt = (addr, index) => hre.ethers.provider.send('eth_getStorageAt', [addr, index, 'latest']);
+
+// tenderly forks only take their own method
+const setStorageAt = (addr, index, value) => hre.ethers.provider.send(
+    hre.network.config.type === 'tenderly' ? 'tenderly_setStorageAt' : 'hardhat_setStorageAt',
+    [addr, index, utils.hexZeroPad(hre.ethers.BigNumber.from(value).toHexString(), 32)],
+);
+
+/// @notice Addresses whose bytecode can hold the storage layout: the token and its EIP-1967,
+///         beacon or older proxy implementation
+const getImplementations = async (tokenAddr) => {
+    const toAddress = (word) => utils.getAddress(utils.hexDataSlice(utils.hexZeroPad(word, 32), 12));
+    const addresses = [tokenAddr];
+
+    const implementation = await getStorageAt(tokenAddr, EIP1967_IMPLEMENTATION_SLOT);
+    const beacon = await getStorageAt(tokenAddr, EIP1967_BEACON_SLOT);
+    const zeppelinosImplementation = await getStorageAt(tokenAddr, ZEPPELINOS_IMPLEMENTATION_SLOT);
+
+    [implementation, zeppelinosImplementation].forEach((word) => {
+        if (!hre.ethers.BigNumber.from(word).isZero()) addresses.push(toAddress(word));
+    });
+
+    if (!hre.ethers.BigNumber.from(beacon).isZero()) {
+        const beaconContract = await hre.ethers.getContractAt(PROXY_ABI, toAddress(beacon));
+        addresses.push(await beaconContract.implementation().catch(() => hre.ethers.constants.AddressZero));
+    }
+
+    // aragon proxies (stETH) only expose it through a getter
+    const proxy = await hre.ethers.getContractAt(PROXY_ABI, tokenAddr);
+    addresses.push(await proxy.implementation().catch(() => hre.ethers.constants.AddressZero));
+
+    return [...new Set(addresses.filter((addr) => addr !== hre.ethers.constants.AddressZero))];
+};
+
+/// @notice Writes probes to the balance slot of the layout and checks what balanceOf returns
+/// @return 'direct' when the balance is the written value, 'shares' when it scales with it
+///         (stETH shares, scaled aToken balances), undefined when the slot isn't the balance
+const probeLayout = async (token, layout, account) => {
+    const index = getBalanceSlotIndex(layout, account);
+    const prev = await getStorageAt(token.address, index);
+    const balanceBefore = await token.balanceOf(account);
+
+    const readWith = async (value) => {
+        await setStorageAt(token.address, index, value);
+        return token.balanceOf(account);
+    };
+
+    try {
+        // make sure the probe will change the slot value
+        const probe = hre.ethers.BigNumber.from(prev).eq(PROBE) ? PROBE.mul(3) : PROBE;
+        const balance = await readWith(probe);
+
+        if (balance.eq(probe)) return 'direct';
+        if (balance.eq(balanceBefore) || balance.isZero()) return undefined;
+
+        // a shares balance doubles with the written value, give or take the rounding
+        const doubled = await readWith(probe.mul(2));
+
+        return doubled.sub(balance.mul(2)).abs().lte(2) ? 'shares' : undefined;
+    } catch (err) {
+        return undefined;
+    } finally {
+        // reset to previous value
+        await setStorageAt(token.address, index, prev);
+    }
+};
+
+const findLayout = async (token, layouts) => {
+    for (let i = 0; i < layouts.length; i++) {
+        const match = await probeLayout(token, layouts[i], hre.ethers.constants.AddressZero);
+
+        if (match) return { isVyper: layouts[i].isVyper, num: layouts[i].num, isShares: match === 'shares' };
+    }
+
+    return undefined;
+};
+
+/// @notice Finds the slot of the token's balances mapping, cached per chain id in test/storageSlots.json
+///         or the BALANCE_SLOTS_CACHE file
+/// @dev Simple slots are probed first, the bytecode of the token and its implementations is only read
+///      for namespaced slots when none of them match
+/// @param opts.skipLegacy Probe the legacy cached slot instead of trusting it, used when pre-warming
+/// @return { isVyper, num, isShares } or undefined when no layout matches
+const resolveBalanceSlot = async (tokenAddr, chainId, opts = {}) => {
+    const cached = getCachedSlot(chainId, tokenAddr, !opts.skipLegacy);
+    if (cached) return cached;
+
+    const token = await hre.ethers.getContractAt(ERC20_ABI, tokenAddr);
+    const legacy = readCache()[LEGACY_KEY][tokenAddr.toLowerCase()];
+
+    let layout = await findLayout(token, legacy ? [legacy, ...getSimpleLayouts()] : getSimpleLayouts());
+
+    if (!layout) {
+        const implementations = await getImplementations(tokenAddr);
+        const codes = await Promise.all(implementations.map((addr) => hre.ethers.provider.getCode(addr)));
+
+        layout = await findLayout(token, getNamespacedLayouts(codes.flatMap(extractPush32)));
+    }
+
+    if (layout) writeCachedSlot(chainId, tokenAddr, layout);
+
+    return layout;
+};
+
+/// @notice Value to store in the balance slot for the token balance, converted to shares for share layouts
+/// @dev Shares are rounded up so the balance isn't under the value
+const getStoredBalance = async (tokenAddr, account, layout, value) => {
+    if (!layout.isShares) return hre.ethers.BigNumber.from(value);
+
+    const token = await hre.ethers.getContractAt(ERC20_ABI, tokenAddr);
+    const index = getBalanceSlotIndex(layout, account);
+    const prev = await getStorageAt(tokenAddr, index);
+
+    await setStorageAt(tokenAddr, index, PROBE);
+    const balance = await token.balanceOf(account);
+    await setStorageAt(tokenAddr, index, prev);
+
+    return hre.ethers.BigNumber.from(value).mul(PROBE).add(balance).sub(1)
+        .div(balance);
+};
+
+/// @notice Resolves the balance slot of every token of @defisaver/tokens on the chain and caches it
+/// @return { found: [{ symbol, address, layout }], notFound: [{ symbol, address }] }
+const prewarmBalanceSlots = async (chainId) => {
+    // eslint-disable-next-line global-require
+    const { assets, getAssetInfo } = require('@defisaver/tokens');
+
+    const tokens = assets
+        .map(({ symbol }) => getAssetInfo(symbol, chainId))
+        .filter(({ address }) => utils.isAddress(address || '') && address !== hre.ethers.constants.AddressZero)
+        .filter(({ address }) => address.toLowerCase() !== '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee');
+
+    const found = [];
+    const notFound = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const { symbol, address } = tokens[i];
+        const hasCode = (await hre.ethers.provider.getCode(address)) !== '0x';
+        const layout = hasCode ? await resolveBalanceSlot(address, chainId, { skipLegacy: true }) : undefined;
+
+        if (layout) {
+            found.push({ symbol, address, layout });
+        } else {
+            notFound.push({ symbol, address });
+        }
+    }
+
+    return { found, notFound };
+};
+
+module.exports = {
+    getErc7201Slot,
+    getBalanceSlotIndex,
+    extractPush32,
+    getNamespacedLayouts,
+    resolveBalanceSlot,
+    getStoredBalance,
+    prewarmBalanceSlots,
+};
@@ -0,0 +1,107 @@
+/* eslint-disable import/no-extraneous-dependencies */
+
+const hre = require('hardhat');
+
+// solc appends cbor encoded metadata to the runtime code, last 2 bytes hold its length
+const stripMetadata = (code) => {
+    const hexCode = (code.startsWith('0x') ? code.slice(2) : code).toLowerCase();
+
+    if (hexCode.length < 4) return `0x${hexCode}`;
+
+    const metadataLength = parseInt(hexCode.slice(-4), 16) * 2 + 4;
+
+    if (metadataLength > hexCode.length) return `0x${hexCode}`;
+
+    return `0x${hexCode.slice(0, hexCode.length - metadataLength)}`;
+};
+
+/// @notice Simulates the deployment of a contract and returns the runtime code it would have
+/// @dev Immutables are filled in by the constructor so they are part of the comparison
+const getExpectedRuntimeCode = async (contractName, ...args) => {
+    const Contract = await hre.ethers.getContractFactory(contractName);
+    const { data } = Contract.getDeployTransaction(...args);
+
+    return hre.ethers.provider.call({ data });
+};
+
+const isCodeMatching = (deployedCode, expectedCode) => {
+    if (!deployedCode || deployedCode === '0x') return false;
+
+    return stripMetadata(deployedCode) === stripMetadata(expectedCode);
+};
+
+// immutable references of every contract in a build info, keyed by build info path
+const immutableRefsCache = {};
+
+const getImmutableReferences = async (sourceName, contractName) => {
+    const buildInfoPath = await hre.artifacts.getBuildInfoPath(`${sourceName}:${contractName}`);
+
+    if (!buildInfoPath) return {};
+
+    if (!immutableRefsCache[buildInfoPath]) {
+        const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+        const refs = {};
+
+        Object.entries(buildInfo.output.contracts).forEach(([source, contracts]) => {
+            Object.entries(contracts).forEach(([name, output]) => {
+                refs[`${source}:${name}`] = output.evm?.deployedBytecode?.immutableReferences || {};
+            });
+        });
+
+        immutableRefsCache[buildInfoPath] = refs;
+    }
+
+    return immutableRefsCache[buildInfoPath][`${sourceName}:${contractName}`] || {};
+};
+
+/// @notice Returns the artifact runtime code and the byte ranges that differ per deployment
+/// @dev Those are immutables (filled in the constructor) and linked library addresses
+const getArtifactCode = async (contractName) => {
+    const artifact = await hre.artifacts.readArtifact(contractName);
+    const { sourceName } = artifact;
+    const immutableReferences = await getImmutableReferences(sourceName, artifact.contractName);
+
+    const libraryRefs = Object.values(artifact.deployedLinkReferences || {})
+        .flatMap((libs) => Object.values(libs));
+
+    const masks = [...Object.values(immutableReferences), ...libraryRefs].flat();
+
+    return { code: artifact.deployedBytecode, masks };
+};
+
+const maskCode = (code, masks) => {
+    let hexCode = (code.startsWith('0x') ? code.slice(2) : code).toLowerCase();
+
+    masks.forEach(({ start, length }) => {
+        const masked = '0'.repeat(length * 2);
+        hexCode = hexCode.slice(0, start * 2) + masked + hexCode.slice((start + length) * 2);
+    });
+
+    return `0x${hexCode}`;
+};
+
+/// @notice Compares deployed code with the local artifact when constructor args are not known
+const isArtifactCodeMatching = async (deployedCode, contractName) => {
+    if (!deployedCode || deployedCode === '0x') return false;
+
+    const { code, masks } = await getArtifactCode(contractName);
+
+    return isCodeMatching(maskCode(deployedCode, masks), maskCode(code, masks));
+};
+
+const isDeployedCodeMatching = async (addr, contractName, ...args) => {
+    const deployedCode = await hre.ethers.provider.getCode(addr);
+    const expectedCode = await getExpectedRuntimeCode(contractName, ...args);
+
+    return isCodeMatching(deployedCode, expectedCode);
+};
+
+module.exports = {
+    stripMetadata,
+    getExpectedRuntimeCode,
+    isCodeMatching,
+    isDeployedCodeMatching,
+    getArtifactCode,
+    maskCode,
+    isArtifactCodeMatching,
+};
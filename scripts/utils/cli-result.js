@@ -0,0 +1,211 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const util = require('util');
+const hre = require('hardhat');
+
+const { addrs, nullAddress } = require('../../test/utils');
+
+const TX_METHODS = ['eth_sendTransaction', 'eth_sendRawTransaction'];
+
+// events of the ids commands create, keyed by the name they're listed under in the result
+const ID_EVENTS = {
+    subIds: ['event Subscribe(uint256 indexed subId, address indexed walletAddr, bytes32 indexed subHash, (uint64,bool,bytes[],bytes32[]) subStruct)', 'subId'],
+    vaultIds: ['event NewCdp(address indexed usr, address indexed own, uint256 indexed cdp)', 'cdp'],
+    bondIds: ['event BondCreated(address indexed bonder, uint256 bondId, uint256 amount, uint256 approxChickenInStartTime)', 'bondId'],
+};
+
+const idEventsInterface = new hre.ethers.utils.Interface(Object.values(ID_EVENTS).map(([event]) => event));
+
+const STANDARD_ERRORS = new hre.ethers.utils.Interface(['error Error(string)', 'error Panic(uint256)']);
+
+let result = null;
+let errorInterfaces = null;
+
+/// @notice Whether the current command prints a json result
+const isJsonOutput = () => result !== null;
+
+/// @notice Adds command specific fields to the json result, e.g. balances or position info
+const addResult = (fields) => {
+    if (result) Object.assign(result.data, fields);
+};
+
+// revert data is nested differently by ethers, hardhat and the rpc node
+const findRevertData = (err, depth = 0) => {
+    if (!err || depth > 4) return null;
+    if (typeof err === 'string') return /^0x[0-9a-fA-F]{8}/.test(err) ? err : null;
+
+    return findRevertData(err.data, depth + 1) || findRevertData(err.error, depth + 1);
+};
+
+// custom errors of every compiled contract, loaded only once a revert needs them
+const getErrorInterfaces = async () => {
+    if (!errorInterfaces) {
+        const names = await hre.artifacts.getAllFullyQualifiedNames();
+
+        errorInterfaces = names
+            .map((name) => hre.artifacts.readArtifactSync(name).abi.filter(({ type }) => type === 'error'))
+            .filter((abi) => abi.length > 0)
+            .map((abi) => new hre.ethers.utils.Interface(abi));
+    }
+
+    return [STANDARD_ERRORS, ...errorInterfaces];
+};
+
+/// @notice Error message with the revert reason decoded from Error(string), Panic or a custom error
+const decodeError = async (err) => {
+    const data = findRevertData(err);
+    const decoded = { message: err?.reason || err?.message || String(err) };
+
+    if (!data) return decoded;
+
+    decoded.data = data;
+
+    const interfaces = await getErrorInterfaces();
+    for (let i = 0; i < interfaces.length; i++) {
+        try {
+            const { name, args } = interfaces[i].parseError(data);
+
+            decoded.reason = `${name}(${args.map((arg) => arg.toString()).join(', ')})`;
+            break;
+        } catch (e) {
+            // selector is not in this interface
+        }
+    }
+
+    return decoded;
+};
+
+/// @notice Records a failure in the json result, for commands that catch their own errors
+const addError = async (err) => {
+    if (!result) return;
+
+    result.success = false;
+    result.error = await decodeError(err);
+};
+
+const getTxResult = async (hash) => {
+    const receipt = await hre.ethers.provider.getTransactionReceipt(hash);
+
+    if (!receipt) return { hash };
+
+    receipt.logs.forEach((log) => {
+        try {
+            const { name, args } = idEventsInterface.parseLog(log);
+            const [key, [, arg]] = Object.entries(ID_EVENTS).find(([, [event]]) => event.includes(`event ${name}(`));
+
+            result.ids[key].push(args[arg].toString());
+        } catch (e) {
+            // not an id event
+        }
+    });
+
+    return {
+        hash,
+        from: receipt.from,
+        to: receipt.to,
+        status: receipt.status === 1 ? 'success' : 'reverted',
+        gasUsed: receipt.gasUsed.toString(),
+        blockNumber: receipt.blockNumber,
+    };
+};
+
+// proxies and eth balances of every account that sent a tx
+const getAccounts = async (txs) => {
+    const network = process.env.TEST_CHAIN_ID || 'mainnet';
+    const senders = [...new Set(txs.map(({ from }) => from).filter((from) => from))];
+    const proxyRegistry = await hre.ethers.getContractAt('IProxyRegistry', addrs[network].PROXY_REGISTRY);
+
+    const accounts = {};
+    for (let i = 0; i < senders.length; i++) {
+        const proxy = await proxyRegistry.proxies(senders[i]).catch(() => nullAddress);
+        const balance = await hre.ethers.provider.getBalance(senders[i]);
+
+        accounts[senders[i]] = {
+            proxy: proxy === nullAddress ? null : proxy,
+            ethBalance: hre.ethers.utils.formatEther(balance),
+        };
+    }
+
+    return accounts;
+};
+
+const finishJsonOutput = async (print) => {
+    for (let i = 0; i < result.txHashes.length; i++) {
+        result.txs.push(await getTxResult(result.txHashes[i]));
+    }
+
+    result.accounts = await getAccounts(result.txs).catch(() => ({}));
+
+    const { txHashes, ...output } = result;
+    print(JSON.stringify(output, null, 2));
+};
+
+/// @notice Switches a command to json output: logs are collected instead of printed, sent txs are
+///         tracked and one json result is printed on exit
+/// @dev The result has the command, success, txs, created ids (subIds, vaultIds, bondIds), the proxy and
+///      eth balance of each sender, command specific data, the collected logs and the decoded error
+const startJsonOutput = (command, args, opts) => {
+    result = {
+        command,
+        args,
+        options: opts,
+        success: true,
+        txs: [],
+        ids: { subIds: [], vaultIds: [], bondIds: [] },
+        accounts: {},
+        data: {},
+        logs: [],
+        error: null,
+        txHashes: [],
+    };
+
+    const print = console.log;
+    const collect = (...values) => result.logs.push(util.format(...values));
+    console.log = collect;
+    console.info = collect;
+    console.warn = collect;
+    console.error = collect;
+    console.table = (data) => result.logs.push(util.inspect(data, { depth: null, breakLength: Infinity }));
+
+    // ethers sends through send, other callers through request
+    const { provider } = hre.network;
+    const [send, request] = [provider.send.bind(provider), provider.request.bind(provider)];
+    const trackTx = (method, txHash) => {
+        if (TX_METHODS.includes(method)) result.txHashes.push(txHash);
+        return txHash;
+    };
+    provider.send = async (method, params) => trackTx(method, await send(method, params));
+    provider.request = async (reqArgs) => trackTx(reqArgs.method, await request(reqArgs));
+
+    const exit = process.exit;
+    let finished = false;
+    process.exit = (code = 0) => {
+        if (finished) return;
+        finished = true;
+
+        if (code !== 0) result.success = false;
+
+        // commands that catch their own errors still exit with 0
+        finishJsonOutput(print)
+            .catch((err) => print(JSON.stringify({ ...result, error: { message: err.message } })))
+            .finally(() => exit(result.success ? code : code || 1));
+    };
+
+    // commands that return without calling process.exit
+    process.on('beforeExit', () => process.exit(0));
+
+    process.on('unhandledRejection', async (err) => {
+        await addError(err);
+        process.exit(1);
+    });
+};
+
+module.exports = {
+    startJsonOutput,
+    isJsonOutput,
+    addResult,
+    addError,
+    decodeError,
+};
@@ -0,0 +1,130 @@
+/* eslint-disable max-len */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const ethers = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const { describeStrategy } = require('./strategy-decoder');
+const { getSourcePath, getCallDataType } = require('./strategy-call-builder');
+
+const strategyExecutorAbi = require('../../artifacts/contracts/core/strategy/StrategyExecutor.sol/StrategyExecutor.json').abi;
+const strategyExecutorL2Abi = require('../../artifacts/contracts/core/l2/StrategyExecutorL2.sol/StrategyExecutorL2.json').abi;
+
+const EXECUTOR_INTERFACES = [
+    new ethers.utils.Interface(strategyExecutorAbi),
+    new ethers.utils.Interface(strategyExecutorL2Abi),
+];
+
+/// @notice Decodes executeStrategy call data of either StrategyExecutor or StrategyExecutorL2
+/// @return { subId, strategyIndex, triggerCallData, actionsCallData, strategySub }, strategySub only on L1
+const decodeExecuteStrategyCall = (callData) => {
+    const selector = callData.slice(0, 10);
+    // other executor functions share the interfaces, so the matched function must be executeStrategy
+    const iface = EXECUTOR_INTERFACES.find((i) => Object.keys(i.functions).some((f) => i.getSighash(f) === selector));
+    const tx = iface?.parseTransaction({ data: callData });
+
+    if (tx?.name !== 'executeStrategy') throw new Error(`${selector} is not executeStrategy of StrategyExecutor(L2)`);
+
+    const { args } = tx;
+
+    return {
+        isL2: args.length === 4,
+        subId: args[0].toNumber(),
+        strategyIndex: args[1].toNumber(),
+        triggerCallData: args[2],
+        actionsCallData: args[3],
+        strategySub: args[4],
+    };
+};
+
+/// @notice Type of the action Params from its parseInputs in artifacts/, falls back to the source
+///         for actions that decode the call data inline (e.g. FLAction)
+const getActionParamsType = (idEntry) => {
+    const sourcePath = getSourcePath(idEntry);
+
+    if (sourcePath) {
+        const contractName = path.basename(sourcePath, '.sol');
+        const artifactPath = path.join('artifacts', sourcePath, `${contractName}.json`);
+
+        if (fs.existsSync(artifactPath)) {
+            const { abi } = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+            const parseInputs = abi.find((f) => f.type === 'function' && f.name.startsWith('parseInputs')
+                && f.inputs.length === 1 && f.outputs.length === 1 && f.outputs[0].type === 'tuple');
+
+            if (parseInputs) return ethers.utils.ParamType.from({ ...parseInputs.outputs[0], name: 'params' });
+        }
+    }
+
+    return getCallDataType(idEntry);
+};
+
+/// @notice Decoded struct as an object keyed by field names
+const toNamedValues = (param, value) => {
+    if (param.baseType === 'tuple') {
+        return Object.fromEntries(param.components.map((c, i) => [c.name, toNamedValues(c, value[i])]));
+    }
+
+    if (param.baseType === 'array') return value.map((v) => toNamedValues(param.arrayChildren, v));
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+
+    return value;
+};
+
+const decodeCallData = (paramType, callData) => {
+    if (!paramType) return null;
+
+    try {
+        return toNamedValues(paramType, ethers.utils.defaultAbiCoder.decode([paramType], callData)[0]);
+    } catch (err) {
+        return null;
+    }
+};
+
+/// @notice Names the call data of every trigger and action of an executed strategy
+/// @param execution Output of decodeExecuteStrategyCall
+/// @param strategy Strategy that was executed, as in StrategyStorage
+/// @param idsMap Map of registry ids to contract files from generateIds()
+const decodeStrategyExecution = (execution, strategyId, strategy, idsMap) => {
+    const description = describeStrategy(strategyId, strategy, idsMap);
+
+    const triggers = description.triggers.map((trigger, i) => ({
+        name: trigger.name,
+        raw: execution.triggerCallData[i],
+        params: decodeCallData(getCallDataType(idsMap[trigger.id], 'CallParams'), execution.triggerCallData[i]),
+    }));
+
+    const actions = description.actions.map((action, i) => {
+        let paramsType = null;
+
+        try {
+            paramsType = getActionParamsType(idsMap[action.id]);
+        } catch (err) {
+            // unknown action, only the raw call data is shown
+        }
+
+        return {
+            name: action.name,
+            raw: execution.actionsCallData[i],
+            params: decodeCallData(paramsType, execution.actionsCallData[i]),
+            // the call data holds placeholders for these, the values come from the sources
+            injected: Object.fromEntries(action.params
+                .filter((param) => param.name && param.source.type !== 'none')
+                .map((param) => [param.name, param.source])),
+        };
+    });
+
+    return {
+        strategyId,
+        strategyName: description.name,
+        triggers,
+        actions,
+    };
+};
+
+module.exports = {
+    decodeExecuteStrategyCall,
+    decodeStrategyExecution,
+    getActionParamsType,
+    toNamedValues,
+};
@@ -0,0 +1,148 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+const {
+    addrs,
+    nullAddress,
+    getNetwork,
+    getAddrFromRegistry,
+    takeSnapshot,
+    revertToSnapshot,
+} = require('../../test/utils');
+const { isTenderlyFork } = require('./fork');
+
+// gitignored, holds the metadata of every fork forkooor worked with
+const STATE_PATH = path.join(__dirname, '/../../forkooor-state.json');
+
+const readState = () => (fs.existsSync(STATE_PATH) ? JSON.parse(fs.readFileSync(STATE_PATH, 'utf8')) : { forks: {} });
+
+const writeState = (state) => fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+
+// snapshots only exist on the fork they were taken on
+const getForkKey = () => (isTenderlyFork() ? `tenderly/${process.env.FORK_ID}` : hre.network.config.url || hre.network.name);
+
+const getSubStorage = async () => hre.ethers.getContractAt('SubStorage', await getAddrFromRegistry('SubStorage', addrs[getNetwork()].REGISTRY_ADDR));
+
+const updateFork = (update) => {
+    const state = readState();
+    const key = getForkKey();
+
+    state.forks[key] = update(state.forks[key] || { network: getNetwork(), mockedPrices: {}, snapshots: {} });
+    writeState(state);
+
+    return state.forks[key];
+};
+
+/// @notice Starts a clean entry for a new fork, subs created after this are recorded in its snapshots
+const recordNewFork = async (network) => {
+    const subStorage = await getSubStorage();
+    const startBlock = await hre.ethers.provider.getBlockNumber();
+    const startSubsCount = (await subStorage.getSubsCount()).toNumber();
+
+    updateFork(() => ({
+        network,
+        startBlock,
+        startSubsCount,
+        createdAt: new Date().toISOString(),
+        mockedPrices: {},
+        snapshots: {},
+    }));
+};
+
+/// @notice Tracks prices set in the mocked chainlink registry, so snapshots can list them
+const recordMockedPrice = (tokenLabel, price) => updateFork((fork) => ({
+    ...fork,
+    mockedPrices: { ...fork.mockedPrices, [tokenLabel]: Number(price) },
+}));
+
+// subs created on the fork, unknown when the fork wasn't created with new-fork
+const getForkSubs = async (fork) => {
+    if (fork.startSubsCount === undefined) return null;
+
+    const subStorage = await getSubStorage();
+    const subsCount = (await subStorage.getSubsCount()).toNumber();
+    const subs = [];
+
+    for (let subId = fork.startSubsCount; subId < subsCount; subId++) {
+        const storedSub = await subStorage.getSub(subId);
+
+        subs.push({ subId, walletAddr: storedSub.walletAddr, isEnabled: storedSub.isEnabled });
+    }
+
+    return subs;
+};
+
+/// @notice Takes an evm snapshot of the fork and stores it under the name with the fork's metadata
+/// @param senders Accounts whose DSProxy addresses are recorded, defaults to the first signer
+const saveSnapshot = async (name, senders = []) => {
+    const fork = readState().forks[getForkKey()] || { mockedPrices: {}, snapshots: {} };
+    const owners = senders.length > 0 ? senders : [(await hre.ethers.getSigners())[0].address];
+
+    const proxyRegistry = await hre.ethers.getContractAt('IProxyRegistry', addrs[getNetwork()].PROXY_REGISTRY);
+    const proxies = {};
+    for (let i = 0; i < owners.length; i++) {
+        const proxy = await proxyRegistry.proxies(owners[i]);
+
+        if (proxy !== nullAddress) proxies[owners[i]] = proxy;
+    }
+
+    const block = await hre.ethers.provider.getBlock('latest');
+    const snapshot = {
+        snapshotId: await takeSnapshot(),
+        savedAt: new Date().toISOString(),
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        proxies,
+        subs: await getForkSubs(fork),
+        mockedPrices: fork.mockedPrices,
+    };
+
+    updateFork((f) => ({ ...f, snapshots: { ...f.snapshots, [name]: snapshot } }));
+
+    return snapshot;
+};
+
+/// @notice Reverts the fork to a saved snapshot
+/// @dev A reverted snapshot can't be used again so it's retaken, a local node also drops every
+///      snapshot taken after it so those are removed
+const restoreSnapshot = async (name) => {
+    const fork = readState().forks[getForkKey()];
+    const snapshot = fork?.snapshots[name];
+
+    if (!snapshot) throw new Error(`No snapshot ${name} for fork ${getForkKey()}`);
+
+    const reverted = await revertToSnapshot(snapshot.snapshotId);
+    if (reverted === false) throw new Error(`Snapshot ${name} (${snapshot.snapshotId}) no longer exists on the fork`);
+
+    const snapshotId = await takeSnapshot();
+
+    const dropped = isTenderlyFork() ? [] : Object.keys(fork.snapshots).filter(
+        (other) => fork.snapshots[other].savedAt > snapshot.savedAt,
+    );
+
+    updateFork((f) => ({
+        ...f,
+        mockedPrices: snapshot.mockedPrices,
+        snapshots: Object.fromEntries([
+            ...Object.entries(f.snapshots).filter(([other]) => other !== name && !dropped.includes(other)),
+            [name, { ...snapshot, snapshotId }],
+        ]),
+    }));
+
+    return { ...snapshot, snapshotId, dropped };
+};
+
+const getSnapshots = () => readState().forks[getForkKey()]?.snapshots || {};
+
+module.exports = {
+    recordNewFork,
+    recordMockedPrice,
+    saveSnapshot,
+    restoreSnapshot,
+    getSnapshots,
+};
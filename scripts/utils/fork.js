@@ -1,4 +1,5 @@
 /* eslint-disable import/no-extraneous-dependencies */
+/* eslint-disable max-len */
 
 const axios = require('axios');
 
@@ -8,7 +9,22 @@ const chainIds = {
     arbitrum: 42161,
 };
 
-const createFork = async (network) => {
+// topUp amount in eth, same on both backends
+const TOP_UP_AMOUNT = 1000000;
+
+// hardhat-tasks loads this file from the hardhat config, so hardhat can only be required once used
+// eslint-disable-next-line global-require
+const getHre = () => require('hardhat');
+
+/// @notice Tenderly forks are used when the selected network is of type tenderly (the fork network),
+///         any other network is treated as a local Hardhat or Anvil node
+const isTenderlyFork = () => getHre().network.config.type === 'tenderly';
+
+const getLocalForkUrl = (network = 'mainnet') => (
+    network === 'mainnet' ? process.env.ETHEREUM_NODE : process.env[`${network.toUpperCase()}_NODE`]
+);
+
+const createTenderlyFork = async (network) => {
     try {
         const headers = {
             'Content-Type': 'application/json',
@@ -32,19 +48,59 @@ const createFork = async (network) => {
     }
 };
 
-const topUp = async (account) => {
+/// @dev Resets the local node to a fresh fork of the network, anvil accepts the hardhat_ methods as well
+const createLocalFork = async (network) => {
+    try {
+        await getHre().network.provider.request({
+            method: 'hardhat_reset',
+            params: [{ forking: { jsonRpcUrl: getLocalForkUrl(network) } }],
+        });
+
+        return getHre().network.config.url;
+    } catch (err) {
+        console.log(err);
+        return -1;
+    }
+};
+
+const topUpTenderly = async (account) => {
     const headers = {
         'Content-Type': 'application/json',
         'X-Access-Key': process.env.TENDERLY_ACCESS_KEY,
     };
 
-    const body = { accounts: [account], amount: 1000000 };
+    const body = { accounts: [account], amount: TOP_UP_AMOUNT };
 
     await axios.post(`https://api.tenderly.co/api/v1/account/defisaver-v2/project/strategies/fork/${process.env.FORK_ID}/balance`, body, { headers });
 };
 
+const topUpLocal = async (account) => {
+    const { ethers, network } = getHre();
+    const balance = ethers.utils.hexStripZeros(ethers.utils.parseEther(TOP_UP_AMOUNT.toString()).toHexString());
+
+    await network.provider.send('hardhat_setBalance', [account, balance]);
+};
+
+/// @notice Creates a new fork, returns the tenderly fork id or the url of the local node
+const createFork = (network) => (isTenderlyFork() ? createTenderlyFork(network) : createLocalFork(network));
+
+/// @notice Gives the account TOP_UP_AMOUNT eth on the fork
+const topUp = (account) => (isTenderlyFork() ? topUpTenderly(account) : topUpLocal(account));
+
+/// @notice Lets txs be sent from the account without its key, tenderly forks already accept them
+const impersonate = async (account) => {
+    if (isTenderlyFork()) return;
+
+    await getHre().network.provider.request({
+        method: 'hardhat_impersonateAccount',
+        params: [account],
+    });
+};
+
 module.exports = {
     createFork,
     topUp,
+    impersonate,
+    isTenderlyFork,
     chainIds,
 };
@@ -0,0 +1,283 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const hre = require('hardhat');
+
+const {
+    addrs,
+    getNetwork,
+    getAddrFromRegistry,
+    getRegistryName,
+    isNetworkFork,
+    generateIds,
+} = require('../../test/utils');
+
+const { addBotCaller, getUpdatedStrategySub } = require('../../test/utils-strategies');
+const { executeStrategy } = require('../../test/strategy-calls');
+const { buildStrategyExecution } = require('./strategy-call-builder');
+
+// same values as TriggerStatus in StrategyTriggerViewNoRevert
+const TRIGGER_STATUS = ['FALSE', 'TRUE', 'REVERT'];
+
+const SUB_STRUCT = '(uint64,bool,bytes[],bytes32[])';
+
+const SUB_EVENTS = [
+    `Subscribe(uint256,address,bytes32,${SUB_STRUCT})`,
+    `UpdateData(uint256,bytes32,${SUB_STRUCT})`,
+    'ActivateSub(uint256)',
+    'DeactivateSub(uint256)',
+];
+
+// most triggers ignore the call data, the ones that don't need a handler that sets it
+const getDefaultTriggerCallData = (strategy) => strategy.triggerIds.map(
+    () => hre.ethers.utils.defaultAbiCoder.encode(['uint256'], ['0']),
+);
+
+/// @notice Local bot that executes strategies of the subs it indexes from SubStorage
+/// @dev The action call data is strategy specific so it's built by handlers, keyed by
+///      `bundle:<id>`, `strategy:<id>` or the strategy name, which return
+///      { strategyIndex, triggerCallData, actionsCallData } or null to skip the sub. Instead of the
+///      call data handlers can return { strategyIndex, actionValues, triggerValues } (see buildStrategyExecution)
+/// @param opts.botAcc Signer that calls the executor, added to BotAuth if it's not there and the network isn't live
+/// @param opts.handlers Map of handlers
+/// @param opts.fromBlock Block to index events from, defaults to the current one
+/// @param opts.subIds Subs created before fromBlock that should also be watched
+const createKeeper = async (opts) => {
+    const network = getNetwork();
+    const isL2 = network !== 'mainnet';
+    const regAddr = addrs[network].REGISTRY_ADDR;
+    const handlers = opts.handlers || {};
+    const { botAcc } = opts;
+
+    const subStorageAddr = await getAddrFromRegistry('SubStorage', regAddr);
+    const subStorage = await hre.ethers.getContractAt('SubStorage', subStorageAddr);
+    const strategyStorage = await hre.ethers.getContractAt('StrategyStorage', addrs[network].STRATEGY_STORAGE_ADDR);
+    const bundleStorage = await hre.ethers.getContractAt('BundleStorage', addrs[network].BUNDLE_STORAGE_ADDR);
+
+    const executorName = isL2 ? 'StrategyExecutorL2' : 'StrategyExecutor';
+    const executorAddr = await getAddrFromRegistry(getRegistryName(executorName), regAddr);
+    const strategyExecutor = (await hre.ethers.getContractAt(executorName, executorAddr)).connect(botAcc);
+
+    const botAuth = await hre.ethers.getContractAt('BotAuth', await getAddrFromRegistry('BotAuth', regAddr));
+
+    if (!(await botAuth.approvedCallers(botAcc.address))) {
+        // live deploy networks are the ones with a block explorer, on hardhat, a local node or tenderly the owner is impersonated
+        if (hre.network.config.blockExplorer !== undefined) {
+            throw new Error(`Bot ${botAcc.address} is not approved in BotAuth`);
+        }
+
+        await addBotCaller(botAcc.address, regAddr, isNetworkFork());
+    }
+
+    // the registered view reverts on trigger errors, the no revert one is only deployed when there is none
+    const triggerViewAddr = await getAddrFromRegistry('StrategyTriggerView', regAddr);
+    const isRegisteredView = triggerViewAddr !== hre.ethers.constants.AddressZero;
+
+    let triggerView;
+    if (isRegisteredView) {
+        triggerView = await hre.ethers.getContractAt('StrategyTriggerView', triggerViewAddr);
+    } else {
+        triggerView = await (await hre.ethers.getContractFactory('StrategyTriggerViewNoRevert')).deploy();
+        await triggerView.deployed();
+    }
+
+    /// @return TRIGGER_STATUS of the sub for both views
+    const checkTriggers = async (strategySub, triggerCallData) => {
+        if (!isRegisteredView) {
+            return TRIGGER_STATUS[await triggerView.callStatic.checkTriggers(strategySub, triggerCallData)];
+        }
+
+        try {
+            return (await triggerView.callStatic.checkTriggers(strategySub, triggerCallData)) ? 'TRUE' : 'FALSE';
+        } catch (err) {
+            return 'REVERT';
+        }
+    };
+
+    const idsMap = generateIds();
+
+    const subs = {};
+    let lastBlock = opts.fromBlock !== undefined
+        ? opts.fromBlock - 1
+        : await hre.ethers.provider.getBlockNumber();
+
+    const subIds = opts.subIds || [];
+    for (let i = 0; i < subIds.length; i++) {
+        const storedSub = await subStorage.getSub(subIds[i]);
+
+        subs[subIds[i]] = {
+            subId: Number(subIds[i]),
+            walletAddr: hre.ethers.utils.getAddress(storedSub.walletAddr),
+            isEnabled: storedSub.isEnabled,
+            strategySub: await getUpdatedStrategySub(subStorage, subStorageAddr, subIds[i]),
+        };
+    }
+
+    /// @notice Applies all SubStorage events since the last sync
+    const sync = async () => {
+        const toBlock = await hre.ethers.provider.getBlockNumber();
+
+        if (toBlock <= lastBlock) return subs;
+
+        const logs = await hre.ethers.provider.getLogs({
+            address: subStorageAddr,
+            topics: [SUB_EVENTS.map((event) => hre.ethers.utils.id(event))],
+            fromBlock: lastBlock + 1,
+            toBlock,
+        });
+
+        logs.forEach((log) => {
+            const { name, args } = subStorage.interface.parseLog(log);
+            const subId = args.subId.toNumber();
+
+            if (name === 'Subscribe') {
+                subs[subId] = {
+                    subId, walletAddr: args.walletAddr, isEnabled: true, strategySub: args.subStruct,
+                };
+            }
+
+            // subs created before fromBlock are ignored unless listed in subIds
+            if (!subs[subId]) return;
+
+            if (name === 'UpdateData') subs[subId].strategySub = args.subStruct;
+            if (name === 'ActivateSub') subs[subId].isEnabled = true;
+            if (name === 'DeactivateSub') subs[subId].isEnabled = false;
+        });
+
+        lastBlock = toBlock;
+
+        return subs;
+    };
+
+    const getHandler = (strategySub, strategyId, strategy) => {
+        if (strategySub.isBundle && handlers[`bundle:${strategySub.strategyOrBundleId}`]) {
+            return handlers[`bundle:${strategySub.strategyOrBundleId}`];
+        }
+
+        return handlers[`strategy:${strategyId}`] || handlers[strategy.name];
+    };
+
+    const executeSub = async (sub, result) => {
+        const { strategySub } = sub;
+
+        // all strategies in a bundle have the same triggers
+        const strategyId = strategySub.isBundle
+            ? (await bundleStorage.getStrategyId(strategySub.strategyOrBundleId, 0)).toNumber()
+            : strategySub.strategyOrBundleId.toNumber();
+
+        const strategy = await strategyStorage.getStrategy(strategyId);
+        const handler = getHandler(strategySub, strategyId, strategy);
+
+        /* eslint-disable no-param-reassign */
+        result.strategyId = strategyId;
+        result.strategyName = strategy.name;
+
+        // handlers can also set the trigger call data so they run before the trigger check
+        let callData = handler
+            ? await handler({
+                ...sub, strategyId, strategy, botAcc, strategyExecutor,
+            })
+            : null;
+
+        if (callData && !callData.actionsCallData) {
+            const executedStrategyId = strategySub.isBundle && callData.strategyIndex
+                ? await bundleStorage.getStrategyId(strategySub.strategyOrBundleId, callData.strategyIndex)
+                : strategyId;
+
+            callData = {
+                ...callData,
+                ...buildStrategyExecution(
+                    await strategyStorage.getStrategy(executedStrategyId),
+                    { ...callData, strategyId: executedStrategyId.toString() },
+                    idsMap,
+                ),
+            };
+        }
+
+        const triggerCallData = callData?.triggerCallData || getDefaultTriggerCallData(strategy);
+
+        result.triggerStatus = await checkTriggers(strategySub, triggerCallData);
+
+        if (result.triggerStatus !== 'TRUE') return;
+
+        if (!callData) {
+            result.skipped = handler ? 'handler returned no call data' : 'no handler';
+            return;
+        }
+
+        result.executed = false;
+
+        const { receipt: tx } = await executeStrategy(
+            isL2,
+            strategyExecutor,
+            sub.subId,
+            callData.strategyIndex || 0,
+            triggerCallData,
+            callData.actionsCallData,
+            strategySub,
+        );
+        result.txHash = tx.hash;
+
+        const receipt = await tx.wait();
+        result.executed = receipt.status === 1;
+        if (!result.executed) result.error = 'execution reverted';
+        /* eslint-enable no-param-reassign */
+    };
+
+    /// @notice Checks the triggers of a sub and executes it if they are all true
+    /// @dev Errors of handlers, trigger checks and the execution are set as result.error so
+    ///      one broken sub doesn't stop the round
+    const processSub = async (sub) => {
+        const result = { subId: sub.subId };
+
+        try {
+            await executeSub(sub, result);
+        } catch (err) {
+            result.error = err.reason || err.message;
+        }
+
+        return result;
+    };
+
+    /// @notice One round of the bot, syncs the subs and processes all active ones
+    const runOnce = async () => {
+        await sync();
+
+        const results = [];
+        const activeSubs = Object.values(subs).filter((sub) => sub.isEnabled);
+
+        for (let i = 0; i < activeSubs.length; i++) {
+            results.push(await processSub(activeSubs[i]));
+        }
+
+        return results;
+    };
+
+    return {
+        subs,
+        sync,
+        processSub,
+        runOnce,
+        triggerView,
+        strategyExecutor,
+    };
+};
+
+const printKeeperResults = (results) => {
+    results.forEach((result) => {
+        let status = `triggers ${result.triggerStatus}`;
+
+        if (result.executed) status += `, executed in ${result.txHash}`;
+        if (result.executed === false) status += `, execution failed: ${result.error}`;
+        if (result.skipped) status += `, skipped: ${result.skipped}`;
+        if (result.error && result.executed === undefined) status = `failed: ${result.error}`;
+
+        console.log(`Sub #${result.subId} (${result.strategyId} ${result.strategyName}): ${status}`);
+    });
+};
+
+module.exports = {
+    createKeeper,
+    printKeeperResults,
+};
@@ -0,0 +1,362 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const hre = require('hardhat');
+const { getAssetInfo, ilks } = require('@defisaver/tokens');
+
+const {
+    addrs,
+    chainIds,
+    getNetwork,
+    ETH_ADDR,
+    WETH_ADDRESS,
+    WBTC_ADDR,
+    WSTETH_ADDRESS,
+    STETH_ADDRESS,
+    LUSD_ADDR,
+    DAI_ADDR,
+    getChainLinkPrice,
+    mockChainlinkPriceFeed,
+    setMockPrice,
+    setContractAt,
+    setStorageAt,
+} = require('../../test/utils');
+const { MCD_MANAGER_ADDR } = require('../../test/utils-mcd');
+const { createKeeper } = require('./keeper');
+
+const LIQUITY_PRICE_FEED = '0x4c517D4e2C851CA76d7eC94B805269Df0f2201De';
+
+// liquity troves are liquidated under 110% when the system is not in recovery mode
+const LIQUITY_MCR = 110;
+
+// same mapping as getAddrForChainlinkOracle in TokenPriceHelper
+const CHAINLINK_TOKEN_ADDRS = {
+    [WETH_ADDRESS.toLowerCase()]: ETH_ADDR,
+    [WSTETH_ADDRESS.toLowerCase()]: STETH_ADDRESS,
+    [WBTC_ADDR.toLowerCase()]: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB',
+};
+
+const toRatio = (amount, decimals = 16) => parseFloat(hre.ethers.utils.formatUnits(amount, decimals));
+
+// factors are rounded to 1e-6 as BigNumbers can't be multiplied by floats
+const scale = (amount, factor) => hre.ethers.BigNumber.from(amount).mul(Math.round(factor * 1e6)).div(1e6);
+
+const getTokenAddr = (token) => (hre.ethers.utils.isAddress(token) ? token : getAssetInfo(token, chainIds[getNetwork()]).address);
+
+/// @notice Replaces a chainlink feed with MockChainlinkAggregator that keeps the current answer
+/// @return Setter that scales the answer of the feed by a factor of its starting answer
+const mockAggregator = async (feedAddr) => {
+    const feed = await hre.ethers.getContractAt('IAggregatorV3', feedAddr);
+    const { answer } = await feed.latestRoundData();
+
+    const mock = await setContractAt({ name: 'MockChainlinkAggregator', address: feedAddr });
+
+    // latestRoundId of the mock is in a slot the replaced feed might have used
+    await setStorageAt(feedAddr, '0x1', hre.ethers.utils.hexZeroPad('0x', 32));
+
+    let roundId = 1;
+
+    const setRound = async (factor) => {
+        const { timestamp } = await hre.ethers.provider.getBlock('latest');
+
+        await mock.setMockRounds([{ roundId, answer: scale(answer, factor), updatedAt: timestamp }]);
+        roundId++;
+    };
+
+    // liquity also reads the previous round so the starting answer is kept as the first one
+    await setRound(1);
+
+    return setRound;
+};
+
+const getMcdAdapter = async ({ vaultId }) => {
+    const mcdView = await (await hre.ethers.getContractFactory('McdView')).deploy();
+    const manager = await hre.ethers.getContractAt('IManager', MCD_MANAGER_ADDR);
+    const spotterAddr = await mcdView.spotter();
+    const spotter = await hre.ethers.getContractAt('ISpotter', spotterAddr);
+    // ISpotter only has the getters used by the contracts
+    const spotterPoker = await hre.ethers.getContractAt(['function poke(bytes32)'], spotterAddr);
+
+    const ilk = await manager.ilks(vaultId);
+    const { pip, mat } = await spotter.ilks(ilk);
+
+    const ilkLabel = hre.ethers.utils.parseBytes32String(ilk);
+    const ilkInfo = ilks.find((i) => i.ilkLabel === ilkLabel);
+
+    // OSM stores cur and nxt as (uint128 val, uint128 has) in slots 3 and 4
+    const cur = await hre.ethers.provider.getStorageAt(pip, 3);
+    const startPrice = hre.ethers.BigNumber.from(`0x${cur.slice(-32)}`);
+
+    return {
+        collToken: getAssetInfo(ilkInfo.asset).address,
+        debtToken: DAI_ADDR,
+        setPriceFactor: async (factor) => {
+            const feed = hre.ethers.BigNumber.from(1).shl(128).or(scale(startPrice, factor));
+
+            await setStorageAt(pip, '0x3', hre.ethers.utils.hexZeroPad(feed.toHexString(), 32));
+            await setStorageAt(pip, '0x4', hre.ethers.utils.hexZeroPad(feed.toHexString(), 32));
+            await spotterPoker.poke(ilk);
+        },
+        getRatio: async () => toRatio(await mcdView.getRatio(MCD_MANAGER_ADDR, vaultId)),
+        getLiquidationRatio: async () => toRatio(mat, 25),
+    };
+};
+
+// aave v3 and spark ratio triggers use (debt + available borrows) / debt, which is liquidated at ltv / liquidation threshold
+const getAaveV3Adapter = async ({
+    market, user, collAsset, debtAsset,
+}) => {
+    const provider = await hre.ethers.getContractAt('IPoolAddressesProvider', market);
+    const pool = await hre.ethers.getContractAt('IPoolV3', await provider.getPool());
+    const oracle = await hre.ethers.getContractAt('IAaveV3Oracle', await provider.getPriceOracle());
+
+    const collToken = getTokenAddr(collAsset);
+    const setRound = await mockAggregator(await oracle.getSourceOfAsset(collToken));
+
+    const getRatio = async () => {
+        const { totalDebtBase, availableBorrowsBase } = await pool.getUserAccountData(user);
+        if (totalDebtBase.eq(0)) return 0;
+
+        return toRatio(totalDebtBase.add(availableBorrowsBase).mul(1e4).div(totalDebtBase), 2);
+    };
+
+    return {
+        collToken,
+        debtToken: getTokenAddr(debtAsset),
+        setPriceFactor: setRound,
+        getRatio,
+        getLiquidationRatio: async () => {
+            const { healthFactor } = await pool.getUserAccountData(user);
+
+            return (await getRatio()) / toRatio(healthFactor, 18);
+        },
+    };
+};
+
+// compV3 ratio trigger uses borrow collateral factors, liquidations use liquidate collateral factors
+const getCompV3Adapter = async ({ market, user, collAsset }) => {
+    const comet = await hre.ethers.getContractAt('IComet', market || addrs[getNetwork()].COMET_USDC_ADDR);
+
+    const collToken = getTokenAddr(collAsset);
+    const { priceFeed } = await comet.getAssetInfoByAddress(collToken);
+    const setRound = await mockAggregator(priceFeed);
+
+    const getAdjustedValues = async () => {
+        const numAssets = await comet.numAssets();
+        let borrowAdjusted = hre.ethers.BigNumber.from(0);
+        let liquidateAdjusted = hre.ethers.BigNumber.from(0);
+
+        for (let i = 0; i < numAssets; i++) {
+            const assetInfo = await comet.getAssetInfo(i);
+            const balance = await comet.collateralBalanceOf(user, assetInfo.asset);
+
+            if (!balance.eq(0)) {
+                const value = balance.mul(await comet.getPrice(assetInfo.priceFeed)).div(assetInfo.scale);
+
+                borrowAdjusted = borrowAdjusted.add(value.mul(assetInfo.borrowCollateralFactor).div(hre.ethers.constants.WeiPerEther));
+                liquidateAdjusted = liquidateAdjusted.add(value.mul(assetInfo.liquidateCollateralFactor).div(hre.ethers.constants.WeiPerEther));
+            }
+        }
+
+        const debt = (await comet.borrowBalanceOf(user)).mul(await comet.getPrice(await comet.baseTokenPriceFeed())).div(await comet.priceScale());
+
+        return { borrowAdjusted, liquidateAdjusted, debt };
+    };
+
+    return {
+        collToken,
+        debtToken: await comet.baseToken(),
+        setPriceFactor: setRound,
+        getRatio: async () => {
+            const { borrowAdjusted, debt } = await getAdjustedValues();
+
+            return debt.eq(0) ? 0 : toRatio(borrowAdjusted.mul(1e4).div(debt), 2);
+        },
+        getLiquidationRatio: async () => {
+            const { borrowAdjusted, liquidateAdjusted } = await getAdjustedValues();
+
+            return toRatio(borrowAdjusted.mul(1e4).div(liquidateAdjusted), 2);
+        },
+    };
+};
+
+const getLiquityAdapter = async ({ user }) => {
+    const liquityView = await (await hre.ethers.getContractFactory('LiquityView')).deploy();
+    const priceFeed = await hre.ethers.getContractAt('IPriceFeed', LIQUITY_PRICE_FEED);
+
+    const [aggregatorAddr] = hre.ethers.utils.defaultAbiCoder.decode(['address'], await hre.ethers.provider.call({
+        to: LIQUITY_PRICE_FEED,
+        data: hre.ethers.utils.id('priceAggregator()').slice(0, 10),
+    }));
+    const setRound = await mockAggregator(aggregatorAddr);
+
+    return {
+        collToken: WETH_ADDRESS,
+        debtToken: LUSD_ADDR,
+        setPriceFactor: async (factor) => {
+            await setRound(factor);
+            // lastGoodPrice is only updated when the price is fetched
+            await priceFeed.fetchPrice();
+        },
+        getRatio: async () => {
+            const { collAmount, debtAmount, collPrice } = await liquityView['getTroveInfo(address)'](user);
+
+            return toRatio(collAmount.mul(collPrice).div(debtAmount));
+        },
+        getLiquidationRatio: async () => LIQUITY_MCR,
+    };
+};
+
+const getMorphoBlueAdapter = async ({ user, marketParams }) => {
+    const [loanToken, collToken, oracleAddr, , lltv] = marketParams;
+    const morphoBlueView = await (await hre.ethers.getContractFactory('MorphoBlueView')).deploy();
+
+    const startPrice = await (await hre.ethers.getContractAt('IOracle', oracleAddr)).price();
+    const oracle = await setContractAt({ name: 'MockMorphoBlueOracle', address: oracleAddr });
+    await oracle.setPrice(startPrice);
+
+    return {
+        collToken,
+        debtToken: loanToken,
+        setPriceFactor: (factor) => oracle.setPrice(scale(startPrice, factor)),
+        getRatio: async () => toRatio(await morphoBlueView.callStatic.getRatioUsingParams(marketParams, user)),
+        getLiquidationRatio: async () => 1e4 / toRatio(lltv),
+    };
+};
+
+/// @notice Position adapters move the collateral price the protocol reads and return ratios in %
+///         in the units the protocol's ratio trigger uses
+const POSITION_ADAPTERS = {
+    mcd: getMcdAdapter,
+    aaveV3: (position) => getAaveV3Adapter({ market: addrs[getNetwork()].AAVE_MARKET, ...position }),
+    spark: (position) => getAaveV3Adapter({ market: addrs[getNetwork()].SPARK_MARKET, ...position }),
+    compV3: getCompV3Adapter,
+    liquity: getLiquityAdapter,
+    morphoBlue: getMorphoBlueAdapter,
+};
+
+/// @notice Steps the collateral price of a position down and executes its sub once it triggers
+/// @dev Prices of the position's tokens (and ETH) are also mocked in the chainlink feed registry so
+///      price triggers and gas fees see the same price path
+/// @param opts.protocol One of mcd, aaveV3, spark, compV3, liquity, morphoBlue
+/// @param opts.position { vaultId } for mcd, { collAsset, debtAsset } for aaveV3/spark,
+///        { market, collAsset } for compV3 and { marketParams } for morphoBlue, user defaults to the sub wallet
+/// @param opts.subId Repay or close sub of the position
+/// @param opts.botAcc Signer that executes the sub
+/// @param opts.handlers Keeper handlers that build the call data of the strategy (see createKeeper)
+/// @param opts.stepPercent Price drop per step in % of the starting price
+/// @param opts.maxSteps Steps to run before giving up
+/// @return { executed, liquidatable, liquidationRatio, steps: [{ step, priceFactor, ratio, liquidationRatio, triggerStatus }] }
+///         execution holds the step the sub was executed at with the ratio before and after
+const simulateLiquidationRace = async (opts) => {
+    const {
+        protocol, subId, botAcc, stepPercent = 1, maxSteps = 50,
+    } = opts;
+
+    const keeper = await createKeeper({ botAcc, handlers: opts.handlers, subIds: [subId] });
+    const sub = keeper.subs[subId];
+
+    const getAdapter = POSITION_ADAPTERS[protocol];
+    if (!getAdapter) throw new Error(`Unsupported protocol ${protocol}, use one of ${Object.keys(POSITION_ADAPTERS).join(', ')}`);
+
+    const adapter = await getAdapter({ user: sub.walletAddr, ...opts.position });
+
+    let setFeedRegistryPrices = async () => {};
+
+    if (addrs[getNetwork()].FEED_REGISTRY) {
+        const tokens = [...new Set([ETH_ADDR, adapter.collToken, adapter.debtToken]
+            .map((token) => CHAINLINK_TOKEN_ADDRS[token.toLowerCase()] || token))];
+        const collChainlinkAddr = CHAINLINK_TOKEN_ADDRS[adapter.collToken.toLowerCase()] || adapter.collToken;
+
+        // starting prices are read before the registry is replaced, tokens without a usd feed are left out
+        const startPrices = await Promise.all(tokens.map(
+            (token) => getChainLinkPrice(token).then((price) => price / 1e8).catch(() => null),
+        ));
+        const feedRegistry = await mockChainlinkPriceFeed();
+
+        // the mocked registry has one latest round for all tokens, so all prices are set in each round
+        setFeedRegistryPrices = async (roundId, factor) => {
+            for (let i = 0; i < tokens.length; i++) {
+                // eslint-disable-next-line no-continue
+                if (startPrices[i] === null) continue;
+
+                const price = tokens[i] === collChainlinkAddr ? startPrices[i] * factor : startPrices[i];
+                await setMockPrice(feedRegistry, roundId, tokens[i], price);
+            }
+        };
+    }
+
+    const result = {
+        protocol,
+        subId,
+        executed: false,
+        liquidatable: false,
+        steps: [],
+    };
+
+    for (let step = 0; step <= maxSteps; step++) {
+        const priceFactor = 1 - (step * stepPercent) / 100;
+        if (priceFactor <= 0) break;
+
+        await adapter.setPriceFactor(priceFactor);
+        await setFeedRegistryPrices(step + 1, priceFactor);
+
+        const ratio = await adapter.getRatio();
+        const liquidationRatio = await adapter.getLiquidationRatio();
+        const stepResult = {
+            step, priceFactor, ratio, liquidationRatio,
+        };
+        result.steps.push(stepResult);
+
+        // the race is lost once a liquidator can take the position before the bot executes
+        if (ratio > 0 && ratio <= liquidationRatio) {
+            result.liquidatable = true;
+            result.liquidationRatio = liquidationRatio;
+            break;
+        }
+
+        const keeperResult = await keeper.processSub(sub);
+        stepResult.triggerStatus = keeperResult.triggerStatus;
+
+        if (keeperResult.executed !== undefined || keeperResult.skipped || keeperResult.error) {
+            result.execution = {
+                ...stepResult,
+                ...keeperResult,
+                ratioAfter: await adapter.getRatio(),
+                // how far above the liquidation ratio the position was when the sub was executed
+                margin: ratio - liquidationRatio,
+            };
+            result.executed = !!keeperResult.executed;
+            result.liquidationRatio = liquidationRatio;
+            break;
+        }
+    }
+
+    return result;
+};
+
+const printLiquidationRace = (result) => {
+    result.steps.forEach(({
+        step, priceFactor, ratio, liquidationRatio, triggerStatus,
+    }) => {
+        console.log(`Step ${step}: price ${(priceFactor * 100).toFixed(2)}%, ratio ${ratio.toFixed(2)}%, liquidation at ${liquidationRatio.toFixed(2)}%, triggers ${triggerStatus || '-'}`);
+    });
+
+    const { execution } = result;
+
+    if (execution?.executed) {
+        console.log(`Sub #${result.subId} executed at ratio ${execution.ratio.toFixed(2)}% (${execution.margin.toFixed(2)}% above liquidation), ratio after ${execution.ratioAfter.toFixed(2)}%`);
+    } else if (execution) {
+        console.log(`Sub #${result.subId} triggered at ratio ${execution.ratio.toFixed(2)}% but wasn't executed: ${execution.error || execution.skipped}`);
+    } else if (result.liquidatable) {
+        console.log(`Sub #${result.subId} lost the race, position is liquidatable at ratio ${result.steps[result.steps.length - 1].ratio.toFixed(2)}%`);
+    } else {
+        console.log(`Sub #${result.subId} didn't trigger in ${result.steps.length} steps`);
+    }
+};
+
+module.exports = {
+    simulateLiquidationRace,
+    printLiquidationRace,
+};
@@ -0,0 +1,139 @@
+/* eslint-disable max-len */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const ethers = require('ethers');
+
+const { getSourcePath, getSourcesWithImports, toParamType } = require('./strategy-call-builder');
+const { getActionParamsType, toNamedValues } = require('./execution-decoder');
+
+const ELEMENTARY_TYPE = /^(address|bool|string|bytes\d*|u?int\d*)$/;
+const NOT_A_TYPE = ['return', 'emit', 'delete', 'else', 'new'];
+
+// log payloads are built as logData = abi.encode(...), inline in emit ActionEvent("Name", abi.encode(...))
+// or returned next to the action return value as return (amount, abi.encode(...))
+const LOG_DATA_ENCODE = /(?:\blogData\s*=\s*|ActionEvent\(\s*"\w+"\s*,\s*|return\s*\(\s*[\w.]+\s*,\s*)abi\.encode\(/;
+
+const splitArgs = (argsSource) => {
+    const args = [''];
+    let depth = 0;
+
+    argsSource.split('').forEach((ch) => {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+
+        if (ch === ',' && depth === 0) {
+            args.push('');
+        } else {
+            args[args.length - 1] += ch;
+        }
+    });
+
+    return args.map((arg) => arg.trim()).filter((arg) => arg.length > 0);
+};
+
+const getLogDataArgs = (source) => {
+    const match = source.match(LOG_DATA_ENCODE);
+
+    if (!match) return null;
+
+    const start = match.index + match[0].length;
+    let end = start;
+
+    for (let depth = 1; depth > 0 && end < source.length; end++) {
+        if (source[end] === '(') depth++;
+        if (source[end] === ')') depth--;
+    }
+
+    return splitArgs(source.slice(start, end - 1));
+};
+
+// first declaration of the variable in the action, params and locals look the same
+const getDeclaredType = (source, varName) => {
+    const declarations = source.matchAll(
+        new RegExp(`([\\w.]+(?:\\[\\d*\\])*)\\s+(?:memory\\s+|calldata\\s+|storage\\s+)?${varName}\\s*[,;=)]`, 'g'),
+    );
+
+    return [...declarations].map(([, type]) => type).find((type) => !NOT_A_TYPE.includes(type)) || null;
+};
+
+// _params.from -> from, address(this) -> this
+const getParamName = (expression) => expression.replace(/^\w+\((.*)\)$/, '$1').split('.').pop().replace(/^_/, '');
+
+/// @notice Type of one abi.encode arg, null if it can't be resolved from the source
+const getArgType = (expression, sources, actionParamsType) => {
+    const [source] = sources;
+
+    const cast = expression.match(/^(\w+)\(.*\)$/);
+    if (cast) return ELEMENTARY_TYPE.test(cast[1]) ? ethers.utils.ParamType.from(cast[1]) : null;
+
+    // numbers and arithmetic, e.g. endingBalance - startingBalance
+    if (/^[\w.\s()]+([-+*/][\w.\s()]+)*$/.test(expression) && /^\d+$|[-+*/]/.test(expression)) {
+        return ethers.utils.ParamType.from('uint256');
+    }
+    if (expression === 'true' || expression === 'false') return ethers.utils.ParamType.from('bool');
+    if (!/^[\w.]+$/.test(expression)) return null;
+
+    const [varName, ...members] = expression.split('.');
+    const declaredType = getDeclaredType(source, varName);
+
+    if (!declaredType) return null;
+
+    // the action input struct is taken from its abi, other types from the source
+    let paramType = actionParamsType && declaredType.split('.').pop() === actionParamsType.structName
+        ? actionParamsType.type
+        : toParamType(varName, declaredType, sources);
+
+    members.forEach((member) => {
+        paramType = paramType?.components?.find((component) => component.name === member) || null;
+    });
+
+    return paramType;
+};
+
+/// @notice Types of the payload an action emits in ActionEvent/ActionDirectEvent
+/// @return Array of { name, type } or null if the payload can't be resolved
+const getLogDataTypes = (idEntry) => {
+    const sourcePath = getSourcePath(idEntry);
+
+    if (!sourcePath) return null;
+
+    const sources = getSourcesWithImports(sourcePath);
+    const args = getLogDataArgs(sources[0]);
+
+    if (!args) return null;
+
+    let actionParamsType = null;
+
+    try {
+        const type = getActionParamsType(idEntry);
+        const structName = sources[0].match(/abi\.decode\(\s*_call[dD]ata\s*,\s*\(\s*([\w.]+)\s*\)\s*\)/)?.[1]?.split('.').pop();
+
+        if (type && structName) actionParamsType = { type, structName };
+    } catch (err) {
+        // the params struct is resolved from the source then
+    }
+
+    const types = args.map((arg) => ({ name: getParamName(arg), type: getArgType(arg, sources, actionParamsType) }));
+
+    return types.every(({ type }) => type) ? types : null;
+};
+
+/// @notice Decodes an action log payload into an object keyed by the names of the encoded vars
+const decodeLogData = (types, data) => {
+    if (!types) return null;
+
+    try {
+        const decoded = ethers.utils.defaultAbiCoder.decode(types.map(({ type }) => type), data);
+
+        return Object.fromEntries(types.map(({ name, type }, i) => [name, toNamedValues(type, decoded[i])]));
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = {
+    getLogDataArgs,
+    getArgType,
+    getLogDataTypes,
+    decodeLogData,
+};
@@ -0,0 +1,381 @@
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+
+const {
+    redeploy,
+    addrs,
+    getNetwork,
+    getNameId,
+    getRegistryName,
+    getAddrFromRegistry,
+    getOwnerAddr,
+    approveContractInRegistry,
+    setNewExchangeWrapper,
+    impersonateAccount,
+    stopImpersonatingAccount,
+    isNetworkFork,
+} = require('../../test/utils');
+
+const { addBotCaller } = require('../../test/utils-strategies');
+const { isDeployedCodeMatching } = require('./bytecode');
+const { deployAsOwner } = require('./deployer');
+const { topUp } = require('./fork');
+const { loadStrategyDefinition, compileStrategyDefinition } = require('./strategy-compiler');
+const { getFile, changeConstantInFiles } = require('./utils');
+const { DEPLOYMENTS_FOLDER_NAME } = require('./writer');
+
+const MANIFESTS_FOLDER = path.join(__dirname, '..', 'manifests');
+const CONTRACTS_FOLDER = path.join(__dirname, '..', '..', 'contracts');
+
+const DFS_REGISTRY = 'contracts/core/DFSRegistry.sol:DFSRegistry';
+
+const validateManifest = (manifest, manifestPath) => {
+    const fail = (msg) => {
+        throw new Error(`Invalid manifest ${manifestPath}: ${msg}`);
+    };
+
+    const validateContract = (c, i) => {
+        if (typeof c.name !== 'string' || c.name.length === 0) fail(`contract #${i} has no name`);
+        if (c.args !== undefined && typeof c.args !== 'object') fail(`${c.name} args must be an array or an object`);
+
+        Object.entries(c.constants || {}).forEach(([constant, fileNames]) => {
+            if (!Array.isArray(fileNames) || fileNames.length === 0) fail(`${c.name} constant ${constant} must list the files it is in`);
+        });
+    };
+
+    if (!manifest.release) fail('missing release name');
+    if (!Array.isArray(manifest.contracts)) fail('contracts must be an array');
+
+    (manifest.ownerContracts || []).forEach(validateContract);
+
+    manifest.contracts.forEach((c, i) => {
+        validateContract(c, i);
+        if (c.waitTime !== undefined && !Number.isInteger(c.waitTime)) fail(`${c.name} waitTime must be an integer`);
+    });
+
+    (manifest.botCallers || []).forEach((botAddr) => {
+        if (!hre.ethers.utils.isAddress(botAddr)) fail(`bot caller ${botAddr} is not an address`);
+    });
+
+    const strategies = manifest.strategies || [];
+    const bundles = manifest.bundles || [];
+
+    // on a rerun against an existing registry they would be created again
+    if ((strategies.length > 0 || bundles.length > 0) && !(manifest.ownerContracts || []).some((c) => c.name === 'DFSRegistry')) {
+        fail('strategies and bundles need a DFSRegistry in ownerContracts');
+    }
+
+    bundles.forEach((bundle, i) => {
+        if (!Array.isArray(bundle) || bundle.length === 0) fail(`bundle #${i} must be a non empty array`);
+
+        bundle.forEach((name) => {
+            if (!strategies.includes(name)) fail(`bundle #${i} strategy ${name} is not in strategies`);
+        });
+    });
+};
+
+/// @notice Reads a manifest either by path or by its name in scripts/manifests
+const loadManifest = (manifestPathOrName) => {
+    let manifestPath = manifestPathOrName;
+
+    if (!fs.existsSync(manifestPath)) {
+        const fileName = manifestPath.endsWith('.json') ? manifestPath : `${manifestPath}.json`;
+        manifestPath = path.join(MANIFESTS_FOLDER, fileName);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    validateManifest(manifest, manifestPath);
+
+    return manifest;
+};
+
+/// @notice Args can be listed in order or keyed by constructor param name (with or without _)
+const resolveConstructorArgs = async (contract) => {
+    if (!contract.args) return [];
+    if (Array.isArray(contract.args)) return contract.args;
+
+    const Contract = await hre.ethers.getContractFactory(contract.name);
+
+    return Contract.interface.deploy.inputs.map((input) => {
+        const argName = input.name.replace(/^_/, '');
+        const value = contract.args[argName] ?? contract.args[input.name];
+
+        if (value === undefined) {
+            throw new Error(`Missing constructor arg ${argName} for ${contract.name}`);
+        }
+
+        return value;
+    });
+};
+
+const setWaitPeriod = async (registryName, waitTime, regAddr, isFork) => {
+    if (!isFork) await impersonateAccount(getOwnerAddr());
+
+    const signer = await hre.ethers.provider.getSigner(getOwnerAddr());
+    const registry = await hre.ethers.getContractAt(DFS_REGISTRY, regAddr, signer);
+
+    const id = getNameId(registryName);
+
+    // new entries are added with 0 wait period so the change can be approved right away
+    await registry.startWaitPeriodChange(id, waitTime, { gasLimit: 2000000 });
+    await registry.approveWaitPeriodChange(id, { gasLimit: 2000000 });
+
+    if (!isFork) await stopImpersonatingAccount(getOwnerAddr());
+};
+
+/// @notice Sets the constants to the deployed address and recompiles, so the next contracts use it
+/// @dev The source of each file is kept in originalSources the first time it changes
+const setContractConstants = async (contract, address, originalSources) => {
+    const constants = Object.entries(contract.constants || {});
+
+    if (constants.length === 0) return;
+
+    for (let i = 0; i < constants.length; i++) {
+        const [constant, fileNames] = constants[i];
+
+        for (let j = 0; j < fileNames.length; j++) {
+            const [filePath] = await getFile(CONTRACTS_FOLDER, fileNames[j]);
+
+            if (!filePath) throw new Error(`${fileNames[j]} for ${constant} not found in contracts`);
+
+            if (!originalSources.has(filePath)) {
+                originalSources.set(filePath, fs.readFileSync(filePath, 'utf8'));
+            }
+        }
+
+        await changeConstantInFiles(CONTRACTS_FOLDER, fileNames, constant, address);
+    }
+
+    await hre.run('compile');
+};
+
+const restoreContractSources = async (originalSources) => {
+    if (originalSources.size === 0) return;
+
+    originalSources.forEach((source, filePath) => fs.writeFileSync(filePath, source));
+
+    await hre.run('compile');
+};
+
+const deployOwnerContract = async (contract, originalSources) => {
+    const args = await resolveConstructorArgs(contract);
+    const signer = await hre.ethers.provider.getSigner(getOwnerAddr());
+
+    const c = await deployAsOwner(contract.name, signer, ...args);
+    await setContractConstants(contract, c.address, originalSources);
+
+    return { name: contract.name, address: c.address, status: 'deployed' };
+};
+
+const deployManifestContract = async (contract, regAddr, saveOnTenderly, isFork) => {
+    const args = await resolveConstructorArgs(contract);
+    const registryName = getRegistryName(contract.name);
+    const id = getNameId(registryName);
+
+    const registry = await hre.ethers.getContractAt(DFS_REGISTRY, regAddr);
+    const entry = await registry.entries(id);
+
+    const result = { name: contract.name, registryName, id };
+
+    if (entry.exists && await isDeployedCodeMatching(entry.contractAddr, contract.name, ...args)) {
+        return { ...result, address: entry.contractAddr, status: 'skipped' };
+    }
+
+    // a previous run might have stopped after starting the change
+    if (entry.inContractChange) {
+        const pendingAddr = await registry.pendingAddresses(id);
+
+        if (await isDeployedCodeMatching(pendingAddr, contract.name, ...args)) {
+            if (!isFork) await impersonateAccount(getOwnerAddr());
+            await approveContractInRegistry(registryName, regAddr);
+            if (!isFork) await stopImpersonatingAccount(getOwnerAddr());
+
+            return { ...result, address: pendingAddr, status: 'approved' };
+        }
+    }
+
+    const c = await redeploy(contract.name, regAddr, saveOnTenderly, isFork, ...args);
+
+    if (!entry.exists && contract.waitTime > 0) {
+        await setWaitPeriod(registryName, contract.waitTime, regAddr, isFork);
+    }
+
+    return { ...result, address: c.address, status: 'deployed' };
+};
+
+const registerExchangeWrapper = async (senderAcc, wrapperAddr, isFork) => {
+    const wrapperRegistry = await hre.ethers.getContractAt(
+        'WrapperExchangeRegistry',
+        addrs[getNetwork()].WRAPPER_EXCHANGE_REGISTRY,
+    );
+
+    if (await wrapperRegistry.isWrapper(wrapperAddr)) return false;
+
+    await setNewExchangeWrapper(senderAcc, wrapperAddr, isFork);
+
+    return true;
+};
+
+const registerBotCaller = async (botAddr, regAddr, isFork) => {
+    const botAuth = await hre.ethers.getContractAt('BotAuth', await getAddrFromRegistry('BotAuth', regAddr));
+
+    if (await botAuth.approvedCallers(botAddr)) return false;
+
+    await addBotCaller(botAddr, regAddr, isFork);
+
+    return true;
+};
+
+const createManifestStrategies = async (manifest, regAddr, network) => {
+    if (!manifest.strategies && !manifest.bundles) return { strategies: [], bundles: [] };
+
+    const strategyStorage = await hre.ethers.getContractAt('StrategyStorage', await getAddrFromRegistry('StrategyStorage', regAddr));
+    const bundleStorage = await hre.ethers.getContractAt('BundleStorage', await getAddrFromRegistry('BundleStorage', regAddr));
+
+    const strategies = [];
+    const bundles = [];
+
+    for (let i = 0; i < (manifest.strategies || []).length; i++) {
+        const definition = loadStrategyDefinition(manifest.strategies[i]);
+
+        if (definition.networks && !definition.networks.includes(network)) {
+            throw new Error(`Strategy ${definition.name} is not defined for ${network}`);
+        }
+
+        await strategyStorage.createStrategy(
+            ...compileStrategyDefinition(definition),
+            !!definition.continuous,
+            { gasLimit: 5000000 },
+        );
+        const id = (await strategyStorage.getStrategyCount()).toNumber() - 1;
+
+        console.log(`Strategy ${manifest.strategies[i]}: ${id}`);
+        strategies.push({ name: manifest.strategies[i], id });
+    }
+
+    for (let i = 0; i < (manifest.bundles || []).length; i++) {
+        const strategyIds = manifest.bundles[i].map(
+            (name) => strategies.find((s) => s.name === name).id,
+        );
+
+        await bundleStorage.createBundle(strategyIds, { gasLimit: 5000000 });
+        const id = (await bundleStorage.getBundleCount()).toNumber() - 1;
+
+        console.log(`Bundle [${strategyIds.join(', ')}]: ${id}`);
+        bundles.push({ strategies: manifest.bundles[i], id });
+    }
+
+    return { strategies, bundles };
+};
+
+const writeManifestOutput = (output) => {
+    const outputDir = path.join(__dirname, '..', '..', DEPLOYMENTS_FOLDER_NAME);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const outputPath = path.join(outputDir, `${output.release}.${output.network}.json`);
+    fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+
+    return outputPath;
+};
+
+/// @notice Executes a manifest against the current network
+/// @dev Safe to rerun, contracts whose registered code already matches are skipped.
+/// With a DFSRegistry in ownerContracts the whole system is deployed again to a new registry
+const runManifest = async (manifest) => {
+    const network = getNetwork();
+
+    if (manifest.network && manifest.network !== network) {
+        throw new Error(`Manifest ${manifest.release} is for ${manifest.network}, current network is ${network}`);
+    }
+
+    const isFork = isNetworkFork();
+    const ownerContracts = manifest.ownerContracts || [];
+    const saveOnTenderly = manifest.saveOnTenderly || false;
+
+    // a new registry is only owned by the owner signer, which is unlocked on a fork
+    if (ownerContracts.length > 0 && !isFork) {
+        throw new Error(`Owner contracts of ${manifest.release} can only be deployed on a fork`);
+    }
+
+    const senderAcc = (await hre.ethers.getSigners())[0];
+
+    if (isFork) {
+        await topUp(senderAcc.address);
+        await topUp(getOwnerAddr());
+    }
+
+    const output = {
+        release: manifest.release,
+        network,
+        registry: manifest.registry || addrs[network].REGISTRY_ADDR,
+        ownerContracts: [],
+        contracts: [],
+        botCallers: [],
+        strategies: [],
+        bundles: [],
+    };
+
+    // contract sources changed by constants, restored once the run ends
+    const originalSources = new Map();
+
+    try {
+        for (let i = 0; i < ownerContracts.length; i++) {
+            const result = await deployOwnerContract(ownerContracts[i], originalSources);
+
+            if (result.name === 'DFSRegistry') output.registry = result.address;
+
+            console.log(`${result.name}: ${result.address} (${result.status})`);
+            output.ownerContracts.push(result);
+        }
+
+        const regAddr = output.registry;
+
+        for (let i = 0; i < manifest.contracts.length; i++) {
+            const contract = manifest.contracts[i];
+            const result = await deployManifestContract(contract, regAddr, saveOnTenderly, isFork);
+
+            if (contract.exchangeWrapper) {
+                result.wrapperAdded = await registerExchangeWrapper(
+                    senderAcc,
+                    result.address,
+                    isFork,
+                );
+            }
+
+            await setContractConstants(contract, result.address, originalSources);
+
+            console.log(`${result.name}: ${result.address} (${result.status})`);
+            output.contracts.push(result);
+        }
+
+        const botCallers = manifest.botCallers || [];
+        for (let i = 0; i < botCallers.length; i++) {
+            const added = await registerBotCaller(botCallers[i], regAddr, isFork);
+
+            console.log(`Bot caller ${botCallers[i]}: ${added ? 'added' : 'already approved'}`);
+            output.botCallers.push({ address: botCallers[i], added });
+        }
+
+        const { strategies, bundles } = await createManifestStrategies(manifest, regAddr, network);
+        output.strategies = strategies;
+        output.bundles = bundles;
+    } finally {
+        await restoreContractSources(originalSources);
+    }
+
+    const outputPath = writeManifestOutput(output);
+    console.log(`Deployment output written to ${outputPath}`);
+
+    return output;
+};
+
+module.exports = {
+    loadManifest,
+    runManifest,
+    MANIFESTS_FOLDER,
+};
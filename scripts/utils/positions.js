@@ -0,0 +1,305 @@
+/* eslint-disable max-len */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const hre = require('hardhat');
+const { getAssetInfoByAddress, getAssetInfo } = require('@defisaver/tokens');
+const { utils: { curveusdUtils: { curveusdMarkets } } } = require('@defisaver/sdk');
+
+const { addrs, chainIds } = require('../../test/utils');
+const { getVaultsForUser, MCD_MANAGER_ADDR } = require('../../test/utils-mcd');
+const { getMarkets } = require('../../test/morpho-blue/utils');
+const { getControllers } = require('../../test/llamalend/utils');
+
+// liquity troves are liquidated under 110%
+const LIQUITY_MCR = 1.1;
+
+// views are deployed on the fork so the readers don't depend on deployed versions
+const deployView = async (name) => (await hre.ethers.getContractFactory(name)).deploy();
+
+const toNumber = (amount, decimals = 18) => parseFloat(hre.ethers.utils.formatUnits(amount, decimals));
+
+const getToken = (addr, network) => getAssetInfoByAddress(addr, chainIds[network]);
+
+const formatAmount = (amount, symbol) => `${+amount.toFixed(6)} ${symbol}`;
+
+const toRow = ({
+    protocol, market, id = '', collateral, debt, ratio, liquidationPrice,
+}) => ({
+    protocol,
+    market,
+    id: id.toString(),
+    collateral,
+    debt,
+    // ratio in %, liquidation price in the currency the protocol prices collateral in
+    ratio: ratio ? +ratio.toFixed(2) : null,
+    liquidationPrice: liquidationPrice ? +liquidationPrice.toFixed(6) : null,
+});
+
+const getMcdPositions = async (wallet) => {
+    const mcdView = await deployView('McdView');
+    const spotter = await hre.ethers.getContractAt('ISpotter', await mcdView.spotter());
+
+    const { ids, ilks } = await getVaultsForUser(wallet);
+
+    const positions = await Promise.all(ids.map(async (id, i) => {
+        const [coll, debt] = await mcdView.getVaultInfo(MCD_MANAGER_ADDR, id, ilks[i]);
+        if (coll.eq(0) && debt.eq(0)) return null;
+
+        const ratio = await mcdView.getRatio(MCD_MANAGER_ADDR, id);
+        const [, mat] = await spotter.ilks(ilks[i]);
+        const ilkLabel = hre.ethers.utils.parseBytes32String(ilks[i]);
+
+        return toRow({
+            protocol: 'Maker',
+            market: ilkLabel,
+            id,
+            collateral: formatAmount(toNumber(coll), ilkLabel.split('-')[0]),
+            debt: formatAmount(toNumber(debt), 'DAI'),
+            ratio: toNumber(ratio, 16),
+            liquidationPrice: coll.eq(0) ? null : (toNumber(debt) * toNumber(mat, 27)) / toNumber(coll),
+        });
+    }));
+
+    return positions.filter((position) => position);
+};
+
+// aave and spark views share the LoanData struct, amounts are in usd with 8 decimals
+const getAaveLikePositions = async (protocol, viewName, market, wallet, network) => {
+    const view = await deployView(viewName);
+    const loanData = await view.getLoanData(market, wallet);
+
+    const colls = loanData.collAddr.map((addr, i) => ({ addr, amount: loanData.collAmounts[i] }))
+        .filter(({ amount }) => !amount.eq(0));
+    const debts = loanData.borrowAddr.map((addr, i) => ({ addr, amount: loanData.borrowVariableAmounts[i].add(loanData.borrowStableAmounts[i]) }))
+        .filter(({ amount }) => !amount.eq(0));
+
+    if (colls.length === 0 && debts.length === 0) return [];
+
+    const format = (assets) => assets.map(({ addr, amount }) => `$${toNumber(amount, 8).toFixed(2)} ${getToken(addr, network).symbol}`).join(', ');
+
+    // with one collateral asset and price stable debt, the position is liquidated once the
+    // collateral price falls by the health factor
+    let liquidationPrice = null;
+    if (colls.length === 1 && debts.length > 0) {
+        const price = await view.getAssetPrice(market, colls[0].addr);
+        liquidationPrice = toNumber(price, 8) / toNumber(loanData.ratio);
+    }
+
+    return [toRow({
+        protocol,
+        market: `${protocol} ${network}`,
+        collateral: format(colls),
+        debt: format(debts),
+        ratio: debts.length > 0 ? toNumber(loanData.ratio, 16) : null,
+        liquidationPrice,
+    })];
+};
+
+const getCompV3Positions = async (wallet, network) => {
+    const view = await deployView('CompV3View');
+
+    const markets = Object.keys(addrs[network])
+        .filter((key) => key.startsWith('COMET_') && !key.includes('REWARDS'))
+        .map((key) => addrs[network][key])
+        .filter((market, i, all) => all.indexOf(market) === i);
+
+    const positions = await Promise.all(markets.map(async (market) => {
+        const comet = await hre.ethers.getContractAt('IComet', market);
+        const loanData = await view.getLoanData(market, wallet);
+
+        const colls = loanData.collAddr.map((addr, i) => ({ addr, amount: loanData.collAmounts[i] }))
+            .filter(({ amount }) => !amount.eq(0));
+        if (colls.length === 0 && loanData.borrowAmount.eq(0)) return null;
+
+        const baseToken = getToken(await comet.baseToken(), network);
+        const collInfos = await Promise.all(colls.map(({ addr }) => comet.getAssetInfoByAddress(addr)));
+
+        // collValue has the decimals of the price feeds, borrowValue of the base token
+        const collValue = toNumber(loanData.collValue, 8);
+        const borrowValue = toNumber(loanData.borrowValue, baseToken.decimals);
+
+        let liquidationPrice = null;
+        if (colls.length === 1 && borrowValue > 0) {
+            const amount = toNumber(colls[0].amount, collInfos[0].scale.toString().length - 1);
+            liquidationPrice = borrowValue / (amount * toNumber(collInfos[0].liquidateCollateralFactor));
+        }
+
+        return toRow({
+            protocol: 'CompoundV3',
+            market: `Comet ${baseToken.symbol}`,
+            collateral: colls.map(({ addr, amount }, i) => formatAmount(
+                toNumber(amount, collInfos[i].scale.toString().length - 1),
+                getToken(addr, network).symbol,
+            )).join(', '),
+            debt: formatAmount(toNumber(loanData.borrowAmount, baseToken.decimals), baseToken.symbol),
+            ratio: borrowValue > 0 ? (collValue / borrowValue) * 100 : null,
+            liquidationPrice,
+        });
+    }));
+
+    return positions.filter((position) => position);
+};
+
+const getMorphoBluePositions = async (wallet, network) => {
+    const view = await deployView('MorphoBlueView');
+
+    const positions = await Promise.all(getMarkets().map(async (marketParams) => {
+        const [loanToken, collToken, , , lltv] = marketParams;
+        const info = await view.callStatic.getUserInfo(marketParams, wallet);
+        if (info.collateral.eq(0) && info.borrowedInAssets.eq(0)) return null;
+
+        const loan = getToken(loanToken, network);
+        const coll = getToken(collToken, network);
+
+        // oracle price of the collateral in loan token, scaled by 1e36 and the decimals difference
+        const { oracle } = await view.callStatic.getMarketInfo(marketParams);
+        const price = toNumber(oracle, 36 + loan.decimals - coll.decimals);
+
+        const collAmount = toNumber(info.collateral, coll.decimals);
+        const debtAmount = toNumber(info.borrowedInAssets, loan.decimals);
+
+        return toRow({
+            protocol: 'MorphoBlue',
+            market: `${coll.symbol}/${loan.symbol} ${toNumber(lltv, 16)}%`,
+            collateral: formatAmount(collAmount, coll.symbol),
+            debt: formatAmount(debtAmount, loan.symbol),
+            ratio: debtAmount > 0 ? (collAmount * price * 100) / debtAmount : null,
+            liquidationPrice: debtAmount > 0 && collAmount > 0 ? debtAmount / (collAmount * toNumber(lltv)) : null,
+        });
+    }));
+
+    return positions.filter((position) => position);
+};
+
+// llamalend and curveusd views share the UserData struct, liquidation price is where soft liquidation starts
+const getLlammaPosition = async (protocol, view, controller, wallet, collToken, debtToken) => {
+    const userData = await view.userData(controller, wallet);
+    if (!userData.loanExists) return null;
+
+    return toRow({
+        protocol,
+        market: `${collToken.symbol}/${debtToken.symbol}`,
+        id: controller,
+        collateral: formatAmount(toNumber(userData.marketCollateralAmount, collToken.decimals), collToken.symbol),
+        debt: formatAmount(toNumber(userData.debtAmount, debtToken.decimals), debtToken.symbol),
+        ratio: toNumber(userData.collRatio, 16),
+        liquidationPrice: toNumber(userData.priceHigh),
+    });
+};
+
+const getLlamaLendPositions = async (wallet, network) => {
+    const view = await deployView('LlamaLendView');
+
+    const positions = await Promise.all(getControllers(chainIds[network]).map(async (controllerAddr) => {
+        const controller = await hre.ethers.getContractAt('ILlamaLendController', controllerAddr);
+        const collToken = getToken(await controller.collateral_token(), network);
+        const debtToken = getToken(await controller.borrowed_token(), network);
+
+        return getLlammaPosition('LlamaLend', view, controllerAddr, wallet, collToken, debtToken);
+    }));
+
+    return positions.filter((position) => position);
+};
+
+const getCurveUsdPositions = async (wallet) => {
+    const view = await deployView('CurveUsdView');
+
+    const positions = await Promise.all(Object.entries(curveusdMarkets).map(
+        ([assetSymbol, { controllerAddress }]) => getLlammaPosition(
+            'CurveUsd', view, controllerAddress, wallet, getAssetInfo(assetSymbol), getAssetInfo('crvUSD'),
+        ),
+    ));
+
+    return positions.filter((position) => position);
+};
+
+const getLiquityPositions = async (wallet) => {
+    const view = await deployView('LiquityView');
+
+    const {
+        troveStatus, collAmount, debtAmount, collPrice,
+    } = await view['getTroveInfo(address)'](wallet);
+
+    // 1 is an active trove
+    if (troveStatus.toString() !== '1') return [];
+
+    return [toRow({
+        protocol: 'Liquity',
+        market: 'ETH/LUSD',
+        collateral: formatAmount(toNumber(collAmount), 'ETH'),
+        debt: formatAmount(toNumber(debtAmount), 'LUSD'),
+        ratio: (toNumber(collAmount) * toNumber(collPrice) * 100) / toNumber(debtAmount),
+        liquidationPrice: (toNumber(debtAmount) * LIQUITY_MCR) / toNumber(collAmount),
+    })];
+};
+
+const getReflexerPositions = async (wallet) => {
+    const view = await deployView('ReflexerView');
+    const safes = await view.getUserSafesFullInfo(wallet);
+
+    const positions = await Promise.all(safes.map(async (safe) => {
+        if (safe.coll.eq(0) && safe.debt.eq(0)) return null;
+
+        const [collInfo, raiInfo] = await view.callStatic.getCollAndRaiInfo(safe.collType);
+        const collType = hre.ethers.utils.parseBytes32String(safe.collType);
+
+        // safe debt is normalized, debt value is in usd at the redemption price
+        const coll = toNumber(safe.coll);
+        const debt = toNumber(safe.debt) * toNumber(collInfo.currRate, 27);
+        const debtValue = debt * toNumber(raiInfo.redemptionPrice, 27);
+
+        return toRow({
+            protocol: 'Reflexer',
+            market: collType,
+            id: safe.safeId,
+            collateral: formatAmount(coll, collType.split('-')[0]),
+            debt: formatAmount(debt, 'RAI'),
+            ratio: debt > 0 ? (coll * toNumber(collInfo.assetPrice, 27) * 100) / debtValue : null,
+            liquidationPrice: coll > 0 ? (debtValue * toNumber(collInfo.liqRatio, 27)) / coll : null,
+        });
+    }));
+
+    return positions.filter((position) => position);
+};
+
+/// @notice Positions of a wallet (DSProxy or Safe) in every protocol with a view contract
+/// @dev Protocols that aren't deployed on the network are skipped, a failing reader is reported
+///      in errors so one broken market doesn't hide the rest of the positions
+/// @return { positions: [{ protocol, market, id, collateral, debt, ratio, liquidationPrice }], errors }
+const getPositions = async (wallet, network) => {
+    const readers = {
+        AaveV3: () => getAaveLikePositions('AaveV3', 'AaveV3View', addrs[network].AAVE_MARKET, wallet, network),
+        CompoundV3: () => getCompV3Positions(wallet, network),
+        LlamaLend: () => getLlamaLendPositions(wallet, network),
+    };
+
+    if (network === 'mainnet') {
+        Object.assign(readers, {
+            Maker: () => getMcdPositions(wallet),
+            Spark: () => getAaveLikePositions('Spark', 'SparkView', addrs[network].SPARK_MARKET, wallet, network),
+            MorphoBlue: () => getMorphoBluePositions(wallet, network),
+            CurveUsd: () => getCurveUsdPositions(wallet),
+            Liquity: () => getLiquityPositions(wallet),
+            Reflexer: () => getReflexerPositions(wallet),
+        });
+    }
+
+    const positions = [];
+    const errors = {};
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const [protocol, reader] of Object.entries(readers)) {
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            positions.push(...await reader());
+        } catch (err) {
+            errors[protocol] = err.message;
+        }
+    }
+
+    return { positions, errors };
+};
+
+module.exports = {
+    getPositions,
+};
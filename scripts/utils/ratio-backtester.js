@@ -0,0 +1,251 @@
+/* eslint-disable max-len */
+
+const fs = require('fs');
+const path = require('path');
+
+// same caps as GasFeeHelper and GasFeeTaker
+const SANITY_GAS_PRICE_GWEI = 1000;
+const MAX_DFS_FEE = 2000;
+const MAX_GAS_FEE_SHARE = 0.2;
+
+// fee DFSSell takes inside recipes
+const RECIPE_FEE = 400;
+
+const DEFAULT_COSTS = {
+    repayGasUsed: 1_200_000,
+    boostGasUsed: 1_200_000,
+    gasPriceGwei: 30,
+    swapFeeDivider: RECIPE_FEE,
+    dfsFeeDivider: 0,
+    slippage: 0.5,
+};
+
+/// @notice How each protocol's ratio trigger measures the position
+/// @dev ratio = coll * price * collFactor / debt, so the liquidation ratio in the same units is
+///      collFactor / liquidation factor, e.g. ltv / liquidation threshold for aave
+const PROTOCOLS = {
+    mcd: {
+        trigger: 'McdRatioTrigger',
+        collFactor: () => 1,
+        liquidationRatio: ({ liquidationRatio }) => liquidationRatio,
+        requires: ['liquidationRatio'],
+    },
+    aaveV3: {
+        trigger: 'AaveV3RatioTrigger',
+        collFactor: ({ ltv }) => ltv,
+        liquidationRatio: ({ ltv, liquidationThreshold }) => (ltv / liquidationThreshold) * 100,
+        requires: ['ltv', 'liquidationThreshold'],
+    },
+    spark: {
+        trigger: 'SparkRatioTrigger',
+        collFactor: ({ ltv }) => ltv,
+        liquidationRatio: ({ ltv, liquidationThreshold }) => (ltv / liquidationThreshold) * 100,
+        requires: ['ltv', 'liquidationThreshold'],
+    },
+    compV3: {
+        trigger: 'CompV3RatioTrigger',
+        collFactor: ({ borrowCollateralFactor }) => borrowCollateralFactor,
+        liquidationRatio: ({ borrowCollateralFactor, liquidateCollateralFactor }) => (borrowCollateralFactor / liquidateCollateralFactor) * 100,
+        requires: ['borrowCollateralFactor', 'liquidateCollateralFactor'],
+    },
+};
+
+/// @notice Reads a price series from a json array or a csv with a header row
+/// @dev Rows need timestamp and price (usd per collateral), gasPrice (gwei) and ethPrice are optional
+const loadPriceSeries = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    let rows;
+    if (path.extname(filePath) === '.json') {
+        rows = JSON.parse(content);
+    } else {
+        const [header, ...lines] = content.trim().split(/\r?\n/);
+        const columns = header.split(',').map((column) => column.trim());
+
+        rows = lines.filter((line) => line.trim().length > 0).map((line) => Object.fromEntries(
+            line.split(',').map((value, i) => [columns[i], value.trim()]),
+        ));
+    }
+
+    return rows.map((row, i) => {
+        const point = {
+            timestamp: Number(row.timestamp),
+            price: Number(row.price),
+            gasPrice: row.gasPrice !== undefined && row.gasPrice !== '' ? Number(row.gasPrice) : undefined,
+            ethPrice: row.ethPrice !== undefined && row.ethPrice !== '' ? Number(row.ethPrice) : undefined,
+        };
+
+        if (!(point.price > 0)) throw new Error(`Row ${i + 1}: invalid price ${row.price}`);
+
+        return point;
+    });
+};
+
+const validateParams = (params, liquidationRatio) => {
+    const {
+        minRatio, maxRatio, targetRepayRatio, targetBoostRatio, boostEnabled,
+    } = params;
+
+    if (!(minRatio > liquidationRatio)) throw new Error(`minRatio ${minRatio} must be above the liquidation ratio ${liquidationRatio.toFixed(2)}`);
+    if (!(targetRepayRatio > minRatio)) throw new Error(`targetRepayRatio ${targetRepayRatio} must be above minRatio ${minRatio}`);
+
+    if (boostEnabled) {
+        if (!(maxRatio > targetBoostRatio)) throw new Error(`maxRatio ${maxRatio} must be above targetBoostRatio ${targetBoostRatio}`);
+        if (!(targetBoostRatio > targetRepayRatio)) throw new Error(`targetBoostRatio ${targetBoostRatio} must be above targetRepayRatio ${targetRepayRatio}`);
+    }
+};
+
+/// @notice Gas fee GasFeeTaker takes in usd, capped at 20% of the amount it's taken from
+const getGasFee = (gasUsed, gasPriceGwei, ethPrice, amount, dfsFeeDivider) => {
+    const gasPrice = Math.min(gasPriceGwei, SANITY_GAS_PRICE_GWEI);
+    const txCost = Math.min((gasUsed * gasPrice * ethPrice) / 1e9, amount * MAX_GAS_FEE_SHARE);
+
+    const divider = dfsFeeDivider && Math.max(dfsFeeDivider, MAX_DFS_FEE);
+
+    return txCost + (divider ? amount / divider : 0);
+};
+
+// share of a swap lost to the DFSSell fee and slippage
+const getSwapFeeShare = ({ swapFeeDivider, slippage }) => (swapFeeDivider ? 1 / swapFeeDivider : 0) + slippage / 100;
+
+/// @notice Ratio of the position in %, as its ratio trigger reads it
+const getRatio = (position, price, collFactor) => (
+    position.debt > 0 ? ((position.coll * price * collFactor) / position.debt) * 100 : Infinity
+);
+
+/// @dev Usd amount to sell so the ratio lands on the target, the fixed gas cost is solved for first
+///      and dropped to the 20% cap when it's larger than that
+const solveSwapAmount = (solve, gasCost) => {
+    const amount = solve(gasCost, 0);
+
+    return gasCost > amount * MAX_GAS_FEE_SHARE ? solve(0, MAX_GAS_FEE_SHARE) : amount;
+};
+
+// sells collateral for debt, (C * p - V) * f = r * (D - V * (1 - fee) + G)
+const repay = (position, price, target, collFactor, gasCost, feeShare) => {
+    const r = target / 100;
+    const amount = solveSwapAmount(
+        (g, gasShare) => (r * (position.debt + g) - position.coll * price * collFactor) / (r * (1 - feeShare - gasShare) - collFactor),
+        gasCost,
+    );
+
+    return { amount, coll: position.coll - amount / price };
+};
+
+// borrows debt and buys collateral, (C * p + D' * (1 - fee) - G) * f = r * (D + D')
+const boost = (position, price, target, collFactor, gasCost, feeShare) => {
+    const r = target / 100;
+    const amount = solveSwapAmount(
+        (g, gasShare) => (position.coll * price * collFactor - g * collFactor - r * position.debt) / (r - (1 - feeShare - gasShare) * collFactor),
+        gasCost,
+    );
+
+    return { amount, debt: position.debt + amount };
+};
+
+/// @notice Replays a price series against a modeled position with one set of bundle params
+/// @param protocol One of mcd, aaveV3, spark, compV3
+/// @param position { coll, debt } amounts, coll in collateral and debt in usd, plus the protocol
+///        factors: liquidationRatio (mcd), ltv and liquidationThreshold (aaveV3, spark) or
+///        borrowCollateralFactor and liquidateCollateralFactor (compV3)
+/// @param params { minRatio, maxRatio, targetRepayRatio, targetBoostRatio, boostEnabled }
+/// @param costs Gas used per repay/boost, gas price in gwei, ethPrice (defaults to the collateral price),
+///        swapFeeDivider, dfsFeeDivider of GasFeeTaker and slippage in %
+const backtest = (protocol, position, params, series, costs = {}) => {
+    const protocolInfo = PROTOCOLS[protocol];
+    if (!protocolInfo) throw new Error(`Unsupported protocol ${protocol}, use one of ${Object.keys(PROTOCOLS).join(', ')}`);
+
+    protocolInfo.requires.forEach((key) => {
+        if (position[key] === undefined) throw new Error(`${protocol} position needs ${key}`);
+    });
+
+    const allCosts = { ...DEFAULT_COSTS, ...costs };
+    const collFactor = protocolInfo.collFactor(position);
+    const liquidationRatio = protocolInfo.liquidationRatio(position);
+    const feeShare = getSwapFeeShare(allCosts);
+
+    // the dfs fee of GasFeeTaker is also a share of the swapped amount
+    const dfsFeeShare = allCosts.dfsFeeDivider ? 1 / Math.max(allCosts.dfsFeeDivider, MAX_DFS_FEE) : 0;
+
+    validateParams(params, liquidationRatio);
+
+    const state = { coll: position.coll, debt: position.debt };
+    const result = {
+        params,
+        repays: 0,
+        boosts: 0,
+        liquidatedAt: null,
+        gasFees: 0,
+        swapFees: 0,
+        lowestRatio: Infinity,
+    };
+
+    // eslint-disable-next-line no-restricted-syntax
+    for (const point of series) {
+        const ratio = getRatio(state, point.price, collFactor);
+        result.lowestRatio = Math.min(result.lowestRatio, ratio);
+
+        // a move past both the min ratio and the liquidation ratio between two points can't be repaid
+        if (ratio <= liquidationRatio) {
+            result.liquidatedAt = point.timestamp;
+            break;
+        }
+
+        const isRepay = ratio < params.minRatio;
+        const isBoost = params.boostEnabled && ratio > params.maxRatio;
+
+        if (isRepay || isBoost) {
+            const gasUsed = isRepay ? allCosts.repayGasUsed : allCosts.boostGasUsed;
+            const gasPrice = point.gasPrice ?? allCosts.gasPriceGwei;
+            const ethPrice = point.ethPrice ?? allCosts.ethPrice ?? point.price;
+
+            const fixedGasCost = getGasFee(gasUsed, gasPrice, ethPrice, Infinity, 0);
+            const action = isRepay
+                ? repay(state, point.price, params.targetRepayRatio, collFactor, fixedGasCost, feeShare + dfsFeeShare)
+                : boost(state, point.price, params.targetBoostRatio, collFactor, fixedGasCost, feeShare + dfsFeeShare);
+
+            const gasFee = getGasFee(gasUsed, gasPrice, ethPrice, action.amount, allCosts.dfsFeeDivider);
+            const swapFee = action.amount * feeShare;
+
+            if (isRepay) {
+                state.coll = action.coll;
+                state.debt -= action.amount - gasFee - swapFee;
+                result.repays++;
+            } else {
+                state.coll += (action.amount - gasFee - swapFee) / point.price;
+                state.debt = action.debt;
+                result.boosts++;
+            }
+
+            result.gasFees += gasFee;
+            result.swapFees += swapFee;
+        }
+    }
+
+    const lastPrice = series[series.length - 1].price;
+
+    return {
+        ...result,
+        totalFees: result.gasFees + result.swapFees,
+        liquidationRatio,
+        coll: state.coll,
+        debt: state.debt,
+        ratio: getRatio(state, lastPrice, collFactor),
+        // net value of the position at the last price, the same as the collateral left after closing it
+        netValue: state.coll * lastPrice - state.debt,
+    };
+};
+
+/// @notice Runs the same series for several param sets so they can be compared
+/// @return Results sorted by the net value at the end, liquidated runs last
+const compareParamSets = (protocol, position, paramSets, series, costs) => paramSets
+    .map((params) => backtest(protocol, position, params, series, costs))
+    .sort((a, b) => (a.liquidatedAt !== null) - (b.liquidatedAt !== null) || b.netValue - a.netValue);
+
+module.exports = {
+    PROTOCOLS,
+    loadPriceSeries,
+    getGasFee,
+    backtest,
+    compareParamSets,
+};
@@ -0,0 +1,93 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+
+/// @notice Compares registry changes with the registry entries and builds the multisig batch
+/// @param opts.registry DFSRegistry contract, only entries, pendingAddresses and interface are used
+/// @param opts.registryAddr Address the transactions are sent to
+/// @param opts.changes [{ id, name, addr, waitTime }]
+/// @param opts.localEntries Entries of addresses/<network>.json, [{ id, address }]
+/// @param opts.timestamp Timestamp of the latest block, for the time left on pending changes
+/// @return { plan: { newEntries, swaps, pending, unchanged }, txs: [{ to, value, data, description }] }
+const planRegistryChanges = async ({
+    registry, registryAddr, changes, localEntries, timestamp,
+}) => {
+    const plan = {
+        newEntries: [],
+        swaps: [],
+        pending: [],
+        unchanged: [],
+    };
+    const txs = [];
+
+    const addTx = (functionName, args, description) => {
+        txs.push({
+            to: registryAddr,
+            value: '0',
+            data: registry.interface.encodeFunctionData(functionName, args),
+            description,
+        });
+    };
+
+    for (let i = 0; i < changes.length; ++i) {
+        const change = changes[i];
+        const entry = await registry.entries(change.id);
+        const localEntry = localEntries.find((e) => e.id.toLowerCase() === change.id.toLowerCase());
+
+        const item = {
+            ...change,
+            localAddr: localEntry?.address,
+            // a new entry has no registry address to be out of sync with
+            localOutOfSync: !!localEntry && entry.exists
+                && localEntry.address.toLowerCase() !== entry.contractAddr.toLowerCase(),
+        };
+
+        if (!entry.exists) {
+            plan.newEntries.push(item);
+            addTx('addNewContract', [change.id, change.addr, change.waitTime], `Add ${change.name} ${change.addr}`);
+        } else if (entry.contractAddr.toLowerCase() === change.addr.toLowerCase()) {
+            plan.unchanged.push({ ...item, currAddr: entry.contractAddr });
+        } else {
+            const waitPeriod = parseInt(entry.waitPeriod.toString(), 10);
+            const pendingAddr = entry.inContractChange
+                ? await registry.pendingAddresses(change.id)
+                : undefined;
+
+            const swap = {
+                ...item,
+                currAddr: entry.contractAddr,
+                waitPeriod,
+                inWaitPeriodChange: entry.inWaitPeriodChange,
+                pendingAddr,
+            };
+
+            if (pendingAddr && pendingAddr.toLowerCase() === change.addr.toLowerCase()) {
+                const approveTime = parseInt(entry.changeStartTime.toString(), 10) + waitPeriod;
+                swap.timeLeft = Math.max(approveTime - timestamp, 0);
+
+                plan.pending.push(swap);
+
+                if (swap.timeLeft === 0) {
+                    addTx('approveContractChange', [change.id], `Approve ${change.name} ${change.addr}`);
+                }
+            } else {
+                plan.swaps.push(swap);
+
+                // startContractChange reverts while the wait period is changing, which would revert the batch
+                // eslint-disable-next-line no-continue
+                if (swap.inWaitPeriodChange) continue;
+
+                addTx('startContractChange', [change.id, change.addr], `Start change ${change.name} ${change.addr}`);
+                // with no wait period the change can be approved in the same batch
+                if (waitPeriod === 0) {
+                    addTx('approveContractChange', [change.id], `Approve ${change.name} ${change.addr}`);
+                }
+            }
+        }
+    }
+
+    return { plan, txs };
+};
+
+module.exports = {
+    planRegistryChanges,
+};
@@ -0,0 +1,191 @@
+/* eslint-disable max-len */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+
+// loaded from the hardhat tasks, so this can't require hardhat
+
+const FIXTURES_DIR = path.join(__dirname, '/../../test/fixtures/rpc');
+// { [network]: block } the fork of each network is pinned to by default
+const BLOCKS_PATH = path.join(FIXTURES_DIR, 'blocks.json');
+const PRICES_PATH = path.join(__dirname, '/../../test/prices.json');
+
+const FIXTURES_PORT = 8645;
+const FIXTURES_URL = `http://127.0.0.1:${FIXTURES_PORT}`;
+
+const MODES = ['record', 'replay'];
+
+const fixtureSets = {};
+let activeSetName = null;
+let server = null;
+
+/// @notice record or replay when RPC_FIXTURES is set, undefined when tests fork the live node
+const getFixtureMode = () => {
+    const mode = process.env.RPC_FIXTURES;
+
+    if (mode && !MODES.includes(mode)) throw new Error(`RPC_FIXTURES must be one of ${MODES.join(', ')}`);
+
+    return mode;
+};
+
+const readJson = (filePath, fallback) => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback);
+
+/// @notice Block the network is forked at when tests don't pass one, RPC_FIXTURES_BLOCK overrides the recorded one
+const getPinnedBlock = (network) => {
+    const block = process.env.RPC_FIXTURES_BLOCK || readJson(BLOCKS_PATH, {})[network];
+
+    if (!block) throw new Error(`No pinned block for ${network}, record its fixtures with RPC_FIXTURES=record RPC_FIXTURES_BLOCK=<block>`);
+
+    return Number(block);
+};
+
+const getSetPath = (name) => path.join(FIXTURES_DIR, `${name}.json`);
+
+// ids differ between runs, state at a pinned block only depends on the method and params
+const getRequestKey = ({ method, params }) => `${method}:${JSON.stringify(params || [])}`;
+
+const saveFixtureSets = () => {
+    Object.entries(fixtureSets).filter(([, set]) => set.dirty).forEach(([name, set]) => {
+        fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+        fs.writeFileSync(getSetPath(name), JSON.stringify({
+            network: set.network, block: set.block, prices: set.prices, responses: set.responses,
+        }));
+
+        if (set.isPinned) {
+            fs.writeFileSync(BLOCKS_PATH, JSON.stringify({ ...readJson(BLOCKS_PATH, {}), [set.network]: set.block }, null, 4));
+        }
+
+        // eslint-disable-next-line no-param-reassign
+        set.dirty = false;
+    });
+};
+
+// only results are recorded, errors like rate limits shouldn't be replayed
+const handleRequest = async (request) => {
+    const set = fixtureSets[activeSetName];
+    const key = getRequestKey(request);
+    let response = set.responses[key];
+
+    if (!response && getFixtureMode() === 'replay') {
+        response = { error: { code: -32000, message: `No rpc fixture for ${key} in ${activeSetName}, record it with RPC_FIXTURES=record` } };
+    }
+
+    if (!response) {
+        try {
+            const { data } = await axios.post(set.upstreamUrl, {
+                jsonrpc: '2.0', id: 1, method: request.method, params: request.params,
+            });
+
+            response = data.error ? { error: data.error } : { result: data.result };
+
+            if (!data.error) {
+                set.responses[key] = response;
+                set.dirty = true;
+            }
+        } catch (err) {
+            response = { error: { code: -32603, message: err.message } };
+        }
+    }
+
+    return { jsonrpc: '2.0', id: request.id, ...response };
+};
+
+const getErrorResponse = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+const handlePayload = async (body) => {
+    let payload;
+
+    try {
+        payload = JSON.parse(body);
+    } catch (err) {
+        return getErrorResponse(null, -32700, `Parse error: ${err.message}`);
+    }
+
+    const handle = (request) => handleRequest(request).catch(
+        (err) => getErrorResponse(request?.id ?? null, -32603, err.message),
+    );
+
+    return Array.isArray(payload) ? Promise.all(payload.map(handle)) : handle(payload);
+};
+
+const startFixtureServer = () => {
+    if (server) return;
+
+    server = http.createServer((req, res) => {
+        let body = '';
+
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', async () => {
+            const response = await handlePayload(body);
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    // without a server the fork's requests fail, so the port error is what the tests report
+    server.on('error', (err) => {
+        const hint = err.code === 'EADDRINUSE' ? `, port ${FIXTURES_PORT} is used by another process` : '';
+
+        console.error(`Rpc fixture server failed: ${err.message}${hint}`);
+        server = null;
+    });
+
+    // the server and the fork's connections don't keep the tests from exiting
+    server.on('connection', (socket) => socket.unref());
+    server.listen(FIXTURES_PORT, '127.0.0.1');
+    server.unref();
+
+    if (!process.listeners('exit').includes(saveFixtureSets)) process.on('exit', saveFixtureSets);
+};
+
+/// @notice Serves the fixture set of the network at the block to the fork, recording the reads it's missing
+///         from the upstream node in record mode
+/// @dev Sets are stored in test/fixtures/rpc/<network>-<block>.json with the prices of test/prices.json at
+///      the time they were recorded, recording again only adds the missing reads
+/// @param block Block to fork at, the pinned block of the network when not set
+/// @return { url, blockNumber } to fork from
+const useFixtureSet = (network, block, upstreamUrl) => {
+    const blockNumber = block ? Number(block) : getPinnedBlock(network);
+    const name = `${network}-${blockNumber}`;
+
+    if (!fixtureSets[name]) {
+        if (getFixtureMode() === 'replay' && !fs.existsSync(getSetPath(name))) {
+            throw new Error(`No rpc fixtures ${name}, record them once with RPC_FIXTURES=record`);
+        }
+
+        const stored = readJson(getSetPath(name), { responses: {} });
+
+        fixtureSets[name] = {
+            network,
+            block: blockNumber,
+            isPinned: !block,
+            prices: stored.prices || readJson(PRICES_PATH, {}),
+            responses: stored.responses,
+            dirty: getFixtureMode() === 'record' && !stored.prices,
+        };
+    }
+
+    fixtureSets[name].upstreamUrl = upstreamUrl;
+    activeSetName = name;
+
+    startFixtureServer();
+
+    return { url: FIXTURES_URL, blockNumber };
+};
+
+/// @notice Whether the fork at the block reads from the active fixture set of the network
+const isActiveFixtureSet = (network, block) => activeSetName === `${network}-${block}`;
+
+/// @notice Token prices recorded with the active fixture set, in the format of test/prices.json
+const getFixturePrices = () => fixtureSets[activeSetName]?.prices;
+
+module.exports = {
+    getFixtureMode,
+    useFixtureSet,
+    isActiveFixtureSet,
+    getFixturePrices,
+};
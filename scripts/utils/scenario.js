@@ -0,0 +1,172 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const yaml = require('js-yaml');
+
+const COMPARATORS = {
+    eq: (a, b) => a === b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+};
+
+// fields of a position row that can be compared, see getPositions
+const POSITION_FIELDS = ['ratio', 'liquidationPrice'];
+
+/// @notice Reads a scenario from a yaml or json file
+/// @dev { name, vars: { name: value }, steps: [{ run, capture } | { assert }] }
+const loadScenario = (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const scenario = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+
+    if (!Array.isArray(scenario?.steps)) throw new Error(`${filePath} has no steps`);
+
+    return { name: path.basename(filePath), vars: {}, ...scenario };
+};
+
+/// @notice Replaces ${name} with the value of the variable in strings, arrays and objects
+const substitute = (value, vars) => {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+            if (vars[name] === undefined) throw new Error(`Variable ${name} is not set`);
+
+            return vars[name];
+        });
+    }
+
+    if (Array.isArray(value)) return value.map((v) => substitute(v, vars));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, substitute(v, vars)]));
+    }
+
+    return value;
+};
+
+// an arg is a run of unquoted chars and single or double quoted parts, like "a b" or --name='a b'
+const ARG_REGEX = /(?:"[^"]*"|'[^']*'|[^\s"']+)+/g;
+
+/// @notice run: can be the command line as one string or as an array of args
+/// @dev Strings are split on whitespace outside of quotes and the quotes are removed, like a shell
+///      without escapes, so an arg that has both quote chars needs the array form
+const toArgs = (run) => {
+    if (Array.isArray(run)) return run.map(String);
+
+    if (run.replace(ARG_REGEX, '').trim() !== '') throw new Error(`Unterminated quote in ${run}`);
+
+    return (run.match(ARG_REGEX) || []).map((arg) => arg.replace(/"([^"]*)"|'([^']*)'/g, (match, double, single) => double ?? single));
+};
+
+const checkComparisons = (label, actual, expected) => Object.entries(expected).flatMap(([op, value]) => {
+    if (!COMPARATORS[op]) throw new Error(`Unknown comparator ${op}, use one of ${Object.keys(COMPARATORS).join(', ')}`);
+
+    return COMPARATORS[op](actual, Number(value)) ? [] : [`${label} ${actual} is not ${op} ${value}`];
+});
+
+/// @notice Checks an assert step, against the output of the previous command or a position
+/// @return Array of failure messages, empty when the assertion holds
+const checkAssertion = async (assertion, lastOutput, getPositions) => {
+    if (assertion.output !== undefined) {
+        return new RegExp(assertion.output).test(lastOutput) ? [] : [`output doesn't match ${assertion.output}`];
+    }
+
+    const { positions } = await getPositions(assertion.wallet);
+    const position = positions.find((p) => p.protocol === assertion.protocol
+        && (assertion.market === undefined || p.market === String(assertion.market))
+        && (assertion.id === undefined || p.id === String(assertion.id)));
+
+    if (assertion.exists === false) return position ? [`${assertion.protocol} position exists`] : [];
+    if (!position) return [`${assertion.protocol} position of ${assertion.wallet} not found`];
+
+    return POSITION_FIELDS
+        .filter((field) => assertion[field] !== undefined)
+        .flatMap((field) => checkComparisons(field, position[field], assertion[field]));
+};
+
+/// @notice Runs the steps of a scenario in order
+/// @dev Variables captured from a command output are set with the first group of the regex,
+///      a failed command stops the scenario while failed assertions are only reported
+/// @param opts.runCommand Runs one command from its args and returns its output
+/// @param opts.getPositions Returns the positions of a wallet, as getPositions of scripts/utils/positions
+/// @param opts.vars Built in variables, overridden by the ones in the scenario
+/// @param opts.bail Stop at the first failed assertion
+/// @return { name, steps: [{ step, type, description, status, failures, duration }], vars, passed }
+const runScenario = async (scenario, opts) => {
+    const vars = { ...opts.vars, ...substitute(scenario.vars, opts.vars) };
+    const results = [];
+    let lastOutput = '';
+
+    for (let i = 0; i < scenario.steps.length; i++) {
+        const step = scenario.steps[i];
+        const start = Date.now();
+        const result = { step: i + 1, type: step.run !== undefined ? 'run' : 'assert' };
+
+        try {
+            if (step.run !== undefined) {
+                const args = toArgs(substitute(step.run, vars));
+                result.description = args.join(' ');
+
+                lastOutput = await opts.runCommand(args);
+
+                Object.entries(step.capture || {}).forEach(([name, regex]) => {
+                    const match = lastOutput.match(new RegExp(regex));
+                    if (!match) throw new Error(`${name} not found in the output with ${regex}`);
+
+                    vars[name] = match[1] ?? match[0];
+                });
+
+                result.status = 'ok';
+            } else {
+                const assertion = substitute(step.assert, vars);
+                result.description = util.inspect(assertion, { breakLength: Infinity });
+
+                result.failures = await checkAssertion(assertion, lastOutput, opts.getPositions);
+                result.status = result.failures.length === 0 ? 'ok' : 'failed';
+            }
+        } catch (err) {
+            result.status = 'error';
+            result.failures = [err.message];
+        }
+
+        result.duration = Date.now() - start;
+        results.push(result);
+
+        if (result.status === 'error' || (result.status === 'failed' && opts.bail)) break;
+    }
+
+    return {
+        name: scenario.name,
+        steps: results,
+        skipped: scenario.steps.length - results.length,
+        vars,
+        passed: results.every(({ status }) => status === 'ok') && results.length === scenario.steps.length,
+    };
+};
+
+const printScenarioSummary = (summary) => {
+    console.log(`\nScenario ${summary.name}`);
+
+    console.table(summary.steps.map(({
+        step, type, description, status, duration,
+    }) => ({
+        step, type, description, status, seconds: +(duration / 1000).toFixed(1),
+    })));
+
+    summary.steps.filter(({ failures }) => failures?.length > 0).forEach(({ step, failures }) => {
+        failures.forEach((failure) => console.log(`Step ${step}: ${failure}`));
+    });
+
+    if (summary.skipped > 0) console.log(`${summary.skipped} steps skipped`);
+
+    console.log(`Variables: ${JSON.stringify(summary.vars)}`);
+    console.log(summary.passed ? 'Scenario passed' : 'Scenario failed');
+};
+
+module.exports = {
+    loadScenario,
+    runScenario,
+    printScenarioSummary,
+};
@@ -0,0 +1,198 @@
+/* eslint-disable max-len */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const ethers = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const { getAllFiles } = require('../hardhat-tasks-functions');
+const { describeStrategy, readSource, parseStruct } = require('./strategy-decoder');
+
+const ELEMENTARY_TYPE = /^(address|bool|string|bytes\d*|u?int\d*)$/;
+
+// struct the action/trigger decodes its call data into, e.g. abi.decode(_callData, (Params))
+const CALL_DATA_STRUCT = /abi\.decode\(\s*_call[dD]ata\s*,\s*\(\s*([\w.]+)\s*\)\s*\)/;
+
+// ids like FLActionL2 or DFSSellNew are registered under a different name than the contract file
+const getSourcePath = (idEntry) => {
+    if (!idEntry) return null;
+    if (fs.existsSync(idEntry.filePath)) return idEntry.filePath;
+
+    const contractName = idEntry.fileName.replace(/(New|L2)$/, '');
+
+    return getAllFiles('./contracts').find((filePath) => path.basename(filePath, '.sol') === contractName) || null;
+};
+
+/// @notice Source of a contract followed by the sources of everything it imports
+const getSourcesWithImports = (filePath, visited = new Set()) => {
+    const absPath = path.resolve(filePath);
+
+    if (visited.has(absPath) || !fs.existsSync(absPath)) return [];
+    visited.add(absPath);
+
+    const source = readSource(absPath);
+    const imports = [...source.matchAll(/import\s[^;]*?["']([^"']+)["']/g)]
+        .map(([, importPath]) => path.join(path.dirname(absPath), importPath));
+
+    return [source, ...imports.flatMap((importPath) => getSourcesWithImports(importPath, visited))];
+};
+
+/// @notice Solidity type as an ethers ParamType, structs are resolved through the imports
+const toParamType = (name, solidityType, sources) => {
+    const [, baseType, arrays] = solidityType.replace(' payable', '').match(/^([\w.]+)\s*((?:\[\d*\])*)$/);
+
+    if (ELEMENTARY_TYPE.test(baseType)) {
+        return ethers.utils.ParamType.from({ name, type: `${baseType}${arrays}` });
+    }
+
+    const typeName = baseType.split('.').pop();
+    const structSource = sources.find((source) => new RegExp(`struct\\s+${typeName}\\s*{`).test(source));
+
+    if (structSource) {
+        return ethers.utils.ParamType.from({
+            name,
+            type: `tuple${arrays}`,
+            components: parseStruct(structSource, typeName)
+                .map((field) => toParamType(field.name, field.type, sources)),
+        });
+    }
+
+    const isEnum = sources.some((source) => new RegExp(`enum\\s+${typeName}\\b`).test(source));
+
+    // contract and interface types are encoded as addresses
+    return ethers.utils.ParamType.from({ name, type: `${isEnum ? 'uint8' : 'address'}${arrays}` });
+};
+
+const getDefaultValue = (param) => {
+    if (param.baseType === 'array') {
+        if (param.arrayLength === -1) return [];
+
+        return [...Array(param.arrayLength)].map(() => getDefaultValue(param.arrayChildren));
+    }
+
+    if (param.baseType === 'tuple') return param.components.map(getDefaultValue);
+    if (param.baseType === 'address') return ethers.constants.AddressZero;
+    if (param.baseType === 'bool') return false;
+    if (param.baseType === 'string') return '';
+    if (param.baseType === 'bytes') return '0x';
+    if (param.baseType.startsWith('bytes')) return ethers.utils.hexZeroPad('0x', Number(param.baseType.slice(5)));
+
+    return '0';
+};
+
+/// @dev Tuples can be set positionally with an array, or by field names with an object
+const mergeValue = (param, value, where) => {
+    if (value === undefined) return getDefaultValue(param);
+    if (param.baseType !== 'tuple' || Array.isArray(value)) return value;
+
+    Object.keys(value).forEach((key) => {
+        if (!param.components.some((component) => component.name === key)) {
+            throw new Error(`${where}: unknown param ${key}`);
+        }
+    });
+
+    return param.components.map(
+        (component) => mergeValue(component, value[component.name], `${where}.${component.name}`),
+    );
+};
+
+/// @notice Type of the struct an action or trigger decodes its call data into
+/// @return ParamType of the struct, null if the contract doesn't read call data
+const getCallDataType = (idEntry, structName) => {
+    const sourcePath = getSourcePath(idEntry);
+
+    if (!sourcePath) throw new Error(`Source of ${idEntry?.fileName} not found`);
+
+    const sources = getSourcesWithImports(sourcePath);
+    const typeName = structName || sources[0].match(CALL_DATA_STRUCT)?.[1];
+
+    if (!typeName || !sources.some((source) => new RegExp(`struct\\s+${typeName.split('.').pop()}\\s*{`).test(source))) {
+        return null;
+    }
+
+    return toParamType('params', typeName, sources);
+};
+
+const encodeCallData = (paramType, values, where) => ethers.utils.defaultAbiCoder.encode(
+    [paramType],
+    [mergeValue(paramType, values || {}, where)],
+);
+
+// values are given either in an array by position or in an object by contract name
+const getValues = (values, i, name) => {
+    if (!values) return undefined;
+    if (Array.isArray(values)) return values[i];
+
+    return values[name];
+};
+
+/// @notice Params that are injected at execution, setting them from the bot has no effect
+const checkInjectedParams = (action, values, where) => {
+    if (!values || Array.isArray(values)) return;
+
+    action.params.filter((param) => param.source.type !== 'none' && param.name).forEach((param) => {
+        const value = param.name.split('.').reduce((obj, key) => (Array.isArray(obj) ? undefined : obj?.[key]), values);
+
+        if (value !== undefined) {
+            throw new Error(`${where}: ${param.name} is injected (${param.source.type}), it can't be set by the bot`);
+        }
+    });
+};
+
+/// @notice Builds executeStrategy args for any strategy from its ids and paramMapping
+/// @dev Params injected from sub data, return values or the wallet get placeholders and
+///      unset params are zero, so only the values decided at execution need to be passed
+/// @param strategy Strategy as in StrategyStorage, only triggerIds, actionIds and paramMapping are read
+/// @param opts.strategyId Only used in the description of the strategy
+/// @param opts.actionValues Values of each action by position or by action name,
+///        e.g. { DFSSell: { exchangeData: { srcAmount, wrapper } }, GasFeeTaker: { gasUsed } }
+/// @param opts.triggerValues Values of the CallParams of each trigger, same format as actionValues
+/// @param idsMap Map of registry ids to contract files from generateIds()
+/// @return { subId, strategyIndex, triggerCallData, actionsCallData, strategySub }
+const buildStrategyExecution = (strategy, opts, idsMap) => {
+    const description = describeStrategy(opts.strategyId, strategy, idsMap);
+
+    const triggerCallData = description.triggers.map((trigger, i) => {
+        const where = `trigger #${i + 1} ${trigger.name}`;
+        const values = getValues(opts.triggerValues, i, trigger.name);
+        const callParamsType = getCallDataType(idsMap[trigger.id], 'CallParams');
+
+        if (!callParamsType) {
+            if (values) throw new Error(`${where}: trigger doesn't take call data`);
+
+            // most triggers ignore the call data
+            return ethers.utils.defaultAbiCoder.encode(['uint256'], ['0']);
+        }
+
+        return encodeCallData(callParamsType, values, where);
+    });
+
+    const actionsCallData = description.actions.map((action, i) => {
+        const where = `action #${i + 1} ${action.name}`;
+        const values = getValues(opts.actionValues, i, action.name);
+        const paramsType = getCallDataType(idsMap[action.id]);
+
+        if (!paramsType) throw new Error(`${where}: call data struct not found`);
+
+        checkInjectedParams(action, values, where);
+
+        return encodeCallData(paramsType, values, where);
+    });
+
+    return {
+        subId: opts.subId,
+        strategyIndex: opts.strategyIndex || 0,
+        triggerCallData,
+        actionsCallData,
+        strategySub: opts.strategySub,
+    };
+};
+
+module.exports = {
+    buildStrategyExecution,
+    getCallDataType,
+    getSourcePath,
+    getSourcesWithImports,
+    toParamType,
+    encodeCallData,
+};
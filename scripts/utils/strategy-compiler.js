@@ -0,0 +1,162 @@
+/* eslint-disable import/no-extraneous-dependencies */
+
+const fs = require('fs');
+const path = require('path');
+const dfs = require('@defisaver/sdk');
+const yaml = require('js-yaml');
+
+const { formatExchangeObj } = require('../../test/utils');
+
+const STRATEGIES_FOLDER = path.join(__dirname, '..', 'strategies');
+
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// injected by the executor, not part of the sub data
+const RESERVED_SUB_SLOTS = ['&proxy', '&eoa'];
+
+const validateStrategyDefinition = (definition, definitionPath) => {
+    const fail = (msg) => {
+        throw new Error(`Invalid strategy definition ${definitionPath}: ${msg}`);
+    };
+
+    if (!definition.name) fail('missing strategy name');
+    if (!Array.isArray(definition.triggers) || definition.triggers.length === 0) fail('triggers must be a non empty array');
+    if (!Array.isArray(definition.actions) || definition.actions.length === 0) fail('actions must be a non empty array');
+    if (definition.networks !== undefined && !Array.isArray(definition.networks)) fail('networks must be an array');
+
+    Object.keys(definition.subSlots || {}).forEach((slot) => {
+        if (!slot.startsWith('&')) fail(`sub slot ${slot} must start with &`);
+        if (RESERVED_SUB_SLOTS.includes(slot)) fail(`sub slot ${slot} is reserved`);
+    });
+
+    definition.triggers.forEach((trigger, i) => {
+        if (typeof trigger.trigger !== 'string') fail(`trigger #${i + 1} has no trigger name`);
+    });
+
+    definition.actions.forEach((action, i) => {
+        if (typeof action.action !== 'string') fail(`action #${i + 1} has no action name`);
+    });
+};
+
+const isDefinitionFile = (fileName) => DEFINITION_EXTENSIONS.includes(path.extname(fileName));
+
+// by name the json definition is picked before a yaml one
+const findDefinitionPath = (name) => {
+    const fileNames = isDefinitionFile(name)
+        ? [name]
+        : DEFINITION_EXTENSIONS.map((ext) => `${name}${ext}`);
+    const definitionPath = fileNames
+        .map((fileName) => path.join(STRATEGIES_FOLDER, fileName))
+        .find((filePath) => fs.existsSync(filePath));
+
+    if (!definitionPath) throw new Error(`Strategy definition ${name} not found in ${STRATEGIES_FOLDER}`);
+
+    return definitionPath;
+};
+
+/// @notice Reads a json or yaml strategy definition by path or by its name in scripts/strategies
+const loadStrategyDefinition = (definitionPathOrName) => {
+    const definitionPath = fs.existsSync(definitionPathOrName)
+        ? definitionPathOrName
+        : findDefinitionPath(definitionPathOrName);
+
+    const content = fs.readFileSync(definitionPath, 'utf8');
+    const definition = path.extname(definitionPath) === '.json'
+        ? JSON.parse(content)
+        : yaml.load(content);
+
+    validateStrategyDefinition(definition, definitionPath);
+
+    return definition;
+};
+
+/// @notice All definitions in scripts/strategies that can be deployed on the network
+const getStrategyDefinitions = (network) => fs.readdirSync(STRATEGIES_FOLDER)
+    .filter(isDefinitionFile)
+    .map((fileName) => loadStrategyDefinition(path.join(STRATEGIES_FOLDER, fileName)))
+    .filter((definition) => !network || !definition.networks
+        || definition.networks.includes(network));
+
+const getSdkClass = (root, classPath, where) => {
+    const SdkClass = classPath.split('.').reduce((obj, key) => obj?.[key], root);
+
+    if (typeof SdkClass !== 'function') {
+        throw new Error(`${where}: ${classPath} does not exist in @defisaver/sdk`);
+    }
+
+    return SdkClass;
+};
+
+// &slot must be a declared sub slot and $n must point to one of the previous actions
+const validateSymbol = (arg, ctx) => {
+    if (typeof arg !== 'string') return;
+
+    if (arg.startsWith('&') && !RESERVED_SUB_SLOTS.includes(arg) && !(arg in ctx.subSlots)) {
+        throw new Error(`${ctx.where}: ${arg} is not a declared sub slot`);
+    }
+
+    if (/^\$\d+$/.test(arg)) {
+        const returnIndex = Number(arg.slice(1));
+
+        if (returnIndex < 1 || returnIndex > ctx.actionIndex) {
+            throw new Error(`${ctx.where}: ${arg} does not point to a previous action`);
+        }
+    }
+};
+
+const resolveArg = (arg, ctx) => {
+    if (Array.isArray(arg)) return arg.map((a) => resolveArg(a, ctx));
+
+    if (arg !== null && typeof arg === 'object') {
+        // eslint-disable-next-line no-use-before-define
+        if (arg.action) return buildAction(arg, ctx);
+        if (arg.exchange) return formatExchangeObj(...resolveArg(arg.exchange, ctx));
+
+        throw new Error(`${ctx.where}: unknown arg ${JSON.stringify(arg)}`);
+    }
+
+    validateSymbol(arg, ctx);
+
+    return arg;
+};
+
+const buildAction = (actionDef, ctx) => {
+    const Action = getSdkClass(dfs.actions, actionDef.action, ctx.where);
+
+    return new Action(...resolveArg(actionDef.args || [], ctx));
+};
+
+/// @notice Builds the strategy from its definition
+/// @return Same as dfs.Strategy encodeForDsProxyCall(), [name, triggerIds, actionIds, paramMapping]
+const compileStrategyDefinition = (definition) => {
+    const strategy = new dfs.Strategy(definition.name);
+    const subSlots = definition.subSlots || {};
+
+    Object.entries(subSlots).forEach(([slot, type]) => strategy.addSubSlot(slot, type));
+
+    definition.triggers.forEach((triggerDef, i) => {
+        const ctx = { subSlots, actionIndex: 0, where: `${definition.name} trigger #${i + 1}` };
+        const Trigger = getSdkClass(dfs.triggers, triggerDef.trigger, ctx.where);
+
+        strategy.addTrigger(new Trigger(...resolveArg(triggerDef.args || [], ctx)));
+    });
+
+    definition.actions.forEach((actionDef, i) => {
+        const ctx = { subSlots, actionIndex: i, where: `${definition.name} action #${i + 1}` };
+
+        strategy.addAction(buildAction(actionDef, ctx));
+    });
+
+    return strategy.encodeForDsProxyCall();
+};
+
+/// @notice Builds a strategy of scripts/strategies by name, as the create*Strategy test helpers do
+const compileStrategy = (name) => compileStrategyDefinition(loadStrategyDefinition(name));
+
+module.exports = {
+    loadStrategyDefinition,
+    getStrategyDefinitions,
+    compileStrategyDefinition,
+    compileStrategy,
+    STRATEGIES_FOLDER,
+};
@@ -0,0 +1,346 @@
+const ethers = require('ethers');
+const fs = require('fs');
+
+const NO_PARAM_MAPPING = 0;
+const RETURN_MAX_INDEX_VALUE = 127;
+const SUB_MIN_INDEX_VALUE = 128;
+const PROXY_PARAM_MAPPING = 254;
+const EOA_PARAM_MAPPING = 255;
+
+/// @notice Short notation used in addresses/strategies, $n is a return value and &n a sub slot
+const formatParamMapping = (p) => {
+    if (p === PROXY_PARAM_MAPPING) return '&proxy';
+    if (p === EOA_PARAM_MAPPING) return '&eoa';
+
+    if (p <= RETURN_MAX_INDEX_VALUE && p > NO_PARAM_MAPPING) {
+        return `$${p}`;
+    }
+
+    if (p >= SUB_MIN_INDEX_VALUE && p < PROXY_PARAM_MAPPING) {
+        return `&${p - RETURN_MAX_INDEX_VALUE}`;
+    }
+
+    return p;
+};
+
+/// @notice Same ranges as in ActionBase, indexes are 0 based (returnValues[i], subData[i])
+const decodeParamMapping = (p) => {
+    if (p === PROXY_PARAM_MAPPING) return { type: 'proxy' };
+    if (p === EOA_PARAM_MAPPING) return { type: 'eoa' };
+
+    if (p <= RETURN_MAX_INDEX_VALUE && p > NO_PARAM_MAPPING) {
+        return { type: 'return', index: p - 1 };
+    }
+
+    if (p >= SUB_MIN_INDEX_VALUE) {
+        return { type: 'sub', index: p - SUB_MIN_INDEX_VALUE };
+    }
+
+    return { type: 'none' };
+};
+
+const readSource = (filePath) => {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+
+    return fs.readFileSync(filePath, 'utf8')
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+};
+
+/// @notice Type used to abi decode a struct field, enums are uint8 and other custom types a word
+const toAbiType = (type, source) => {
+    if (/^(address|bool|string|bytes\d*|u?int\d*)(\[\d*\])*$/.test(type)) return type;
+    if (new RegExp(`enum\\s+${type}\\b`).test(source)) return 'uint8';
+
+    return 'bytes32';
+};
+
+const parseStruct = (source, structName) => {
+    const match = source.match(new RegExp(`struct\\s+${structName}\\s*{([^}]*)}`));
+
+    if (!match) return null;
+
+    return match[1].split(';')
+        .map((decl) => decl.trim().split(/\s+/))
+        .filter((parts) => parts.length > 1)
+        .map((parts) => {
+            const type = parts.slice(0, -1).join(' ');
+
+            return { type, abiType: toAbiType(type, source), name: parts[parts.length - 1] };
+        });
+};
+
+const getStructFieldTypes = (source) => {
+    const types = {};
+
+    [...source.matchAll(/struct\s+(\w+)\s*{/g)].forEach(([, structName]) => {
+        parseStruct(source, structName).forEach((field) => {
+            if (!types[field.name]) types[field.name] = field;
+        });
+    });
+
+    return types;
+};
+
+// type each ActionBase _parseParamX() returns
+const PARSE_PARAM_TYPES = {
+    _parseParamUint: 'uint256',
+    _parseParamAddr: 'address',
+    _parseParamABytes32: 'bytes32',
+};
+
+/// @notice Finds which param each _paramMapping[i] replaces by reading executeAction
+/// @dev Param name is the first arg of _parseParamX(), or what the result is assigned to
+/// @return { names, parseTypes } by mapping index, parseTypes is what the _parseParamX() returns
+const getMappedParams = (source) => {
+    const start = source.indexOf('function executeAction(');
+
+    const names = [];
+    const parseTypes = [];
+
+    if (start === -1) return { names, parseTypes };
+
+    const end = source.indexOf('function ', start + 1);
+    const body = source.slice(start, end === -1 ? undefined : end);
+
+    body.split(/[;{}]/).forEach((statement) => {
+        const indexMatch = statement.match(/_paramMapping\[(\d+)\]/);
+
+        if (!indexMatch || names[indexMatch[1]] !== undefined) return;
+
+        const argMatch = statement.match(/(_parseParam\w*)\(\s*(?:\w+\()?\s*([\w.]+)/);
+        const assignMatch = statement.match(/^\s*(?:[\w[\]]+\s+)?([\w.]+)\s*=[^=]/);
+
+        const param = argMatch?.[2] || assignMatch?.[1];
+
+        if (param) {
+            // drop the struct variable, params.exchangeData.srcAddr -> exchangeData.srcAddr
+            names[indexMatch[1]] = param.includes('.') ? param.split('.').slice(1).join('.') : param;
+            parseTypes[indexMatch[1]] = PARSE_PARAM_TYPES[argMatch?.[1]];
+        }
+    });
+
+    return { names, parseTypes };
+};
+
+const describeTrigger = (triggerId, idsMap) => {
+    const source = readSource(idsMap[triggerId]?.filePath);
+
+    return {
+        id: triggerId,
+        name: idsMap[triggerId]?.fileName || triggerId,
+        subParams: source ? parseStruct(source, 'SubParams') : null,
+    };
+};
+
+const describeAction = (actionId, paramMapping, idsMap) => {
+    const source = readSource(idsMap[actionId]?.filePath);
+
+    const { names, parseTypes } = source ? getMappedParams(source) : { names: [], parseTypes: [] };
+    const types = source ? getStructFieldTypes(source) : {};
+
+    const params = paramMapping.map((p, index) => {
+        const name = names[index];
+
+        return {
+            index,
+            name,
+            type: name ? types[name]?.type : undefined,
+            // nested fields (exchangeData.srcAddr) are typed by the _parseParamX() reading them
+            abiType: name ? types[name]?.abiType || parseTypes[index] : undefined,
+            source: decodeParamMapping(p),
+        };
+    });
+
+    return {
+        id: actionId,
+        name: idsMap[actionId]?.fileName || actionId,
+        params,
+    };
+};
+
+/// @notice Builds a readable description of a strategy as stored in StrategyStorage
+/// @param strategy Strategy struct (name, triggerIds, actionIds, paramMapping, continuous)
+/// @param idsMap Map of registry ids to contract files from generateIds()
+const describeStrategy = (strategyId, strategy, idsMap) => ({
+    id: strategyId,
+    name: strategy.name,
+    isContinuous: strategy.continuous,
+    triggers: strategy.triggerIds.map((triggerId) => describeTrigger(triggerId, idsMap)),
+    actions: strategy.actionIds.map(
+        (actionId, i) => describeAction(actionId, strategy.paramMapping[i], idsMap),
+    ),
+});
+
+/// @notice Lists which action params read each sub slot, for bundles all strategies are merged
+const getSubSlots = (descriptions) => {
+    const slots = [];
+
+    descriptions.forEach((description) => {
+        description.actions.forEach((action) => {
+            action.params.filter((param) => param.source.type === 'sub').forEach((param) => {
+                const slot = slots[param.source.index] || { index: param.source.index, usedBy: [] };
+
+                slot.abiType = slot.abiType || param.abiType;
+                slot.usedBy.push(`${action.name}.${param.name || `[${param.index}]`}`);
+
+                slots[param.source.index] = slot;
+            });
+        });
+    });
+
+    return slots;
+};
+
+const decodeWord = (word, abiType) => {
+    const value = ethers.BigNumber.from(word);
+
+    if (abiType === 'address') return ethers.utils.getAddress(ethers.utils.hexDataSlice(word, 12));
+    if (abiType === 'bool') return !value.isZero();
+    if (abiType?.startsWith('uint')) return value.toString();
+    if (abiType?.startsWith('int')) return value.fromTwos(256).toString();
+
+    return word;
+};
+
+/// @notice Decodes sub data words by the type of the action param they are injected into
+const decodeSubData = (subData, slots) => subData.map((word, i) => ({
+    index: i,
+    raw: word,
+    value: decodeWord(word, slots[i]?.abiType),
+    usedBy: slots[i]?.usedBy || [],
+}));
+
+/// @notice Decodes trigger data with the SubParams struct of the trigger
+const decodeTriggerData = (triggerData, trigger) => {
+    if (!trigger.subParams) return null;
+
+    try {
+        const [decoded] = ethers.utils.defaultAbiCoder.decode(
+            [`tuple(${trigger.subParams.map(({ abiType }) => abiType).join(',')})`],
+            triggerData,
+        );
+
+        return trigger.subParams.map(({ name, type }, i) => ({
+            name,
+            type,
+            value: ethers.BigNumber.isBigNumber(decoded[i]) ? decoded[i].toString() : decoded[i],
+        }));
+    } catch (err) {
+        return null;
+    }
+};
+
+const formatSource = (source, actions) => {
+    if (source.type === 'proxy') return 'user wallet';
+    if (source.type === 'eoa') return 'wallet owner';
+    if (source.type === 'sub') return `subData[${source.index}]`;
+    if (source.type === 'return') {
+        return `return of #${source.index + 1} ${actions[source.index]?.name || '?'}`;
+    }
+
+    return 'calldata';
+};
+
+const formatParamName = (param) => {
+    const name = param.name || `[${param.index}]`;
+
+    return param.type ? `${param.type} ${name}` : name;
+};
+
+const formatSubParams = (trigger) => {
+    if (!trigger.subParams) return 'unknown';
+
+    return trigger.subParams.map(({ type, name }) => `${type} ${name}`).join(', ');
+};
+
+const renderStrategyText = (description) => {
+    const lines = [];
+
+    const flags = [description.isContinuous ? 'continuous' : 'one time'];
+    if (description.bundleId !== undefined) flags.push(`bundle ${description.bundleId}`);
+
+    lines.push(`Strategy #${description.id} ${description.name} (${flags.join(', ')})`);
+
+    lines.push('  Triggers:');
+    description.triggers.forEach((trigger) => {
+        lines.push(`    ${trigger.name}(${formatSubParams(trigger)})`);
+    });
+
+    lines.push('  Actions:');
+    description.actions.forEach((action, i) => {
+        lines.push(`    #${i + 1} ${action.name}`);
+
+        const paramNames = action.params.map(formatParamName);
+        const width = Math.max(0, ...paramNames.map((name) => name.length));
+
+        action.params.forEach((param, j) => {
+            lines.push(`        ${paramNames[j].padEnd(width)} <- ${formatSource(param.source, description.actions)}`);
+        });
+    });
+
+    return lines.join('\n');
+};
+
+const renderStrategyMarkdown = (description) => {
+    const lines = [];
+
+    lines.push(`### Strategy ${description.id}: ${description.name}`);
+    lines.push('');
+    lines.push(`* Continuous: ${description.isContinuous ? 'yes' : 'no'}`);
+    if (description.bundleId !== undefined) lines.push(`* Bundle: ${description.bundleId}`);
+    lines.push('');
+
+    lines.push('| Trigger | Sub params |');
+    lines.push('| --- | --- |');
+    description.triggers.forEach((trigger) => {
+        lines.push(`| ${trigger.name} | \`${formatSubParams(trigger)}\` |`);
+    });
+    lines.push('');
+
+    lines.push('| # | Action | Param | Source |');
+    lines.push('| --- | --- | --- | --- |');
+    description.actions.forEach((action, i) => {
+        if (action.params.length === 0) {
+            lines.push(`| ${i + 1} | ${action.name} | | |`);
+        }
+
+        action.params.forEach((param, j) => {
+            const actionCells = j === 0 ? `${i + 1} | ${action.name}` : ' | ';
+            lines.push(`| ${actionCells} | \`${formatParamName(param)}\` | ${formatSource(param.source, description.actions)} |`);
+        });
+    });
+
+    return lines.join('\n');
+};
+
+const renderStrategy = (description, format = 'text') => {
+    if (format === 'markdown') return renderStrategyMarkdown(description);
+
+    return renderStrategyText(description);
+};
+
+const renderBundle = (bundleId, descriptions, format = 'text') => {
+    const strategyIds = descriptions.map((d) => d.id).join(', ');
+    const rendered = descriptions.map((d) => renderStrategy({ ...d, bundleId }, format));
+
+    if (format === 'markdown') {
+        return [`## Bundle ${bundleId}`, '', `Strategies: ${strategyIds}`, '', ...rendered.map((r) => `${r}\n`)].join('\n');
+    }
+
+    return [`Bundle #${bundleId} (strategies ${strategyIds})`, ...rendered].join('\n\n');
+};
+
+module.exports = {
+    formatParamMapping,
+    decodeParamMapping,
+    describeStrategy,
+    renderStrategy,
+    renderBundle,
+    getSubSlots,
+    decodeSubData,
+    decodeTriggerData,
+    readSource,
+    parseStruct,
+    formatSource,
+};
@@ -0,0 +1,331 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const automationSdk = require('@defisaver/automation-sdk');
+const { getAssetInfo } = require('@defisaver/tokens');
+
+const {
+    addrs,
+    chainIds,
+    nullAddress,
+    getNameId,
+    generateIds,
+    getAddrFromRegistry,
+} = require('../../test/utils');
+const { describeStrategy, getSubSlots } = require('./strategy-decoder');
+const { getAllFiles } = require('../hardhat-tasks-functions');
+
+const STRATEGIES_PATH = path.join(__dirname, '/../../addresses/strategies');
+
+// same ranges as ActionBase, see formatParamMapping
+const PROXY_PARAM_MAPPING = 254;
+const EOA_PARAM_MAPPING = 255;
+const RETURN_MAX_INDEX_VALUE = 127;
+
+const loadStrategyMetadata = (network) => {
+    const filePath = path.join(STRATEGIES_PATH, `${network}.json`);
+
+    if (!fs.existsSync(filePath)) throw new Error(`No strategies for ${network} in addresses/strategies`);
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+/// @notice Reverse of formatParamMapping, '&proxy' -> 254, '$1' -> 1, '&1' -> 128
+const parseParamMapping = (p) => {
+    if (p === '&proxy') return PROXY_PARAM_MAPPING;
+    if (p === '&eoa') return EOA_PARAM_MAPPING;
+    if (typeof p === 'string' && p.startsWith('$')) return Number(p.slice(1));
+    if (typeof p === 'string' && p.startsWith('&')) return Number(p.slice(1)) + RETURN_MAX_INDEX_VALUE;
+
+    return p;
+};
+
+// bundle names of the automation sdk, e.g. Bundles.MainnetIds.AAVE_V3_REPAY, without the reverse entries of ts enums
+const getSdkBundleIds = (network) => Object.fromEntries(
+    Object.entries(automationSdk.enums.Bundles[`${network[0].toUpperCase()}${network.slice(1)}Ids`] || {})
+        .filter(([, id]) => typeof id === 'number'),
+);
+
+/// @notice Finds a strategy by its name in addresses/strategies or a bundle by its automation sdk name or bundle:<id>
+/// @return { name, id, isBundle, strategies }
+const resolveSubTarget = (name, network) => {
+    const metadata = loadStrategyMetadata(network);
+
+    const strategy = metadata.find((s) => s.name.toLowerCase() === name.toLowerCase());
+    if (strategy) {
+        return {
+            name: strategy.name, id: strategy.id, isBundle: false, strategies: [strategy],
+        };
+    }
+
+    const sdkBundleIds = getSdkBundleIds(network);
+    const bundleName = Object.keys(sdkBundleIds).find((key) => key.toLowerCase() === name.toLowerCase());
+    const bundleId = bundleName ? sdkBundleIds[bundleName] : name.match(/^bundle:(\d+)$/)?.[1];
+
+    if (bundleId === undefined) throw new Error(`${name} is not a strategy or bundle on ${network}`);
+
+    const strategies = metadata.filter((s) => s.bundleId === Number(bundleId));
+    if (strategies.length === 0) throw new Error(`Bundle ${bundleId} has no strategies in addresses/strategies/${network}.json`);
+
+    return {
+        name: bundleName || name, id: Number(bundleId), isBundle: true, strategies,
+    };
+};
+
+/// @notice Sub slots and trigger params of a sub target, typed from the action and trigger sources
+/// @dev Slots are named by the action params that read them, triggers are taken from the first strategy
+///      as every strategy of a bundle uses the same ones
+const describeSubTarget = (target, idsMap = generateIds()) => {
+    const descriptions = target.strategies.map((strategy) => describeStrategy(strategy.id, {
+        name: strategy.name,
+        continuous: strategy.isContinuous,
+        triggerIds: strategy.triggerIds.map(getNameId),
+        actionIds: strategy.actionIds.map(getNameId),
+        paramMapping: strategy.paramMapping.map((mapping) => mapping.map(parseParamMapping)),
+    }, idsMap));
+
+    const slots = getSubSlots(descriptions).map((slot) => slot && {
+        ...slot,
+        name: slot.usedBy[0].split('.').pop(),
+    });
+
+    return { slots, triggers: descriptions[0].triggers };
+};
+
+/// @notice Parses --slot/--trigger values given as name=value
+const parseAssignments = (assignments = []) => Object.fromEntries(assignments.map((assignment) => {
+    const separator = assignment.indexOf('=');
+    if (separator < 1) throw new Error(`${assignment} should be name=value`);
+
+    return [assignment.slice(0, separator), assignment.slice(separator + 1)];
+}));
+
+// 1.5e18 -> 1500000000000000000
+const parseNumber = (value) => {
+    const [mantissa, exponent] = value.toLowerCase().split('e');
+
+    return exponent === undefined
+        ? hre.ethers.BigNumber.from(mantissa)
+        : hre.ethers.utils.parseUnits(mantissa, Number(exponent));
+};
+
+/// @notice Validates a cli value against the abi type it's encoded as
+/// @dev Addresses can also be token symbols, numbers can use scientific notation
+const toAbiValue = (abiType, value, label, network = 'mainnet') => {
+    const fail = (reason) => { throw new Error(`${label}: ${value} ${reason}`); };
+
+    if (abiType === 'address') {
+        if (hre.ethers.utils.isAddress(value)) return hre.ethers.utils.getAddress(value);
+
+        const { address } = getAssetInfo(value, chainIds[network]);
+        if (!address || address === nullAddress) fail('is not an address or a known token symbol');
+
+        return address;
+    }
+
+    if (abiType === 'bool') {
+        if (!['true', 'false', '1', '0'].includes(String(value))) fail('is not a bool');
+
+        return String(value) === 'true' || String(value) === '1';
+    }
+
+    const int = abiType.match(/^(u?)int(\d*)$/);
+    if (int) {
+        let number;
+        try {
+            number = parseNumber(String(value));
+        } catch (err) {
+            fail(`is not an ${abiType}`);
+        }
+
+        const bits = Number(int[2] || 256);
+        const isUnsigned = int[1] === 'u';
+        const max = hre.ethers.BigNumber.from(2).pow(isUnsigned ? bits : bits - 1);
+
+        if (number.gte(max) || (isUnsigned ? number.lt(0) : number.lt(max.mul(-1)))) fail(`is out of range for ${abiType}`);
+
+        return number;
+    }
+
+    const bytes = abiType.match(/^bytes(\d+)$/);
+    if (bytes) {
+        if (!hre.ethers.utils.isHexString(value)) fail(`is not hex for ${abiType}`);
+        // bytesN values are left aligned in the abi, left padding a shorter value would change it
+        if (hre.ethers.utils.hexDataLength(value) !== Number(bytes[1])) fail(`is not ${bytes[1]} bytes long for ${abiType}`);
+
+        return value;
+    }
+
+    return value;
+};
+
+// finds the key of a slot value by index, full name (Action.param) or a param name used by one slot only
+const getSlotValue = (values, slot, slots) => {
+    const names = [String(slot.index), ...slot.usedBy];
+    const shortNames = [...new Set(slot.usedBy.map((usedBy) => usedBy.split('.').pop()))];
+
+    shortNames.forEach((shortName) => {
+        const isUnique = slots.filter((s) => s && s.usedBy.some((usedBy) => usedBy.split('.').pop() === shortName)).length === 1;
+
+        if (isUnique) names.push(shortName);
+    });
+
+    return names.find((name) => values[name] !== undefined);
+};
+
+/// @notice Builds the StrategySub struct from named slot and trigger values
+/// @dev Slots no action reads (holes, or extra slots of a SubProxy format) can be set by their index
+/// @return [strategyOrBundleId, isBundle, triggerData, subData]
+const buildStrategySub = (target, description, slotValues, triggerValues, network) => {
+    const slots = [...description.slots];
+
+    // slots only set by index
+    Object.keys(slotValues).filter((key) => /^\d+$/.test(key)).forEach((key) => {
+        if (!slots[key]) slots[key] = { index: Number(key), abiType: 'bytes32', usedBy: [] };
+    });
+
+    const missing = [];
+    const used = new Set();
+
+    const subData = [...slots].map((slot, i) => {
+        if (!slot) return hre.ethers.constants.HashZero;
+
+        const key = getSlotValue(slotValues, slot, slots);
+        if (key === undefined) {
+            missing.push(`slot ${i} ${slot.name || ''} (${slot.abiType})`);
+            return null;
+        }
+        used.add(`slot:${key}`);
+
+        return hre.ethers.utils.defaultAbiCoder.encode([slot.abiType || 'bytes32'], [toAbiValue(slot.abiType || 'bytes32', slotValues[key], `slot ${i}`, network)]);
+    });
+
+    const triggerData = description.triggers.map((trigger) => {
+        if (!trigger.subParams) throw new Error(`Can't read SubParams of ${trigger.name}`);
+
+        const values = trigger.subParams.map(({ name, abiType }) => {
+            const key = [`${trigger.name}.${name}`, name].find((k) => triggerValues[k] !== undefined);
+            if (key === undefined) {
+                missing.push(`trigger ${trigger.name}.${name} (${abiType})`);
+                return null;
+            }
+            used.add(`trigger:${key}`);
+
+            return toAbiValue(abiType, triggerValues[key], `${trigger.name}.${name}`, network);
+        });
+
+        if (missing.length > 0) return null;
+
+        return hre.ethers.utils.defaultAbiCoder.encode([`tuple(${trigger.subParams.map(({ abiType }) => abiType).join(',')})`], [values]);
+    });
+
+    if (missing.length > 0) throw new Error(`Missing values for ${missing.join(', ')}`);
+
+    const unknown = [
+        ...Object.keys(slotValues).filter((key) => !used.has(`slot:${key}`)).map((key) => `slot ${key}`),
+        ...Object.keys(triggerValues).filter((key) => !used.has(`trigger:${key}`)).map((key) => `trigger ${key}`),
+    ];
+    if (unknown.length > 0) throw new Error(`Unknown or ambiguous ${unknown.join(', ')}`);
+
+    return [target.id, target.isBundle, triggerData, subData];
+};
+
+// SubProxy contracts that format subs themselves, the core SubProxy takes a StrategySub
+const getSubProxyNames = () => getAllFiles('./contracts')
+    .map((filePath) => path.basename(filePath, '.sol'))
+    .filter((name) => /SubProxy/.test(name) && name !== 'SubProxy');
+
+/// @notice Finds the registered SubProxy whose strategy or bundle id getters (REPAY_BUNDLE_ID, LIMIT_ORDER_ID, ...) match the target
+/// @return { name, address, contract } or null when the sub goes through SubProxy
+const findSubProxy = async (target, network) => {
+    const names = getSubProxyNames();
+
+    for (let i = 0; i < names.length; i++) {
+        const address = await getAddrFromRegistry(names[i], addrs[network].REGISTRY_ADDR).catch(() => nullAddress);
+
+        if (address !== nullAddress) {
+            const contract = await hre.ethers.getContractAt(names[i], address);
+            const idGetters = Object.values(contract.interface.functions).filter(
+                (f) => f.name.endsWith('_ID') && f.inputs.length === 0 && f.outputs[0]?.type === 'uint64',
+            );
+
+            for (let j = 0; j < idGetters.length; j++) {
+                const isBundleId = idGetters[j].name.includes('BUNDLE');
+                const id = await contract[idGetters[j].name]().catch(() => null);
+
+                if (id !== null && isBundleId === target.isBundle && id.toNumber() === target.id) {
+                    return { name: names[i], address, contract };
+                }
+            }
+        }
+    }
+
+    return null;
+};
+
+const toFieldValue = (param, values, label, network) => {
+    const name = param.name.replace(/^_/, '');
+
+    if (param.type.startsWith('tuple')) {
+        return param.components.map((component) => toFieldValue(component, values, label, network));
+    }
+    // unnamed params are kept for the function sig only, e.g. _shouldLegacyUnsub of McdSubProxy
+    if (!name) return param.type === 'bool' ? false : 0;
+    if (values[name] === undefined) throw new Error(`${label} needs ${name} (${param.type})`);
+
+    return toAbiValue(param.type, values[name], name, network);
+};
+
+// subTo* function of a SubProxy and the struct its packed bytes input is parsed into
+const getSubFunction = (subProxy) => {
+    const { interface: iface } = subProxy.contract;
+    const subFunction = Object.values(iface.functions).find((f) => f.name.startsWith('subTo'));
+
+    if (!subFunction) throw new Error(`${subProxy.name} has no subTo function`);
+
+    return { subFunction, parsedInput: iface.functions['parseSubData(bytes)']?.outputs[0] };
+};
+
+/// @notice Fields the subTo* function of a SubProxy takes, as type name
+const getSubProxyFields = (subProxy) => {
+    const { subFunction, parsedInput } = getSubFunction(subProxy);
+
+    return subFunction.inputs
+        .flatMap((input) => (input.type === 'bytes' && parsedInput ? parsedInput.components : input.components || [input]))
+        .filter(({ name }) => name)
+        .map(({ name, type }) => `${type} ${name.replace(/^_/, '')}`);
+};
+
+/// @notice Encodes the subTo* call of a SubProxy from the named fields of its input
+/// @dev Inputs passed as packed bytes are encoded by the struct parseSubData returns
+const encodeSubProxyCall = (subProxy, values, network) => {
+    const { subFunction, parsedInput } = getSubFunction(subProxy);
+
+    const args = subFunction.inputs.map((input) => {
+        if (input.type !== 'bytes') return toFieldValue(input, values, subProxy.name, network);
+        if (!parsedInput) throw new Error(`Can't encode ${input.name} of ${subProxy.name}`);
+
+        return hre.ethers.utils.solidityPack(
+            parsedInput.components.map(({ type }) => type),
+            toFieldValue(parsedInput, values, subProxy.name, network),
+        );
+    });
+
+    return subProxy.contract.interface.encodeFunctionData(subFunction, args);
+};
+
+module.exports = {
+    loadStrategyMetadata,
+    resolveSubTarget,
+    describeSubTarget,
+    parseAssignments,
+    toAbiValue,
+    buildStrategySub,
+    findSubProxy,
+    getSubProxyFields,
+    encodeSubProxyCall,
+};
@@ -0,0 +1,307 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const hre = require('hardhat');
+const { getAssetInfo, getAssetInfoByAddress } = require('@defisaver/tokens');
+
+const {
+    chainIds,
+    getNetwork,
+    setBalance,
+    fetchAmountInUSDPrice,
+    takeSnapshot,
+    revertToSnapshot,
+    nullAddress,
+    ETH_ADDR,
+    STETH_ADDRESS,
+} = require('../../test/utils');
+const { topUp, impersonate } = require('./fork');
+
+const ERC20_ABI = [
+    'function balanceOf(address) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function transfer(address, uint256) returns (bool)',
+    'function approve(address, uint256) returns (bool)',
+];
+const STETH_ABI = ['function submit(address referral) payable returns (uint256)'];
+const ATOKEN_ABI = ['function UNDERLYING_ASSET_ADDRESS() view returns (address)', 'function POOL() view returns (address)'];
+// deposit is kept on the aave v3 pool next to supply
+const AAVE_POOL_ABI = ['function deposit(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)'];
+const CTOKEN_ABI = [
+    'function isCToken() view returns (bool)',
+    'function underlying() view returns (address)',
+    'function exchangeRateCurrent() returns (uint256)',
+    'function mint(uint256 mintAmount) returns (uint256)',
+    'function mint() payable',
+];
+const ERC4626_ABI = [
+    'function asset() view returns (address)',
+    'function previewMint(uint256 shares) view returns (uint256)',
+    'function previewDeposit(uint256 assets) view returns (uint256)',
+    'function mint(uint256 shares, address receiver) returns (uint256)',
+];
+const CURVE_ABI = [
+    'function minter() view returns (address)',
+    'function coins(uint256) view returns (address)',
+    'function get_virtual_price() view returns (uint256)',
+];
+
+// rebasing balances can be a few wei under the minted amount
+const REBASE_BUFFER = 10;
+const MAX_CURVE_COINS = 8;
+// underlying tokens are funded with the same faucet, e.g. the asset of a vault is an aToken
+const MAX_DEPTH = 3;
+
+const isEth = (addr) => addr.toLowerCase() === ETH_ADDR.toLowerCase();
+
+const tryCall = (promise) => promise.catch(() => undefined);
+
+/// @notice Resolves a token symbol of @defisaver/tokens or a token address
+/// @return { address, symbol, decimals }
+const resolveToken = async (symbolOrAddr) => {
+    const chainId = chainIds[getNetwork()];
+
+    if (!hre.ethers.utils.isAddress(symbolOrAddr)) {
+        const { address, symbol, decimals } = getAssetInfo(symbolOrAddr, chainId);
+
+        if (symbol === '?' || !address || address === nullAddress) throw new Error(`Unknown token ${symbolOrAddr} on ${getNetwork()}`);
+
+        return { address, symbol, decimals };
+    }
+
+    const token = await hre.ethers.getContractAt(ERC20_ABI, symbolOrAddr);
+
+    return {
+        address: symbolOrAddr,
+        // bytes32 symbols (MKR) fail to decode
+        symbol: await tryCall(token.symbol()) || getAssetInfoByAddress(symbolOrAddr, chainId).symbol,
+        decimals: await token.decimals(),
+    };
+};
+
+/// @notice Finds how the token is minted when its balance slot can't be written
+/// @return { kind: stETH | aToken | cToken | erc4626 | curveLp | erc20, underlying, pool }
+const getTokenKind = async (tokenAddr) => {
+    if (getNetwork() === 'mainnet' && tokenAddr.toLowerCase() === STETH_ADDRESS.toLowerCase()) {
+        return { kind: 'stETH', underlying: ETH_ADDR };
+    }
+
+    const aToken = await hre.ethers.getContractAt(ATOKEN_ABI, tokenAddr);
+    const aTokenUnderlying = await tryCall(aToken.UNDERLYING_ASSET_ADDRESS());
+    if (aTokenUnderlying) return { kind: 'aToken', underlying: aTokenUnderlying, pool: await aToken.POOL() };
+
+    const cToken = await hre.ethers.getContractAt(CTOKEN_ABI, tokenAddr);
+    if (await tryCall(cToken.isCToken())) {
+        // cETH has no underlying()
+        return { kind: 'cToken', underlying: await tryCall(cToken.underlying()) || ETH_ADDR };
+    }
+
+    const vault = await hre.ethers.getContractAt(ERC4626_ABI, tokenAddr);
+    const asset = await tryCall(vault.asset());
+    if (asset && await tryCall(vault.previewMint(1))) return { kind: 'erc4626', underlying: asset };
+
+    // older lp tokens are minted by their pool, newer pools are the lp token themselves
+    const lpToken = await hre.ethers.getContractAt(CURVE_ABI, tokenAddr);
+    const pool = await hre.ethers.getContractAt(CURVE_ABI, await tryCall(lpToken.minter()) || tokenAddr);
+    if (await tryCall(pool.coins(0)) && await tryCall(pool.get_virtual_price())) {
+        return { kind: 'curveLp', underlying: await pool.coins(0), pool: pool.address };
+    }
+
+    return { kind: 'erc20' };
+};
+
+/// @notice Parses the amount in token units, or in usd when it starts with $
+/// @dev Tokens without a usd price (aTokens, cTokens, vault shares) are priced through their underlying
+const parseTokenAmount = async (token, amount) => {
+    if (!amount.startsWith('$')) return hre.ethers.utils.parseUnits(amount, token.decimals);
+
+    const usdAmount = Number(amount.slice(1));
+    const chainId = chainIds[getNetwork()];
+    const fromUsd = async (address) => {
+        const { symbol } = getAssetInfoByAddress(address, chainId);
+        if (symbol === '?') throw new Error(`Unknown token ${address}`);
+
+        return fetchAmountInUSDPrice(symbol, usdAmount);
+    };
+
+    const price = await tryCall(fromUsd(token.address));
+    if (price) return price;
+
+    const { kind, underlying } = await getTokenKind(token.address);
+    if (!underlying || kind === 'curveLp') throw new Error(`No usd price for ${token.symbol}, pass the amount in tokens`);
+
+    const underlyingAmount = await fromUsd(underlying);
+
+    if (kind === 'cToken') {
+        const rate = await (await hre.ethers.getContractAt(CTOKEN_ABI, token.address)).callStatic.exchangeRateCurrent();
+
+        return underlyingAmount.mul(hre.ethers.constants.WeiPerEther).div(rate);
+    }
+    if (kind === 'erc4626') {
+        return (await hre.ethers.getContractAt(ERC4626_ABI, token.address)).previewDeposit(underlyingAmount);
+    }
+
+    return underlyingAmount;
+};
+
+// share balances are rounded up, the check catches writes the token doesn't read its balance from
+const trySetBalanceSlot = async (token, account, amount) => {
+    const snapshotId = await takeSnapshot();
+    const expected = (await token.balanceOf(account)).add(amount);
+
+    try {
+        await setBalance(token.address, account, expected);
+
+        const balance = await token.balanceOf(account);
+        if (balance.gte(expected) && balance.lte(expected.add(REBASE_BUFFER))) return true;
+    } catch (err) {
+        // slot not found or the fork doesn't allow storage writes
+    }
+
+    await revertToSnapshot(snapshotId);
+
+    return false;
+};
+
+const sendFromWhale = async (token, whale, account, amount) => {
+    if ((await token.balanceOf(whale)).lt(amount)) throw new Error(`Whale ${whale} holds less than the requested amount`);
+
+    await impersonate(whale);
+    await topUp(whale);
+
+    await token.connect(hre.ethers.provider.getSigner(whale)).transfer(account, amount);
+};
+
+// each mint gives the funder at least the amount, funded with the underlying of the token
+const MINTERS = {
+    stETH: async (token, info, funder, amount) => {
+        const stEth = await hre.ethers.getContractAt(STETH_ABI, token.address, funder);
+
+        await stEth.submit(nullAddress, { value: amount.add(REBASE_BUFFER) });
+    },
+    aToken: async (token, info, funder, amount, fund) => {
+        const pool = await hre.ethers.getContractAt(AAVE_POOL_ABI, info.pool, funder);
+
+        await fund(info.underlying, amount.add(REBASE_BUFFER), pool.address);
+        await pool.deposit(info.underlying, amount.add(REBASE_BUFFER), funder.address, 0);
+    },
+    cToken: async (token, info, funder, amount, fund) => {
+        const cToken = await hre.ethers.getContractAt(CTOKEN_ABI, token.address, funder);
+        const rate = await cToken.callStatic.exchangeRateCurrent();
+        // 1% over for the rate accrued until the mint
+        const underlyingAmount = amount.mul(rate).div(hre.ethers.constants.WeiPerEther)
+            .mul(101)
+            .div(100)
+            .add(1);
+
+        await fund(info.underlying, underlyingAmount, cToken.address);
+
+        if (isEth(info.underlying)) {
+            await cToken['mint()']({ value: underlyingAmount });
+        } else {
+            await cToken['mint(uint256)'](underlyingAmount);
+        }
+    },
+    erc4626: async (token, info, funder, amount, fund) => {
+        const vault = await hre.ethers.getContractAt(ERC4626_ABI, token.address, funder);
+
+        await fund(info.underlying, await vault.previewMint(amount), vault.address);
+        await vault.mint(amount, funder.address);
+    },
+    /// @dev Adds single sided liquidity with the first non eth coin, the coin amount is corrected
+    ///      with the lp minted by each deposit as the lp price isn't known upfront
+    curveLp: async (token, info, funder, amount, fund) => {
+        const pool = await hre.ethers.getContractAt(CURVE_ABI, info.pool);
+
+        const coins = [];
+        for (let i = 0; i < MAX_CURVE_COINS; i++) {
+            const coin = await tryCall(pool.coins(i));
+            if (!coin) break;
+            coins.push(coin);
+        }
+
+        const coinIndex = coins.findIndex((coin) => !isEth(coin));
+        const coin = await resolveToken(coins[coinIndex]);
+        const addLiquidity = async (coinAmount) => {
+            const amounts = coins.map((c, i) => (i === coinIndex ? coinAmount : 0));
+            const fixedSize = new hre.ethers.Contract(pool.address, [`function add_liquidity(uint256[${coins.length}], uint256)`], funder);
+            const dynamicSize = new hre.ethers.Contract(pool.address, ['function add_liquidity(uint256[], uint256)'], funder);
+
+            // ng pools take a dynamic array
+            await fixedSize.add_liquidity(amounts, 0).catch(() => dynamicSize.add_liquidity(amounts, 0));
+        };
+
+        let coinAmount = amount.mul(hre.ethers.BigNumber.from(10).pow(coin.decimals)).div(hre.ethers.constants.WeiPerEther);
+        for (let i = 0; i < 5; i++) {
+            const lpBefore = await token.balanceOf(funder.address);
+
+            await fund(coin.address, coinAmount, pool.address);
+            await addLiquidity(coinAmount);
+
+            const lpBalance = await token.balanceOf(funder.address);
+            if (lpBalance.gte(amount)) return;
+
+            const minted = lpBalance.sub(lpBefore);
+            if (minted.isZero()) throw new Error(`Adding liquidity to curve pool ${pool.address} failed`);
+
+            coinAmount = amount.sub(lpBalance).mul(coinAmount).div(minted)
+                .mul(105)
+                .div(100)
+                .add(1);
+        }
+    },
+};
+
+/// @notice Gives the account amount of the token on a local or tenderly fork
+/// @dev The balance slot is written when probing finds it, otherwise the whale sends it if one is passed,
+///      or the first signer mints it through the token's protocol and sends it:
+///      stETH is submitted to lido, aTokens supplied to aave, cTokens minted on compound,
+///      erc4626 shares minted in the vault and curve lp minted by adding liquidity
+/// @param opts.whale Account holding the token, impersonated to send it
+/// @return Method used: slot, whale or the minted token kind
+const gibToken = async (account, tokenAddr, amount, opts = {}) => {
+    const depth = opts.depth || 0;
+    const token = await hre.ethers.getContractAt(ERC20_ABI, tokenAddr);
+
+    if (isEth(tokenAddr)) throw new Error('Use gib-money for eth');
+
+    if (await trySetBalanceSlot(token, account, amount)) return 'slot';
+
+    if (opts.whale) {
+        await sendFromWhale(token, opts.whale, account, amount);
+        return 'whale';
+    }
+
+    const info = await getTokenKind(tokenAddr);
+    if (!MINTERS[info.kind] || depth >= MAX_DEPTH) {
+        throw new Error(`Balance slot of ${tokenAddr} not found and it can't be minted, pass a whale holding it`);
+    }
+
+    const funder = (await hre.ethers.getSigners())[0];
+    await topUp(funder.address);
+
+    // eth is already topped up, tokens are funded and approved to the minting contract
+    const fund = async (underlying, underlyingAmount, spender) => {
+        if (isEth(underlying)) return;
+
+        await gibToken(funder.address, underlying, underlyingAmount, { depth: depth + 1 });
+        await (await hre.ethers.getContractAt(ERC20_ABI, underlying, funder)).approve(spender, underlyingAmount);
+    };
+
+    await MINTERS[info.kind](token, info, funder, amount, fund);
+
+    if (account.toLowerCase() !== funder.address.toLowerCase()) {
+        await token.connect(funder).transfer(account, amount);
+    }
+
+    return info.kind;
+};
+
+module.exports = {
+    resolveToken,
+    getTokenKind,
+    parseTokenAmount,
+    gibToken,
+};
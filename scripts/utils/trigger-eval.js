@@ -0,0 +1,196 @@
+/* eslint-disable max-len */
+/* eslint-disable no-await-in-loop */
+/* eslint-disable import/no-extraneous-dependencies */
+
+const hre = require('hardhat');
+
+const {
+    addrs,
+    getNetwork,
+    getAddrFromRegistry,
+    generateIds,
+    resetForkToBlock,
+} = require('../../test/utils');
+
+const { getUpdatedStrategySub } = require('../../test/utils-strategies');
+const { describeStrategy, decodeTriggerData } = require('./strategy-decoder');
+
+const DFS_REGISTRY = 'contracts/core/DFSRegistry.sol:DFSRegistry';
+
+// current values each trigger compares with its sub data, read through the helpers it inherits
+const TRIGGER_VALUE_READERS = {
+    AaveV2RatioTrigger: async (trigger, p) => ({ ratio: await trigger.getSafetyRatio(p.market, p.user) }),
+    AaveV3RatioTrigger: async (trigger, p) => ({ ratio: await trigger.getSafetyRatio(p.market, p.user) }),
+    SparkRatioTrigger: async (trigger, p) => ({ ratio: await trigger.getSafetyRatio(p.market, p.user) }),
+    CompV3RatioTrigger: async (trigger, p) => ({ ratio: await trigger.getSafetyRatio(p.market, p.user) }),
+    CompoundRatioTrigger: async (trigger, p) => ({ ratio: await trigger.getSafetyRatio(p.user) }),
+    McdRatioTrigger: async (trigger, p) => ({ ratio: await trigger.getRatio(p.vaultId, 0) }),
+    LiquityRatioTrigger: async (trigger, p) => ({ ratio: (await trigger.callStatic.getRatio(p.troveOwner)).ratio }),
+    ReflexerRatioTrigger: async (trigger, p) => ({ ratio: await trigger.callStatic.getRatio(p.safeId) }),
+    MorphoBlueRatioTrigger: async (trigger, p) => ({
+        ratio: await trigger.callStatic.getRatioUsingId(p.marketId, p.user),
+    }),
+    CurveUsdCollRatioTrigger: async (trigger, p) => ({
+        ratio: (await trigger.getCollateralRatio(p.user, p.market)).collRatio,
+    }),
+    CurveUsdBorrowRateTrigger: async (trigger, p) => ({ rate: await trigger.calcBorrowRate(p.market) }),
+    CurveUsdSoftLiquidationTrigger: async (trigger, p) => ({
+        percentage: await trigger.calcPercentage(p.market, p.user),
+    }),
+    ChainLinkPriceTrigger: async (trigger, p) => ({ price: await trigger.getPriceInUSD(p.tokenAddr) }),
+    AaveV3QuotePriceTrigger: async (trigger, p) => ({
+        price: await trigger.getPrice(p.baseTokenAddr, p.quoteTokenAddr),
+    }),
+    SparkQuotePriceTrigger: async (trigger, p) => ({
+        price: await trigger.getPrice(p.baseTokenAddr, p.quoteTokenAddr),
+    }),
+    TokenBalanceTrigger: async (trigger, p) => {
+        const token = await hre.ethers.getContractAt('IERC20', p.tokenAddr);
+
+        return { balance: await token.balanceOf(p.userAddr) };
+    },
+    TimestampTrigger: async (trigger, p, ctx) => ({ timestamp: ctx.block.timestamp }),
+    GasPriceTrigger: async (trigger, p, ctx) => ({ gasPrice: ctx.gasPrice }),
+};
+
+const toSubParamsObject = (decoded) => {
+    if (!decoded) return null;
+
+    return decoded.reduce((obj, { name, value }) => ({ ...obj, [name]: value }), {});
+};
+
+const readTriggerValues = async (triggerName, trigger, subParams, ctx) => {
+    const reader = TRIGGER_VALUE_READERS[triggerName];
+
+    if (!reader || !subParams) return null;
+
+    try {
+        const values = await reader(trigger, subParams, ctx);
+
+        return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value.toString()]));
+    } catch (err) {
+        return { error: err.reason || err.message };
+    }
+};
+
+/// @notice Calls isTriggered of every trigger in a sub the same way RecipeExecutor does
+/// @dev On the hardhat network the fork is first reset to the given block
+/// @param opts.block Block to evaluate at, latest if not set
+/// @param opts.gasPrice Gas price the triggers see as tx.gasprice, block base fee if not set
+/// @param opts.triggerCallData Call data the bot would send for each trigger
+const evaluateSubTriggers = async (subId, opts = {}) => {
+    if (opts.block) {
+        if (hre.network.name !== 'hardhat') {
+            throw new Error('Evaluating at a block is only supported on the local hardhat network');
+        }
+
+        await resetForkToBlock(Number(opts.block));
+    }
+
+    const network = getNetwork();
+    const regAddr = addrs[network].REGISTRY_ADDR;
+
+    const registry = await hre.ethers.getContractAt(DFS_REGISTRY, regAddr);
+    const subStorageAddr = await getAddrFromRegistry('SubStorage', regAddr);
+    const subStorage = await hre.ethers.getContractAt('SubStorage', subStorageAddr);
+    const strategyStorage = await hre.ethers.getContractAt('StrategyStorage', addrs[network].STRATEGY_STORAGE_ADDR);
+    const bundleStorage = await hre.ethers.getContractAt('BundleStorage', addrs[network].BUNDLE_STORAGE_ADDR);
+
+    const storedSub = await subStorage.getSub(subId);
+    const strategySub = await getUpdatedStrategySub(subStorage, subStorageAddr, subId);
+
+    // all strategies in a bundle have the same triggers
+    const strategyId = strategySub.isBundle
+        ? await bundleStorage.getStrategyId(strategySub.strategyOrBundleId, 0)
+        : strategySub.strategyOrBundleId;
+
+    const strategy = await strategyStorage.getStrategy(strategyId);
+    const description = describeStrategy(strategyId.toNumber(), strategy, generateIds());
+
+    const block = await hre.ethers.provider.getBlock('latest');
+    const gasPrice = opts.gasPrice
+        ? hre.ethers.utils.parseUnits(opts.gasPrice.toString(), 'gwei')
+        : block.baseFeePerGas;
+
+    const walletAddr = hre.ethers.utils.getAddress(storedSub.walletAddr);
+
+    const triggers = [];
+    for (let i = 0; i < strategy.triggerIds.length; i++) {
+        const { name } = description.triggers[i];
+        const triggerAddr = await registry.getAddr(strategy.triggerIds[i]);
+        const triggerData = strategySub.triggerData[i];
+
+        const trigger = await hre.ethers.getContractAt(
+            TRIGGER_VALUE_READERS[name] ? name : 'ITrigger',
+            triggerAddr,
+        );
+
+        const subParams = toSubParamsObject(decodeTriggerData(triggerData, description.triggers[i]));
+
+        const result = {
+            name, address: triggerAddr, triggerData, subParams,
+        };
+
+        try {
+            // called from the wallet as RecipeExecutor is delegatecalled by it
+            result.isTriggered = await trigger.callStatic.isTriggered(
+                opts.triggerCallData?.[i] || '0x',
+                triggerData,
+                { from: walletAddr, gasPrice },
+            );
+        } catch (err) {
+            result.error = err.reason || err.message;
+        }
+
+        result.values = await readTriggerValues(name, trigger, subParams, { block, gasPrice });
+
+        triggers.push(result);
+    }
+
+    return {
+        subId: Number(subId),
+        walletAddr,
+        isEnabled: storedSub.isEnabled,
+        isBundle: strategySub.isBundle,
+        strategyOrBundleId: strategySub.strategyOrBundleId.toNumber(),
+        strategyName: description.name,
+        blockNumber: block.number,
+        gasPrice: gasPrice.toString(),
+        triggers,
+    };
+};
+
+const printTriggerEvaluation = (evaluation) => {
+    const target = evaluation.isBundle ? 'bundle' : 'strategy';
+
+    console.log(`Sub #${evaluation.subId} (${target} ${evaluation.strategyOrBundleId}, ${evaluation.strategyName})`);
+    console.log(`  Wallet: ${evaluation.walletAddr}, active: ${evaluation.isEnabled ? 'yes' : 'no'}`);
+    console.log(`  Block: ${evaluation.blockNumber}, gas price: ${evaluation.gasPrice}`);
+
+    evaluation.triggers.forEach((trigger, i) => {
+        let status = trigger.isTriggered ? 'TRIGGERED' : 'not triggered';
+        if (trigger.error) status = `reverted: ${trigger.error}`;
+
+        console.log(`  #${i + 1} ${trigger.name} at ${trigger.address}: ${status}`);
+
+        if (trigger.subParams) {
+            Object.entries(trigger.subParams).forEach(([key, value]) => {
+                console.log(`      sub ${key} = ${value}`);
+            });
+        } else {
+            console.log(`      sub data ${trigger.triggerData}`);
+        }
+
+        Object.entries(trigger.values || {}).forEach(([key, value]) => {
+            console.log(`      current ${key} = ${value}`);
+        });
+    });
+
+    const allTriggered = evaluation.triggers.every((trigger) => trigger.isTriggered);
+    console.log(allTriggered ? 'All triggers are satisfied' : 'Not all triggers are satisfied');
+};
+
+module.exports = {
+    evaluateSubTriggers,
+    printTriggerEvaluation,
+};
@@ -5,6 +5,8 @@ const { mcdStrategiesTest } = require('./mcd/mcd-tests');
 const { miscStrategiesTest } = require('./miscellaneous/misc-tests');
 const { morphoAaveV2StrategiesTest } = require('./morpho/morpho-tests');
 
+require('./keeper');
+
 describe('Strategies full test', () => {
     it('... should do full Strategies test', async () => {
         await resetForkToBlock();
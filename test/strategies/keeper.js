@@ -0,0 +1,148 @@
+/* eslint-disable max-len */
+const hre = require('hardhat');
+const { expect } = require('chai');
+const dfs = require('@defisaver/sdk');
+
+const { getAssetInfo, set } = require('@defisaver/tokens');
+
+const {
+    getProxy,
+    redeploy,
+    approve,
+    balanceOf,
+    redeployCore,
+    timeTravel,
+    getNetwork,
+    sendEther,
+    getOwnerAddr,
+    setBalance,
+    addrs,
+    chainIds,
+    setNewExchangeWrapper,
+    formatExchangeObj,
+    placeHolderAddr,
+} = require('../utils');
+
+const { subDcaStrategy } = require('../strategy-subs');
+const { createKeeper } = require('../../scripts/utils/keeper');
+
+const TWO_DAYS = 2 * 24 * 60 * 60;
+
+describe('Keeper', function () {
+    this.timeout(120000);
+
+    let senderAcc;
+    let botAcc;
+    let proxy;
+    let network;
+    let keeper;
+    let subId;
+    let failingSubId;
+
+    const srcToken = getAssetInfo('WETH');
+    const destToken = getAssetInfo('DAI');
+    const sellAmount = hre.ethers.utils.parseUnits('1', 18);
+
+    // same call data as callDcaStrategy
+    const dcaHandler = async () => {
+        const sellAction = new dfs.actions.basic.SellAction(
+            formatExchangeObj(srcToken.address, destToken.address, '0', addrs[network].UNISWAP_V3_WRAPPER, 0, '3000'),
+            placeHolderAddr,
+            placeHolderAddr,
+        );
+        const feeTakingAction = network === 'mainnet'
+            ? new dfs.actions.basic.GasFeeAction(500_000, placeHolderAddr, '0')
+            : new dfs.actions.basic.GasFeeActionL2(500_000, placeHolderAddr, '0', '0');
+        const sendTokenAction = new dfs.actions.basic.SendTokenAndUnwrapAction(placeHolderAddr, placeHolderAddr, 0);
+
+        return {
+            strategyIndex: 0,
+            triggerCallData: [hre.ethers.utils.defaultAbiCoder.encode(['uint256'], ['0'])],
+            actionsCallData: [sellAction, feeTakingAction, sendTokenAction].map((action) => action.encodeForRecipe()[0]),
+        };
+    };
+
+    before(async () => {
+        senderAcc = (await hre.ethers.getSigners())[0];
+        botAcc = (await hre.ethers.getSigners())[1];
+
+        network = getNetwork();
+
+        set('network', chainIds[network]);
+
+        // Send eth to owner acc, needed for l2s who don't hold eth
+        await sendEther(senderAcc, getOwnerAddr(), '1');
+
+        await redeployCore(network !== 'mainnet');
+
+        await redeploy('GasFeeTaker');
+        await redeploy('DFSSell');
+        await redeploy('TimestampTrigger');
+        await redeploy('SendTokenAndUnwrap');
+
+        proxy = await getProxy(senderAcc.address, hre.config.isWalletSafe);
+
+        await setNewExchangeWrapper(senderAcc, addrs[network].UNISWAP_V3_WRAPPER);
+        await approve(srcToken.address, proxy.address);
+
+        const fromBlock = (await hre.ethers.provider.getBlockNumber()) + 1;
+        const lastTimestamp = (await hre.ethers.provider.getBlock('latest')).timestamp + TWO_DAYS;
+
+        let strategySub;
+        ({ subId, strategySub } = await subDcaStrategy(proxy, srcToken.address, destToken.address, sellAmount, TWO_DAYS, lastTimestamp));
+        ({ subId: failingSubId } = await subDcaStrategy(proxy, srcToken.address, destToken.address, sellAmount, TWO_DAYS, lastTimestamp));
+
+        subId = Number(subId);
+        failingSubId = Number(failingSubId);
+
+        // the subs are indexed from the events since fromBlock
+        keeper = await createKeeper({
+            botAcc,
+            fromBlock,
+            handlers: {
+                [`strategy:${strategySub[0]}`]: async (sub) => {
+                    if (sub.subId === failingSubId) throw new Error('handler failed');
+
+                    return dcaHandler();
+                },
+            },
+        });
+    });
+
+    it('... should index the subs and not execute them before the triggers are true', async () => {
+        const results = await keeper.runOnce();
+        const result = results.find((r) => r.subId === subId);
+
+        expect(Object.keys(keeper.subs).map(Number)).to.include.members([subId, failingSubId]);
+        expect(result.triggerStatus).to.be.eq('FALSE');
+        expect(result.executed).to.be.eq(undefined);
+    });
+
+    it('... should execute the triggered sub and record the handler error of the other one', async () => {
+        await timeTravel(TWO_DAYS);
+        await setBalance(srcToken.address, senderAcc.address, sellAmount);
+
+        const buyBalanceBefore = await balanceOf(destToken.address, senderAcc.address);
+
+        const results = await keeper.runOnce();
+        const result = results.find((r) => r.subId === subId);
+        const failingResult = results.find((r) => r.subId === failingSubId);
+
+        const buyBalanceAfter = await balanceOf(destToken.address, senderAcc.address);
+
+        expect(result.triggerStatus).to.be.eq('TRUE');
+        expect(result.executed).to.be.eq(true);
+        expect(result.txHash).to.be.a('string');
+        expect(buyBalanceAfter).to.be.gt(buyBalanceBefore);
+
+        expect(failingResult.executed).to.be.eq(undefined);
+        expect(failingResult.error).to.be.eq('handler failed');
+    });
+
+    it('... should apply the sub update of the execution on the next sync', async () => {
+        const results = await keeper.runOnce();
+
+        // the DCA sub moves the timestamp of the next execution forward
+        expect(results.find((r) => r.subId === subId).triggerStatus).to.be.eq('FALSE');
+    });
+});
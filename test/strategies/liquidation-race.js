@@ -0,0 +1,199 @@
+/* eslint-disable max-len */
+const hre = require('hardhat');
+const { expect } = require('chai');
+const automationSdk = require('@defisaver/automation-sdk');
+
+const { getAssetInfo, getAssetInfoByAddress } = require('@defisaver/tokens');
+
+const {
+    getProxy,
+    addrs,
+    network,
+    setBalance,
+    depositToWeth,
+    send,
+    fetchAmountinUSDPrice,
+    openStrategyAndBundleStorage,
+    approve,
+    Float2BN,
+    nullAddress,
+    takeSnapshot,
+    revertToSnapshot,
+    WETH_ADDRESS,
+} = require('../utils');
+
+const { createStrategy, createBundle, subToMcdProxy } = require('../utils-strategies');
+const {
+    subAaveV3AutomationStrategy,
+    subSparkAutomationStrategy,
+    subCompV3AutomationStrategy,
+    subLiquityAutomationStrategy,
+    subMorphoBlueRepayBundle,
+} = require('../strategy-subs');
+const {
+    openVault,
+    aaveV3Supply,
+    aaveV3Borrow,
+    sparkSupply,
+    sparkBorrow,
+    supplyCompV3,
+    borrowCompV3,
+    liquityOpen,
+    morphoBlueSupplyCollateral,
+    morphoBlueBorrow,
+} = require('../actions');
+const { createMorphoBlueRepayStrategy } = require('../strategies');
+const { getMarkets, supplyToMarket } = require('../morpho-blue/utils');
+const { simulateLiquidationRace } = require('../../scripts/utils/liquidation-race');
+
+// positions are opened at a 250% collateral to debt ratio and subbed to repay under 200%
+const COLL_AMOUNT_USD = '20000';
+const DEBT_AMOUNT_USD = '8000';
+
+const getAmount = (symbol, usdAmount) => hre.ethers.utils.parseUnits(
+    fetchAmountinUSDPrice(symbol, usdAmount),
+    getAssetInfo(symbol).decimals,
+);
+
+// aave v3 and spark share the actions and the pool layout
+const openAaveV3Position = async (proxy, market, supply, borrow) => {
+    const senderAddr = proxy.signer.address;
+    const collAddr = getAssetInfo('WETH').address;
+    const debtAddr = getAssetInfo('DAI').address;
+
+    const provider = await hre.ethers.getContractAt('IPoolAddressesProvider', market);
+    const pool = await hre.ethers.getContractAt('IPoolV3', await provider.getPool());
+
+    const collAmount = getAmount('WETH', COLL_AMOUNT_USD);
+    await setBalance(collAddr, senderAddr, collAmount);
+
+    await supply(proxy, market, collAmount, collAddr, (await pool.getReserveData(collAddr)).id, senderAddr);
+    await borrow(proxy, market, getAmount('DAI', DEBT_AMOUNT_USD), senderAddr, 2, (await pool.getReserveData(debtAddr)).id);
+
+    return { collAsset: 'WETH', debtAsset: 'DAI' };
+};
+
+const protocols = {
+    mcd: async (proxy) => {
+        const vaultId = await openVault(
+            proxy,
+            'ETH-A',
+            fetchAmountinUSDPrice('WETH', COLL_AMOUNT_USD),
+            fetchAmountinUSDPrice('DAI', DEBT_AMOUNT_USD),
+        );
+
+        const subData = automationSdk.strategySubService.makerEncode.leverageManagement(vaultId, '200', '0', '0', '230', false);
+        const { repaySubId } = await subToMcdProxy(proxy, subData);
+
+        return { position: { vaultId }, subId: repaySubId };
+    },
+    aaveV3: async (proxy) => {
+        const position = await openAaveV3Position(proxy, addrs[network].AAVE_MARKET, aaveV3Supply, aaveV3Borrow);
+
+        // the aave v3 trigger ratio is (debt + available borrows) / debt, around 200% for this position
+        const { repaySubId } = await subAaveV3AutomationStrategy(proxy, Float2BN('1.6'), 0, 0, Float2BN('1.8'), false);
+
+        return { position, subId: repaySubId };
+    },
+    spark: async (proxy) => {
+        const position = await openAaveV3Position(proxy, addrs[network].SPARK_MARKET, sparkSupply, sparkBorrow);
+
+        const { firstSub } = await subSparkAutomationStrategy(proxy, 160, 0, 0, 180, false);
+
+        return { position, subId: firstSub };
+    },
+    compV3: async (proxy) => {
+        const market = addrs[network].COMET_USDC_ADDR;
+
+        await supplyCompV3(market, proxy, WETH_ADDRESS, getAmount('WETH', COLL_AMOUNT_USD), proxy.signer.address, proxy.address);
+        await borrowCompV3(market, proxy, getAmount('USDC', DEBT_AMOUNT_USD), proxy.address, proxy.address);
+
+        // the compV3 trigger ratio uses borrow collateral factors, around 200% for this position
+        const { firstSub } = await subCompV3AutomationStrategy(proxy, market, 160, 0, 0, 180, false, false);
+
+        return { position: { market, collAsset: 'WETH' }, subId: firstSub };
+    },
+    liquity: async (proxy) => {
+        const collAmount = getAmount('WETH', COLL_AMOUNT_USD);
+
+        await depositToWeth(collAmount);
+        await send(WETH_ADDRESS, proxy.address, collAmount);
+        await liquityOpen(proxy, Float2BN('5', 16), collAmount, getAmount('LUSD', DEBT_AMOUNT_USD), proxy.address, proxy.address);
+
+        const { repaySubId } = await subLiquityAutomationStrategy(proxy, 200, 0, 0, 230, false);
+
+        return { position: {}, subId: repaySubId };
+    },
+    morphoBlue: async (proxy) => {
+        // wstETH/USDC market
+        const marketParams = getMarkets()[1];
+        const collToken = getAssetInfoByAddress(marketParams[1]);
+        const loanToken = getAssetInfoByAddress(marketParams[0]);
+        const senderAddr = proxy.signer.address;
+
+        await supplyToMarket(marketParams);
+
+        const collAmount = getAmount(collToken.symbol, COLL_AMOUNT_USD);
+        await setBalance(collToken.address, senderAddr, collAmount);
+        await approve(collToken.address, proxy.address);
+
+        await morphoBlueSupplyCollateral(proxy, marketParams, collAmount, senderAddr, nullAddress);
+        await morphoBlueBorrow(proxy, marketParams, getAmount(loanToken.symbol, DEBT_AMOUNT_USD), nullAddress, senderAddr);
+
+        await openStrategyAndBundleStorage();
+        const strategyId = await createStrategy(proxy, ...createMorphoBlueRepayStrategy(), true);
+        const bundleId = await createBundle(proxy, [strategyId]);
+
+        const morphoBlueView = await (await hre.ethers.getContractFactory('MorphoBlueView')).deploy();
+        const marketId = await morphoBlueView.getMarketId(marketParams);
+
+        const { subId } = await subMorphoBlueRepayBundle(proxy, bundleId, marketParams, marketId, Float2BN('2'), Float2BN('2.3'), proxy.address);
+
+        return { position: { marketParams }, subId };
+    },
+};
+
+describe('Liquidation race', function () {
+    this.timeout(1200000);
+
+    let botAcc;
+    let proxy;
+    let snapshotId;
+
+    before(async () => {
+        const senderAcc = (await hre.ethers.getSigners())[0];
+        botAcc = (await hre.ethers.getSigners())[1];
+
+        proxy = await getProxy(senderAcc.address, hre.config.isWalletSafe);
+    });
+
+    // price feeds are replaced by the simulator, so every protocol starts from the same fork state
+    beforeEach(async () => {
+        snapshotId = await takeSnapshot();
+    });
+
+    afterEach(async () => {
+        await revertToSnapshot(snapshotId);
+    });
+
+    Object.entries(protocols).forEach(([protocol, openPosition]) => {
+        it(`... should trigger the ${protocol} repay sub before the position is liquidatable`, async () => {
+            const { position, subId } = await openPosition(proxy);
+
+            // without handlers the sub is only checked, the race stops at the first true trigger
+            const result = await simulateLiquidationRace({
+                protocol, position, subId: Number(subId), botAcc, stepPercent: 2,
+            });
+
+            const { execution, steps } = result;
+
+            expect(result.liquidatable).to.be.eq(false);
+            expect(steps[0].triggerStatus).to.be.eq('FALSE');
+
+            expect(execution.triggerStatus).to.be.eq('TRUE');
+            expect(execution.skipped).to.be.eq('no handler');
+            expect(execution.ratio).to.be.lt(steps[0].ratio);
+            expect(execution.margin).to.be.gt(0);
+        });
+    });
+});
@@ -28,6 +28,8 @@ const {
     MAX_UINT,
     addrs,
     network,
+    getAddrFromRegistry,
+    generateIds,
 } = require('./utils');
 
 const {
@@ -36,6 +38,8 @@ const {
 
 const { ADAPTER_ADDRESS } = require('./utils-reflexer');
 
+const { buildStrategyExecution } = require('../scripts/utils/strategy-call-builder');
+
 const {
     getTroveInfo,
     findInsertPosition,
@@ -73,6 +77,45 @@ const executeStrategy = async (
     return { callData, receipt };
 };
 
+/// @notice Executes any strategy, only the values the bot decides at execution are passed
+/// @param values { actionValues, triggerValues } as in buildStrategyExecution
+const callStrategy = async (botAcc, strategyExecutor, strategyIndex, subId, strategySub, values = {}) => {
+    const [strategyOrBundleId, isBundle] = strategySub;
+
+    let strategyId = strategyOrBundleId;
+
+    if (isBundle) {
+        const bundleStorage = await hre.ethers.getContractAt('BundleStorage', await getAddrFromRegistry('BundleStorage'));
+        strategyId = await bundleStorage.getStrategyId(strategyOrBundleId, strategyIndex);
+    }
+
+    const strategyStorage = await hre.ethers.getContractAt('StrategyStorage', await getAddrFromRegistry('StrategyStorage'));
+    const strategy = await strategyStorage.getStrategy(strategyId);
+
+    const { triggerCallData, actionsCallData } = buildStrategyExecution(
+        strategy,
+        { ...values, strategyId: strategyId.toString() },
+        generateIds(),
+    );
+
+    const { callData, receipt } = await executeStrategy(
+        network !== 'mainnet',
+        strategyExecutor.connect(botAcc),
+        subId,
+        strategyIndex,
+        triggerCallData,
+        actionsCallData,
+        strategySub,
+    );
+
+    const gasUsed = await getGasUsed(receipt);
+    const dollarPrice = calcGasToUSD(gasUsed, AVG_GAS_PRICE, network !== 'mainnet' ? callData : 0);
+
+    console.log(`GasUsed callStrategy ${strategy.name}: ${gasUsed}, price at ${AVG_GAS_PRICE} gwei $${dollarPrice}`);
+
+    return receipt;
+};
+
 // eslint-disable-next-line max-len
 const callDcaStrategy = async (botAcc, strategyExecutor, subId, strategySub, srcToken, destToken, uniV3Fee) => {
     const triggerCallData = [];
@@ -5358,6 +5401,8 @@ const callAaveV3FLOpenOrderFromDebtStrategy = async (strategyExecutor, strategyI
 };
 
 module.exports = {
+    executeStrategy,
+    callStrategy,
     callDcaStrategy,
     callMcdRepayStrategy,
     callFLMcdRepayStrategy,
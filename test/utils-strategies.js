@@ -631,7 +631,29 @@ const getSubHash = (subData) => {
     return subDataHash;
 };
 
-const getUpdatedStrategySub = async (subStorage, subStorageAddr) => {
+// sub data is only emitted in events, the latest Subscribe or UpdateData holds the current one
+const getLatestSubEvent = async (subStorage, subId, toBlock = 'latest') => {
+    const { Subscribe, UpdateData } = subStorage.filters;
+
+    const subscribeEvents = await subStorage.queryFilter(Subscribe(subId), 0, toBlock);
+    const updateEvents = await subStorage.queryFilter(UpdateData(subId), 0, toBlock);
+
+    const events = [...subscribeEvents, ...updateEvents]
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    return events.at(-1);
+};
+
+// without subId returns the last updated sub, with it the current data of that sub
+const getUpdatedStrategySub = async (subStorage, subStorageAddr, subId) => {
+    if (subId !== undefined) {
+        const lastEvent = await getLatestSubEvent(subStorage, subId);
+
+        if (!lastEvent) throw new Error(`Sub ${subId} has no Subscribe/UpdateData event`);
+
+        return lastEvent.args.subStruct;
+    }
+
     const events = (await subStorage.queryFilter({
         address: subStorageAddr,
         topics: [
@@ -663,6 +685,7 @@ module.exports = {
     getSubHash,
     subToCBRebondProxy,
     getUpdatedStrategySub,
+    getLatestSubEvent,
     subToMorphoAaveV2Proxy,
     updateSubDataMorphoAaveV2Proxy,
     subToLiquityProxy,
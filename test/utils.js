@@ -7,11 +7,14 @@ const fs = require('fs');
 const hre = require('hardhat');
 const { getAssetInfo, getAssetInfoByAddress } = require('@defisaver/tokens');
 const { expect } = require('chai');
-const storageSlots = require('./storageSlots.json');
 
 const { getAllFiles } = require('../scripts/hardhat-tasks-functions');
 
 const { deployAsOwner, deployContract } = require('../scripts/utils/deployer');
+const { resolveBalanceSlot, getBalanceSlotIndex, getStoredBalance } = require('../scripts/utils/balance-slots');
+const {
+    getFixtureMode, useFixtureSet, isActiveFixtureSet, getFixturePrices,
+} = require('../scripts/utils/rpc-fixtures');
 
 const { createSafe, executeSafeTx } = require('./utils-safe');
 
@@ -27,6 +30,7 @@ const addrs = {
     mainnet: {
         PROXY_REGISTRY: '0x4678f0a6958e4D2Bc4F1BAF7Bc52E8F3564f3fE4',
         REGISTRY_ADDR: '0x287778F121F134C66212FB16c9b53eC991D32f5b',
+        LOGGER_ADDR: '0xcE7a977Cac4a481bc84AC06b2Da0df614e621cf3',
         PROXY_AUTH_ADDR: '0x149667b6FAe2c63D1B4317C716b0D0e4d3E2bD70',
         OWNER_ACC: '0xBc841B0dE0b93205e912CFBBd1D0c160A1ec6F00',
         WETH_ADDRESS: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
@@ -71,6 +75,7 @@ const addrs = {
     optimism: {
         PROXY_REGISTRY: '0x283Cc5C26e53D66ed2Ea252D986F094B37E6e895',
         REGISTRY_ADDR: '0xAf707Ee480204Ed6e2640B53cE86F680D28Afcbd',
+        LOGGER_ADDR: '0xFc2f1355296ab7dd98a1260E3Ff5E906999d4Acb',
         OWNER_ACC: '0xC9a956923bfb5F141F1cd4467126b3ae91E5CC33',
         WETH_ADDRESS: '0x4200000000000000000000000000000000000006',
         DAI_ADDRESS: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
@@ -105,6 +110,7 @@ const addrs = {
     arbitrum: {
         PROXY_REGISTRY: '0x283Cc5C26e53D66ed2Ea252D986F094B37E6e895',
         REGISTRY_ADDR: '0xBF1CaC12DB60819Bfa71A328282ecbc1D40443aA',
+        LOGGER_ADDR: '0xE6f9A5C850dbcD12bc64f40d692F537250aDEC38',
         OWNER_ACC: '0x926516E60521556F4ab5e7BF16A4d41a8539c7d1',
         WETH_ADDRESS: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
         DAI_ADDRESS: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
@@ -144,6 +150,7 @@ const addrs = {
     base: {
         PROXY_REGISTRY: '0x425fA97285965E01Cc5F951B62A51F6CDEA5cc0d',
         REGISTRY_ADDR: '0x347FB634271F666353F23A3362f3935D96F97476',
+        LOGGER_ADDR: '0xc9D6EfA6e08B66a5Cdc516Bcd5807c2fa69E0f2A',
         OWNER_ACC: '0xBaBe2409dBD359453E5292d684fF324A638801bF',
         WETH_ADDRESS: '0x4200000000000000000000000000000000000006',
         DAI_ADDRESS: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
@@ -369,91 +376,14 @@ const getOwnerAddr = () => addrs[network].OWNER_ACC;
 const getAdminAddr = () => addrs[network].ADMIN_ACC;
 
 async function findBalancesSlot(tokenAddress) {
-    const slotObj = storageSlots[tokenAddress];
-    if (slotObj) {
-        return { isVyper: slotObj.isVyper, num: slotObj.num };
-    }
+    const slotInfo = await resolveBalanceSlot(tokenAddress, chainIds[network]);
 
-    const encode = (types, values) => hre.ethers.utils.defaultAbiCoder.encode(types, values);
-    const account = hre.ethers.constants.AddressZero;
-    const probeA = encode(['uint'], [1]);
-    const probeB = encode(['uint'], [2]);
-    const token = await hre.ethers.getContractAt(
-        'IERC20',
-        tokenAddress,
-    );
-    for (let i = 0; i < 100; i++) {
-        {
-            let probedSlot = hre.ethers.utils.keccak256(
-                encode(['address', 'uint'], [account, i]),
-            );
-            // remove padding for JSON RPC
-            while (probedSlot.startsWith('0x0')) { probedSlot = `0x${probedSlot.slice(3)}`; }
-            const prev = await hre.ethers.provider.send(
-                'eth_getStorageAt',
-                [tokenAddress, probedSlot, 'latest'],
-            );
-            // make sure the probe will change the slot value
-            const probe = prev === probeA ? probeB : probeA;
-
-            await hre.ethers.provider.send('hardhat_setStorageAt', [
-                tokenAddress,
-                probedSlot,
-                probe,
-            ]);
-
-            const balance = await token.balanceOf(account);
-            // reset to previous value
-            await hre.ethers.provider.send('hardhat_setStorageAt', [
-                tokenAddress,
-                probedSlot,
-                prev,
-            ]);
-            if (balance.eq(hre.ethers.BigNumber.from(probe))) {
-                const result = { isVyper: false, num: i };
-                storageSlots[tokenAddress] = result;
-                // file path needs to be from top level folder
-                fs.writeFileSync('test/storageSlots.json', JSON.stringify(storageSlots));
-                return result;
-            }
-        }
-        {
-            let probedSlot = hre.ethers.utils.keccak256(
-                encode(['uint', 'address'], [i, account]),
-            );
-            // remove padding for JSON RPC
-            while (probedSlot.startsWith('0x0')) { probedSlot = `0x${probedSlot.slice(3)}`; }
-            const prev = await hre.ethers.provider.send(
-                'eth_getStorageAt',
-                [tokenAddress, probedSlot, 'latest'],
-            );
-            // make sure the probe will change the slot value
-            const probe = prev === probeA ? probeB : probeA;
-
-            await hre.ethers.provider.send('hardhat_setStorageAt', [
-                tokenAddress,
-                probedSlot,
-                probe,
-            ]);
-
-            const balance = await token.balanceOf(account);
-            // reset to previous value
-            await hre.ethers.provider.send('hardhat_setStorageAt', [
-                tokenAddress,
-                probedSlot,
-                prev,
-            ]);
-            if (balance.eq(hre.ethers.BigNumber.from(probe))) {
-                const result = { isVyper: true, num: i };
-                storageSlots[tokenAddress] = result;
-                // file path needs to be from top level folder
-                fs.writeFileSync('test/storageSlots.json', JSON.stringify(storageSlots));
-                return result;
-            }
-        }
+    if (!slotInfo) {
+        console.log('Balance slot not found');
+        return 0;
     }
-    console.log('Balance slot not found');
-    return 0;
+
+    return slotInfo;
 }
 
 const toBytes32 = (bn) => hre.ethers.utils.hexlify(hre.ethers.utils.zeroPad(bn.toHexString(), 32));
@@ -496,24 +426,14 @@ const setBalance = async (tokenAddr, userAddr, value) => {
     } catch (error) {
     }
     const slotInfo = await findBalancesSlot(tokenAddr);
-    let index;
-    if (slotInfo.isVyper) {
-        index = hre.ethers.utils.solidityKeccak256(
-            ['uint256', 'uint256'],
-            [slotInfo.num, userAddr], // key, slot
-        );
-    } else {
-        index = hre.ethers.utils.solidityKeccak256(
-            ['uint256', 'uint256'],
-            [userAddr, slotInfo.num], // key, slot
-        );
-    }
-    while (index.startsWith('0x0')) { index = `0x${index.slice(3)}`; }
+    const index = getBalanceSlotIndex(slotInfo, userAddr);
+    // share based balances (stETH, aTokens) are stored as shares
+    const storedValue = await getStoredBalance(tokenAddr, userAddr, slotInfo, value);
 
     await setStorageAt(
         tokenAddr,
-        index.toString(),
-        toBytes32(value).toString(),
+        index,
+        toBytes32(storedValue).toString(),
     );
 };
 
@@ -522,7 +442,7 @@ const getLocalTokenPrice = (tokenSymbol) => {
     const cachedPrice = cachedTokenPrices[tokenSymbol];
     if (cachedPrice) return cachedPrice;
 
-    const data = JSON.parse(fs.readFileSync('test/prices.json', 'utf8'));
+    const data = getFixturePrices() || JSON.parse(fs.readFileSync('test/prices.json', 'utf8'));
     const tokenNames = Object.keys(data);
     for (let i = 0; i < tokenNames.length; i++) {
         if (tokenNames[i] === coinGeckoHelper[tokenSymbol]) {
@@ -651,6 +571,22 @@ const sendEther = async (signer, toAddress, amount) => {
     });
 };
 
+// some contracts are registered under a different name than the contract itself
+const getRegistryName = (name) => {
+    if (name === 'StrategyExecutor' || name === 'StrategyExecutorL2') {
+        return 'StrategyExecutorID';
+    }
+    if (name === 'KyberInputScalingHelperL2' && getNetwork() !== 'mainnet') {
+        return 'KyberInputScalingHelper';
+    }
+
+    // if (name === 'FLAaveV3') {
+    //     return 'FLActionL2';
+    // }
+
+    return name;
+};
+
 // eslint-disable-next-line max-len
 const redeploy = async (name, regAddr = addrs[getNetwork()].REGISTRY_ADDR, saveOnTenderly = config.saveOnTenderly, isFork = false, ...args) => {
     if (!isFork) {
@@ -680,19 +616,8 @@ const redeploy = async (name, regAddr = addrs[getNetwork()].REGISTRY_ADDR, saveO
     //     // deployer = await hre.ethers.provider.getSigner(getOwnerAddr());
     // }
     const c = await deployAsOwner(name, signer, ...args);
-    if (name === 'StrategyExecutor' || name === 'StrategyExecutorL2') {
-        // eslint-disable-next-line no-param-reassign
-        name = 'StrategyExecutorID';
-    }
-    if (name === 'KyberInputScalingHelperL2' && getNetwork() !== 'mainnet') {
-        // eslint-disable-next-line no-param-reassign
-        name = 'KyberInputScalingHelper';
-    }
-
-    // if (name === 'FLAaveV3') {
-    //     // eslint-disable-next-line no-param-reassign
-    //     name = 'FLActionL2';
-    // }
+    // eslint-disable-next-line no-param-reassign
+    name = getRegistryName(name);
 
     const id = getNameId(name);
 
@@ -1302,6 +1227,17 @@ const openStrategyAndBundleStorage = async (isFork) => {
 };
 
 async function setForkForTesting() {
+    // a fork that isn't on a fixture set of the network is reset to its pinned block
+    if (getFixtureMode()) {
+        const { forkedNetwork } = await hre.network.provider.send('hardhat_metadata');
+
+        if (!isActiveFixtureSet(network, forkedNetwork?.forkBlockNumber)) {
+            // eslint-disable-next-line no-use-before-define
+            await resetForkToBlock();
+            return;
+        }
+    }
+
     const senderAcc = (await hre.ethers.getSigners())[0];
     await hre.network.provider.send('hardhat_setBalance', [
         senderAcc.address,
@@ -1324,14 +1260,21 @@ const resetForkToBlock = async (block) => {
         rpcUrl = process.env[`${network.toUpperCase()}_NODE`];
     }
 
-    if (block) {
+    let blockNumber = block;
+
+    // recorded or replayed through the fixture set of the block, unset blocks use the pinned one
+    if (getFixtureMode()) {
+        ({ url: rpcUrl, blockNumber } = useFixtureSet(network, block, rpcUrl));
+    }
+
+    if (blockNumber) {
         await hre.network.provider.request({
             method: 'hardhat_reset',
             params: [
                 {
                     forking: {
                         jsonRpcUrl: rpcUrl,
-                        blockNumber: block,
+                        blockNumber,
                     },
                 },
             ],
@@ -1362,7 +1305,7 @@ const mockChainlinkPriceFeed = async () => {
 
 const setMockPrice = async (mockContract, roundId, token, price) => {
     const USD_QUOTE = '0x0000000000000000000000000000000000000348';
-    const formattedPrice = price * 1e8;
+    const formattedPrice = Math.round(price * 1e8);
     const c = await hre.ethers.getContractAt(
         'MockChainlinkFeedRegistry',
         addrs[network].FEED_REGISTRY,
@@ -1451,6 +1394,7 @@ module.exports = {
     getProxy,
     getProxyWithSigner,
     redeploy,
+    getRegistryName,
     send,
     approve,
     balanceOf,
@@ -1501,6 +1445,7 @@ module.exports = {
     cacheChainlinkPrice,
     expectCloseEq,
     setContractAt,
+    setStorageAt,
     getContractFromRegistry,
     filterEthersObject,
     curveApiInit,
@@ -0,0 +1,119 @@
+/* eslint-disable max-len */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { expect } = require('chai');
+const { getAssetInfo } = require('@defisaver/tokens');
+
+const {
+    getErc7201Slot,
+    extractPush32,
+    getNamespacedLayouts,
+    resolveBalanceSlot,
+} = require('../../scripts/utils/balance-slots');
+const {
+    setBalance,
+    balanceOf,
+    USDC_ADDR,
+    STETH_ADDRESS,
+} = require('../utils');
+
+describe('Balance slot resolver', () => {
+    // ERC20StorageLocation of openzeppelin's ERC20Upgradeable
+    const ozErc20Slot = '0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00';
+
+    it('... should compute the ERC-7201 namespace slot', () => {
+        expect(getErc7201Slot('openzeppelin.storage.ERC20')).to.be.eq(ozErc20Slot);
+    });
+
+    it('... should only read PUSH32 values and skip the data of other pushes', () => {
+        const value = `0x${'ab'.repeat(32)}`;
+        // PUSH1 0x7f, PUSH32 value, STOP, then a PUSH32 cut off by the end of the code
+        const code = `0x607f7f${'ab'.repeat(32)}007f${'cd'.repeat(4)}`;
+
+        expect(extractPush32(code)).to.be.deep.eq([value]);
+    });
+
+    it('... should try the openzeppelin namespace first without duplicates', () => {
+        const layouts = getNamespacedLayouts([ozErc20Slot, `0x${'ab'.repeat(32)}`]);
+
+        expect(layouts.length).to.be.eq(6);
+        expect(layouts[0]).to.be.deep.eq({ isVyper: false, num: ozErc20Slot });
+        expect(layouts[1].num).to.be.eq('0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace01');
+    });
+});
+
+describe('Balance slot resolver on a fork', function () {
+    this.timeout(120000);
+
+    // the tracked test/storageSlots.json is left untouched
+    const cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'balance-slots-')), 'storageSlots.json');
+    // crvUSD is a vyper token
+    const crvUsdAddr = getAssetInfo('crvUSD').address;
+    const amount = hre.ethers.utils.parseUnits('1000', 18);
+
+    let prevCachePath;
+    let chainId;
+    let account;
+
+    const readCache = () => JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+
+    before(async () => {
+        prevCachePath = process.env.BALANCE_SLOTS_CACHE;
+        process.env.BALANCE_SLOTS_CACHE = cachePath;
+
+        chainId = (await hre.ethers.provider.getNetwork()).chainId;
+        account = (await hre.ethers.getSigners())[1].address;
+
+        // the tested tokens are resolved from an empty cache
+        fs.writeFileSync(cachePath, JSON.stringify({ legacy: {} }));
+    });
+
+    after(() => {
+        if (prevCachePath === undefined) delete process.env.BALANCE_SLOTS_CACHE;
+        else process.env.BALANCE_SLOTS_CACHE = prevCachePath;
+
+        fs.rmSync(path.dirname(cachePath), { recursive: true, force: true });
+    });
+
+    it('... should set the balance of a proxied token', async () => {
+        await setBalance(USDC_ADDR, account, '1000000000');
+
+        expect(await balanceOf(USDC_ADDR, account)).to.be.eq('1000000000');
+        expect(readCache()[chainId][USDC_ADDR.toLowerCase()]).to.be.deep.eq({ isVyper: false, num: 9, isShares: false });
+    });
+
+    it('... should set the balance of a share based token', async () => {
+        await setBalance(STETH_ADDRESS, account, amount);
+
+        const balance = await balanceOf(STETH_ADDRESS, account);
+
+        // shares are rounded up so the balance isn't under the value
+        expect(balance).to.be.gte(amount);
+        expect(balance.sub(amount)).to.be.lte(2);
+        expect(readCache()[chainId][STETH_ADDRESS.toLowerCase()].isShares).to.be.eq(true);
+    });
+
+    it('... should set the balance of a vyper token', async () => {
+        await setBalance(crvUsdAddr, account, amount);
+
+        expect(await balanceOf(crvUsdAddr, account)).to.be.eq(amount);
+        expect(readCache()[chainId][crvUsdAddr.toLowerCase()].isVyper).to.be.eq(true);
+    });
+
+    it('... should use a legacy slot until the chain has its own', async () => {
+        const daiAddr = getAssetInfo('DAI').address.toLowerCase();
+        // a wrong legacy slot shows whether it was trusted or probed
+        fs.writeFileSync(cachePath, JSON.stringify({ legacy: { [daiAddr]: { isVyper: false, num: 7 } } }));
+
+        expect(await resolveBalanceSlot(daiAddr, chainId)).to.be.deep.eq({ isVyper: false, num: 7 });
+        expect(readCache()[chainId]).to.be.eq(undefined);
+
+        const layout = await resolveBalanceSlot(daiAddr, chainId, { skipLegacy: true });
+
+        expect(layout).to.be.deep.eq({ isVyper: false, num: 2, isShares: false });
+        expect(readCache()[chainId][daiAddr]).to.be.deep.eq(layout);
+        expect(await resolveBalanceSlot(daiAddr, chainId)).to.be.deep.eq(layout);
+    });
+});
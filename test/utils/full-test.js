@@ -0,0 +1,10 @@
+// helper file to run all tests of the scripts/utils tooling
+require('./rpc-fixtures');
+require('./ratio-backtester');
+require('./scenario');
+require('./sub-builder');
+require('./balance-slots');
+require('./registry-plan');
+require('./strategy-definitions');
+require('./strategy-call-builder');
+require('./log-decoder');
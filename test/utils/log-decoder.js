@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { generateIds, getNameId } = require('../utils');
+const {
+    getLogDataArgs,
+    getArgType,
+    getLogDataTypes,
+    decodeLogData,
+} = require('../../scripts/utils/log-decoder');
+
+describe('Log decoder', () => {
+    const idsMap = generateIds();
+
+    const getTypes = (actionName) => getLogDataTypes(idsMap[getNameId(actionName)])
+        .map(({ name, type }) => `${type.format()} ${name}`);
+
+    it('... should find the abi.encode args of each log data form', () => {
+        const assigned = 'bytes memory logData = abi.encode(_market, address(this), _amount);';
+        const inline = 'emit ActionEvent("McdRatioCheck", abi.encode(inputData, currRatio));';
+        const returned = 'return (_inputData.amount, abi.encode(_inputData));';
+
+        expect(getLogDataArgs(assigned)).to.be.deep.eq(['_market', 'address(this)', '_amount']);
+        expect(getLogDataArgs(inline)).to.be.deep.eq(['inputData', 'currRatio']);
+        expect(getLogDataArgs(returned)).to.be.deep.eq(['_inputData']);
+        expect(getLogDataArgs('return abi.encode(_amount);')).to.be.eq(null);
+    });
+
+    it('... should type casts, arithmetic and declared vars', () => {
+        const sources = ['function _send(address _to, uint256 _amount) internal { uint256 balance = 0; }'];
+
+        expect(getArgType('address(this)', sources, null).format()).to.be.eq('address');
+        expect(getArgType('endBalance - startBalance', sources, null).format()).to.be.eq('uint256');
+        expect(getArgType('true', sources, null).format()).to.be.eq('bool');
+        expect(getArgType('_to', sources, null).format()).to.be.eq('address');
+        expect(getArgType('balance', sources, null).format()).to.be.eq('uint256');
+        expect(getArgType('_unknown', sources, null)).to.be.eq(null);
+        expect(getArgType('Helper(_to)', sources, null)).to.be.eq(null);
+    });
+
+    it('... should resolve a logData = abi.encode payload', () => {
+        expect(getTypes('AaveSupply')).to.be.deep.eq([
+            'address market',
+            'address tokenAddr',
+            'uint256 amount',
+            'address from',
+            'address onBehalf',
+            'bool enableAsColl',
+        ]);
+    });
+
+    it('... should resolve a payload encoded inline in ActionEvent', () => {
+        expect(getTypes('McdRatioCheck')).to.be.deep.eq([
+            '(uint8,bool,uint256,uint256,uint256) inputData',
+            'uint256 currRatio',
+        ]);
+    });
+
+    it('... should resolve a payload returned next to the action return value', () => {
+        expect(getTypes('SkyStake')).to.be.deep.eq(['(address,address,uint256,address) inputData']);
+    });
+
+    it('... should decode the payload by the names of the encoded vars', () => {
+        const { AddressZero } = hre.ethers.constants;
+        const types = getLogDataTypes(idsMap[getNameId('SkyStake')]);
+        const data = hre.ethers.utils.defaultAbiCoder.encode(
+            types.map(({ type }) => type),
+            [[AddressZero, AddressZero, 100, AddressZero]],
+        );
+
+        expect(decodeLogData(types, data).inputData.amount.toString()).to.be.eq('100');
+    });
+});
@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+
+const { backtest, compareParamSets, getGasFee } = require('../../scripts/utils/ratio-backtester');
+
+describe('Ratio bundle backtester', () => {
+    const position = { coll: 10, debt: 10000, liquidationRatio: 150 };
+    const params = {
+        minRatio: 180,
+        maxRatio: 250,
+        targetRepayRatio: 200,
+        targetBoostRatio: 220,
+        boostEnabled: true,
+    };
+    const noCosts = {
+        gasPriceGwei: 0, swapFeeDivider: 0, dfsFeeDivider: 0, slippage: 0,
+    };
+
+    const toSeries = (prices) => prices.map((price, i) => ({ timestamp: i * 3600, price }));
+
+    it('... should repay to the target ratio when the ratio drops under min', () => {
+        // 10 * 1700 / 10000 = 170%
+        const result = backtest('mcd', position, params, toSeries([2000, 1700]), noCosts);
+
+        expect(result.repays).to.be.eq(1);
+        expect(result.boosts).to.be.eq(0);
+        expect(result.ratio).to.be.closeTo(200, 1e-9);
+    });
+
+    it('... should boost to the target ratio when the ratio goes over max', () => {
+        const result = backtest('mcd', position, params, toSeries([2000, 2600]), noCosts);
+
+        expect(result.boosts).to.be.eq(1);
+        expect(result.ratio).to.be.closeTo(220, 1e-9);
+    });
+
+    it('... should still land on the target ratio after fees', () => {
+        const result = backtest('aaveV3', {
+            coll: 10, debt: 10000, ltv: 0.8, liquidationThreshold: 0.85,
+        }, params, toSeries([2500, 2200]), { gasPriceGwei: 30, ethPrice: 2000 });
+
+        expect(result.repays).to.be.eq(1);
+        expect(result.gasFees).to.be.closeTo(getGasFee(1_200_000, 30, 2000, Infinity, 0), 1e-9);
+        expect(result.swapFees).to.be.gt(0);
+        expect(result.ratio).to.be.closeTo(200, 1e-9);
+    });
+
+    it('... should count a liquidation when the price gaps past the min ratio', () => {
+        const result = backtest('mcd', position, params, toSeries([2000, 1400, 2000]), noCosts);
+
+        expect(result.repays).to.be.eq(0);
+        expect(result.liquidatedAt).to.be.eq(3600);
+    });
+
+    it('... should sort liquidated param sets last', () => {
+        const results = compareParamSets('mcd', position, [
+            { ...params, minRatio: 155, targetRepayRatio: 160 },
+            params,
+        ], toSeries([2000, 1580, 1480]), noCosts);
+
+        expect(results[0].params.minRatio).to.be.eq(180);
+        expect(results[1].liquidatedAt).to.be.eq(7200);
+    });
+
+    it('... should fail when min ratio is under the liquidation ratio', () => {
+        expect(() => backtest('mcd', position, { ...params, minRatio: 140 }, toSeries([2000])))
+            .to.throw('must be above the liquidation ratio');
+    });
+});
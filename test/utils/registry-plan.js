@@ -0,0 +1,96 @@
+/* eslint-disable max-len */
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { planRegistryChanges } = require('../../scripts/utils/registry-plan');
+
+describe('Registry change plan', () => {
+    const registryAddr = '0x287778F121F134C66212FB16c9b53eC991D32f5b';
+    const timestamp = 1700000000;
+    const addr = (n) => hre.ethers.utils.getAddress(hre.ethers.utils.hexZeroPad(`0x${n}`, 20));
+
+    const registryInterface = new hre.ethers.utils.Interface([
+        'function addNewContract(bytes4 _id, address _contractAddr, uint256 _waitPeriod)',
+        'function startContractChange(bytes4 _id, address _newContractAddr)',
+        'function approveContractChange(bytes4 _id)',
+    ]);
+
+    const entry = (fields) => ({
+        contractAddr: addr(1),
+        waitPeriod: 0,
+        changeStartTime: 0,
+        inContractChange: false,
+        inWaitPeriodChange: false,
+        exists: true,
+        ...fields,
+    });
+
+    // registry entries by id, only what planRegistryChanges reads
+    const entries = {
+        '0x00000001': entry({ exists: false, contractAddr: hre.ethers.constants.AddressZero }),
+        '0x00000002': entry({ waitPeriod: 3600 }),
+        '0x00000003': entry({ waitPeriod: 0 }),
+        '0x00000004': entry({ waitPeriod: 3600, inContractChange: true, changeStartTime: timestamp - 600 }),
+        '0x00000005': entry({ waitPeriod: 3600, inContractChange: true, changeStartTime: timestamp - 7200 }),
+        '0x00000006': entry({ waitPeriod: 0, inWaitPeriodChange: true }),
+        '0x00000007': entry({}),
+    };
+    const registry = {
+        interface: registryInterface,
+        entries: async (id) => entries[id],
+        pendingAddresses: async () => addr(2),
+    };
+
+    const changes = Object.keys(entries).map((id, i) => ({
+        id, name: `Contract${i + 1}`, addr: id === '0x00000007' ? addr(1) : addr(2), waitTime: 0,
+    }));
+
+    let result;
+
+    before(async () => {
+        result = await planRegistryChanges({
+            registry,
+            registryAddr,
+            changes,
+            localEntries: [{ id: '0x00000001', address: addr(3) }, { id: '0x00000007', address: addr(3) }],
+            timestamp,
+        });
+    });
+
+    const getTxs = (id) => result.txs.filter(({ data }) => data.slice(10, 18) === id.slice(2));
+    const getCalls = (id) => getTxs(id).map(({ data }) => registryInterface.parseTransaction({ data }).name);
+
+    it('... should add new entries without flagging the local file', () => {
+        expect(result.plan.newEntries.map(({ id }) => id)).to.be.deep.eq(['0x00000001']);
+        expect(result.plan.newEntries[0].localOutOfSync).to.be.eq(false);
+        expect(getCalls('0x00000001')).to.be.deep.eq(['addNewContract']);
+        expect(getTxs('0x00000001')[0].to).to.be.eq(registryAddr);
+    });
+
+    it('... should start swaps and approve them in the same batch without a wait period', () => {
+        expect(result.plan.swaps.map(({ id }) => id)).to.include.members(['0x00000002', '0x00000003']);
+        expect(getCalls('0x00000002')).to.be.deep.eq(['startContractChange']);
+        expect(getCalls('0x00000003')).to.be.deep.eq(['startContractChange', 'approveContractChange']);
+    });
+
+    it('... should only approve pending changes once the wait period passed', () => {
+        const [pending, ready] = result.plan.pending;
+
+        expect(pending.timeLeft).to.be.eq(3000);
+        expect(getCalls('0x00000004')).to.be.deep.eq([]);
+        expect(ready.timeLeft).to.be.eq(0);
+        expect(getCalls('0x00000005')).to.be.deep.eq(['approveContractChange']);
+    });
+
+    it('... should list blocked swaps without adding their transactions', () => {
+        const blocked = result.plan.swaps.find(({ id }) => id === '0x00000006');
+
+        expect(blocked.inWaitPeriodChange).to.be.eq(true);
+        expect(getTxs('0x00000006')).to.be.deep.eq([]);
+    });
+
+    it('... should flag unchanged entries out of sync with the local file', () => {
+        expect(result.plan.unchanged.map(({ id, localOutOfSync }) => [id, localOutOfSync])).to.be.deep.eq([['0x00000007', true]]);
+        expect(result.txs.length).to.be.eq(5);
+    });
+});
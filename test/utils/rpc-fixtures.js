@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+const axios = require('axios');
+
+const { useFixtureSet, getFixturePrices } = require('../../scripts/utils/rpc-fixtures');
+
+describe('Rpc fixtures', () => {
+    // test/fixtures/rpc/replay-test-1.json is recorded from a stub node, replayed without one
+    const account = '0x0000000000000000000000000000000000000001';
+    const fixtureMode = process.env.RPC_FIXTURES;
+
+    let url;
+
+    const send = async (payload) => (await axios.post(url, payload)).data;
+
+    before(() => {
+        process.env.RPC_FIXTURES = 'replay';
+
+        ({ url } = useFixtureSet('replay-test', 1));
+    });
+
+    after(() => {
+        if (fixtureMode === undefined) {
+            delete process.env.RPC_FIXTURES;
+        } else {
+            process.env.RPC_FIXTURES = fixtureMode;
+        }
+    });
+
+    it('... should replay the recorded reads without an upstream node', async () => {
+        const balance = await send({
+            jsonrpc: '2.0', id: 7, method: 'eth_getBalance', params: [account, '0x1'],
+        });
+
+        expect(balance).to.be.deep.eq({ jsonrpc: '2.0', id: 7, result: '0xde0b6b3a7640000' });
+        expect(getFixturePrices().ethereum.usd).to.be.gt(0);
+    });
+
+    it('... should replay batch requests', async () => {
+        const [chainId, code] = await send([
+            {
+                jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [],
+            },
+            {
+                jsonrpc: '2.0', id: 2, method: 'eth_getCode', params: [account, '0x1'],
+            },
+        ]);
+
+        expect(chainId.result).to.be.eq('0x7a69');
+        expect(code.result).to.be.eq('0x6080');
+    });
+
+    it('... should fail on a read that was not recorded', async () => {
+        const response = await send({
+            jsonrpc: '2.0', id: 1, method: 'eth_getBalance', params: [account, '0x2'],
+        });
+
+        expect(response.error.message).to.contain('No rpc fixture for eth_getBalance');
+    });
+
+    it('... should return a parse error for a malformed request', async () => {
+        const response = await send('{"jsonrpc":');
+
+        expect(response).to.be.deep.eq({
+            jsonrpc: '2.0', id: null, error: { code: -32700, message: response.error.message },
+        });
+        expect(response.error.message).to.contain('Parse error');
+    });
+
+    it('... should fail to replay a set that was never recorded', () => {
+        expect(() => useFixtureSet('replay-test', 2)).to.throw('No rpc fixtures replay-test-2');
+    });
+});
@@ -0,0 +1,70 @@
+/* eslint-disable no-template-curly-in-string */
+const { expect } = require('chai');
+
+const { runScenario } = require('../../scripts/utils/scenario');
+
+describe('Forkooor scenario runner', () => {
+    const positions = [{
+        protocol: 'Maker', market: 'ETH-A', id: '31', ratio: 210, liquidationPrice: 1200,
+    }];
+
+    const run = (steps, opts = {}) => {
+        const commands = [];
+        const summary = runScenario({ name: 'test', vars: {}, steps }, {
+            runCommand: async (args) => {
+                commands.push(args);
+                return args[0] === 'open-vault' ? 'Vault #31 created' : 'Repay sub id: 7';
+            },
+            getPositions: async () => ({ positions, errors: {} }),
+            vars: { proxy: '0xproxy' },
+            ...opts,
+        });
+
+        return summary.then((result) => ({ ...result, commands }));
+    };
+
+    it('... should substitute captured variables into later steps', async () => {
+        const result = await run([
+            { run: 'open-vault ETH-A 10 10000 ${proxy}', capture: { vaultId: 'Vault #(\\d+)' } },
+            { run: ['mcd-sub', '${vaultId}', 180], capture: { subId: 'sub id: (\\d+)' } },
+        ]);
+
+        expect(result.passed).to.be.eq(true);
+        expect(result.commands[0][4]).to.be.eq('0xproxy');
+        expect(result.commands[1]).to.be.deep.eq(['mcd-sub', '31', '180']);
+        expect(result.vars.subId).to.be.eq('7');
+    });
+
+    it('... should keep quoted args of a run string together', async () => {
+        const result = await run([
+            { run: 'open-vault "ETH-A" 10 --note "first vault" --label=\'a b\'' },
+            { run: 'open-vault "ETH-A 10' },
+        ]);
+
+        expect(result.commands[0]).to.be.deep.eq(['open-vault', 'ETH-A', '10', '--note', 'first vault', '--label=a b']);
+        expect(result.steps[1].status).to.be.eq('error');
+        expect(result.commands.length).to.be.eq(1);
+    });
+
+    it('... should report failed position assertions and keep going', async () => {
+        const result = await run([
+            { assert: { wallet: '${proxy}', protocol: 'Maker', ratio: { gt: 220 } } },
+            { assert: { wallet: '${proxy}', protocol: 'Maker', liquidationPrice: { lte: 1200 } } },
+        ]);
+
+        expect(result.passed).to.be.eq(false);
+        expect(result.steps.map(({ status }) => status)).to.be.deep.eq(['failed', 'ok']);
+        expect(result.steps[0].failures[0]).to.be.eq('ratio 210 is not gt 220');
+    });
+
+    it('... should stop at an unknown variable', async () => {
+        const result = await run([
+            { run: 'mcd-sub ${vaultId}' },
+            { run: 'open-vault ETH-A 10 10000' },
+        ]);
+
+        expect(result.steps[0].status).to.be.eq('error');
+        expect(result.skipped).to.be.eq(1);
+        expect(result.commands.length).to.be.eq(0);
+    });
+});
@@ -0,0 +1,77 @@
+const { expect } = require('chai');
+const dfs = require('@defisaver/sdk');
+const hre = require('hardhat');
+
+const {
+    generateIds,
+    formatExchangeObj,
+    nullAddress,
+    WETH_ADDRESS,
+    DAI_ADDR,
+    UNISWAP_WRAPPER,
+} = require('../utils');
+
+const { MCD_MANAGER_ADDR } = require('../utils-mcd');
+
+const {
+    loadStrategyDefinition,
+    compileStrategyDefinition,
+} = require('../../scripts/utils/strategy-compiler');
+
+const { buildStrategyExecution } = require('../../scripts/utils/strategy-call-builder');
+
+describe('Strategy call builder', () => {
+    const idsMap = generateIds();
+
+    const [name, triggerIds, actionIds, paramMapping] = compileStrategyDefinition(
+        loadStrategyDefinition('McdRepayStrategy'),
+    );
+    const strategy = {
+        name, triggerIds, actionIds, paramMapping,
+    };
+
+    const repayAmount = hre.ethers.utils.parseUnits('1', 18).toString();
+    const joinAddr = '0x2F0b23f53734252Bda2277357e97e1517d6B042A';
+    const exchangeObj = formatExchangeObj(WETH_ADDRESS, DAI_ADDR, '0', UNISWAP_WRAPPER);
+
+    it('... should build McdRepayStrategy call data the same as the sdk actions', () => {
+        const { triggerCallData, actionsCallData } = buildStrategyExecution(strategy, {
+            triggerValues: { McdRatioTrigger: { nextPrice: '0', ratioCheck: '0' } },
+            actionValues: {
+                McdWithdraw: { amount: repayAmount, joinAddr, mcdManager: MCD_MANAGER_ADDR },
+                GasFeeTaker: { gasUsed: '1200000', feeToken: WETH_ADDRESS, dfsFeeDivider: '2000' },
+                DFSSell: { exchangeData: exchangeObj },
+                McdPayback: { mcdManager: MCD_MANAGER_ADDR },
+                McdRatioCheck: { ratioState: '1', checkTarget: false, startRatioIndex: '0' },
+            },
+        }, idsMap);
+
+        const sdkActions = [
+            new dfs.actions.maker.MakerRatioAction('0'),
+            new dfs.actions.maker.MakerWithdrawAction('0', repayAmount, joinAddr, nullAddress, MCD_MANAGER_ADDR),
+            new dfs.actions.basic.GasFeeAction('1200000', WETH_ADDRESS, '0', '2000'),
+            new dfs.actions.basic.SellAction(exchangeObj, nullAddress, nullAddress),
+            new dfs.actions.maker.MakerPaybackAction('0', '0', nullAddress, MCD_MANAGER_ADDR),
+            new dfs.actions.checkers.MakerRatioCheckAction('1', false, '0', '0', '0'),
+        ];
+
+        expect(triggerCallData).to.deep.equal([
+            hre.ethers.utils.defaultAbiCoder.encode(['uint256', 'uint8'], ['0', '0']),
+        ]);
+        expect(actionsCallData).to.deep.equal(
+            sdkActions.map((action) => action.encodeForRecipe()[0]),
+        );
+    });
+
+    it('... should fail when setting a param that is injected from the sub', () => {
+        expect(() => buildStrategyExecution(strategy, {
+            actionValues: { McdWithdraw: { vaultId: '1' } },
+        }, idsMap)).to.throw('vaultId is injected');
+    });
+
+    it('... should fail on an unknown param', () => {
+        expect(() => buildStrategyExecution(strategy, {
+            actionValues: { GasFeeTaker: { gasCost: '1200000' } },
+        }, idsMap)).to.throw('unknown param gasCost');
+    });
+});
@@ -0,0 +1,278 @@
+/* eslint-disable max-len */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const hre = require('hardhat');
+const { expect } = require('chai');
+
+const {
+    createUniV3RangeOrderStrategy,
+    createRepayStrategy,
+    createFLRepayStrategy,
+    createYearnRepayStrategy,
+    createYearnRepayStrategyWithExchange,
+    createReflexerRepayStrategy,
+    createReflexerFLRepayStrategy,
+    createReflexerFLBoostStrategy,
+    createReflexerBoostStrategy,
+    createMcdCloseToDaiStrategy,
+    createLiquityRepayStrategy,
+    createLiquityFLRepayStrategy,
+    createLiquityFLBoostStrategy,
+    createLiquityFLBoostWithCollStrategy,
+    createLiquityBoostStrategy,
+    createLiquityCloseToCollStrategy,
+    createLimitOrderStrategy,
+    createDCAStrategy,
+    createContinuousUniV3CollectStrategy,
+    createMcdBoostStrategy,
+    createFlMcdBoostStrategy,
+    createMcdCloseToCollStrategy,
+    createMcdRepayCompositeStrategy,
+    createMcdFLRepayCompositeStrategy,
+    createMcdBoostCompositeStrategy,
+    createMcdFLBoostCompositeStrategy,
+    createCompV3RepayStrategy,
+    createCompV3EOARepayStrategy,
+    createFlCompV3RepayStrategy,
+    createFlCompV3EOARepayStrategy,
+    createCompV3BoostStrategy,
+    createCompV3EOABoostStrategy,
+    createCompV3FlBoostStrategy,
+    createCbRebondStrategy,
+    createCompV3EOAFlBoostStrategy,
+    createLiquityPaybackChickenInStrategy,
+    createLiquityPaybackChickenOutStrategy,
+    createMorphoAaveV2FLBoostStrategy,
+    createMorphoAaveV2BoostStrategy,
+    createMorphoAaveV2FLRepayStrategy,
+    createMorphoAaveV2RepayStrategy,
+    createAaveV3BoostStrategy,
+    createAaveFLV3BoostStrategy,
+    createAaveV3RepayStrategy,
+    createAaveFLV3RepayStrategy,
+    createAaveV3CloseToDebtStrategy,
+    createAaveV3CloseToDebtWithMaximumGasPriceStrategy,
+    createAaveV3FLCloseToDebtStrategy,
+    createAaveV3FLCloseToDebtWithMaximumGasPriceStrategy,
+    createAaveV3CloseToCollStrategy,
+    createAaveV3CloseToCollWithMaximumGasPriceStrategy,
+    createAaveV3FLCloseToCollStrategy,
+    createAaveV3FLCloseToCollWithMaximumGasPriceStrategy,
+    createAaveV2RepayStrategy,
+    createAaveFLV2RepayStrategy,
+    createAaveV2BoostStrategy,
+    createAaveFLV2BoostStrategy,
+    createCompV2RepayStrategy,
+    createCompFLV2RepayStrategy,
+    createCompV2BoostStrategy,
+    createCompFLV2BoostStrategy,
+    createSparkBoostStrategy,
+    createSparkFLBoostStrategy,
+    createSparkRepayStrategy,
+    createSparkFLRepayStrategy,
+    createSparkCloseToDebtStrategy,
+    createSparkFLCloseToDebtStrategy,
+    createSparkCloseToCollStrategy,
+    createSparkFLCloseToCollStrategy,
+    createLiquityDsrPaybackStrategy,
+    createLiquityDsrSupplyStrategy,
+    createLiquityDebtInFrontRepayStrategy,
+    createCurveUsdAdvancedRepayStrategy,
+    createCurveUsdRepayStrategy,
+    createCurveUsdFLRepayStrategy,
+    createCurveUsdBoostStrategy,
+    createCurveUsdFLCollBoostStrategy,
+    createCurveUsdFLDebtBoostStrategy,
+    createCurveUsdPaybackStrategy,
+    createMorphoBlueBoostStrategy,
+    createMorphoBlueFLDebtBoostStrategy,
+    createMorphoBlueFLCollBoostStrategy,
+    createMorphoBlueRepayStrategy,
+    createMorphoBlueFLCollRepayStrategy,
+    createMorphoBlueFLDebtRepayStrategy,
+    createAaveV3OpenOrderFromCollStrategy,
+    createAaveV3FLOpenOrderFromCollStrategy,
+    createAaveV3FLOpenOrderFromDebtStrategy,
+} = require('../strategies');
+
+const {
+    createAaveV3RepayL2Strategy,
+    createAaveFLV3RepayL2Strategy,
+    createAaveV3BoostL2Strategy,
+    createAaveFLV3BoostL2Strategy,
+    createAaveV3CloseToDebtL2Strategy,
+    createAaveV3FLCloseToDebtL2Strategy,
+    createAaveV3CloseToCollL2Strategy,
+    createAaveV3FLCloseToCollL2Strategy,
+    createDCAL2Strategy,
+    createCompV3RepayL2Strategy,
+    createCompV3FLRepayL2Strategy,
+    createCompV3BoostL2Strategy,
+    createCompV3FLBoostL2Strategy,
+    createAaveV3OpenOrderFromCollL2Strategy,
+    createAaveV3FLOpenOrderFromCollL2Strategy,
+    createAaveV3FLOpenOrderFromDebtL2Strategy,
+} = require('../l2-strategies');
+
+const {
+    loadStrategyDefinition,
+    getStrategyDefinitions,
+    compileStrategyDefinition,
+} = require('../../scripts/utils/strategy-compiler');
+
+describe('Strategy definitions', () => {
+    // [definition name, create function, hash of what the create function built before it compiled the
+    // definition, isTrailing], createLimitOrderL2Strategy isn't converted as LimitSellActionL2 isn't in @defisaver/sdk
+    const definitions = [
+        ['UniV3RangeOrderStrategy', createUniV3RangeOrderStrategy, '0x5207a0cd804d0d8d5f101f8c0574fcbce275b81cd536c88853f1215a4c5bc15d'],
+        ['McdRepayStrategy', createRepayStrategy, '0x05ec214f6042433be96b09e05f99f9d132523497ccafe2185a98881b1acd9491'],
+        ['MakerFLRepayStrategy', createFLRepayStrategy, '0x1714a46712ea5999f38e6bf7ca7c9404fc31bcd374dd3c996737a4a50c36e2fc'],
+        ['McdYearnRepayStrategy', createYearnRepayStrategy, '0x08fab9b8129f0ca7c549c02eed318db22c838b5441e684dd55ddc314d648af8a'],
+        ['McdYearnRepayWithExchangeStrategy', createYearnRepayStrategyWithExchange, '0xcbc1af450fe25b7541e6bd0f304fa25f6544c6567ebd140a54e3ca6dfd33ecfd'],
+        ['ReflexerRepayStrategy', createReflexerRepayStrategy, '0x5adeaef2d8c7d5e1bb08755b864968e6892fc102b11ad68a269d5ec4520bd04b'],
+        ['ReflexerFLRepayStrategy', createReflexerFLRepayStrategy, '0x0a1b49aea165aa134cec8cf6bf1a5ce716d99493a82606ea18d292749fc7f428'],
+        ['ReflexerFLBoostStrategy', createReflexerFLBoostStrategy, '0x8b214e6aa3a655d8347f08ea299e72691acb1e9d9fe094147248f25151f16541'],
+        ['ReflexerBoostStrategy', createReflexerBoostStrategy, '0xaa27eced028711f8116e9d5db15ce800f3789b828d79305e04d7f569959a85e5'],
+        ['McdCloseToDaiStrategy', createMcdCloseToDaiStrategy, '0x6f39b0d06321961dad4193252e2df396ce41e686fcd35c9e9f589fca41f8c9d7'],
+        ['McdTrailingCloseToDaiStrategy', createMcdCloseToDaiStrategy, '0x345d1ec8882d47bac5ca9083e203ecc460f46515e0a2bd17a95a6e582834403c', true],
+        ['LiquityRepayStrategy', createLiquityRepayStrategy, '0x7e518c274ad3dcc72a2db73c133625f382ad8613c46416671407c8b8e28512c1'],
+        ['LiquityFLRepayStrategy', createLiquityFLRepayStrategy, '0xaea97295d38d46680c1fccc80fcd817e984432afc959e05272b9b462b2308d0b'],
+        ['LiquityFLBoostStrategy', createLiquityFLBoostStrategy, '0x70989a37f491dc53f02b1aa16b1ce56aa289f30ab8392555470e9a936371771f'],
+        ['LiquityFLBoostWithCollStrategy', createLiquityFLBoostWithCollStrategy, '0xf80408def7e048896a48bedec6e03e6f36850aa82cf4d789a3737e60de14ebed'],
+        ['LiquityBoostStrategy', createLiquityBoostStrategy, '0x739b1be7e3b3834aac8f3047490e1f7207087438950cc9ce07e6188ba27ada27'],
+        ['LiquityCloseToCollStrategy', createLiquityCloseToCollStrategy, '0x48fddae31625adeea814e7655830f71794e16b5ed520253339e9117a1ff4ed9a'],
+        ['LiquityTrailingCloseToCollStrategy', createLiquityCloseToCollStrategy, '0xb9379176510b5c6c030d6dc2d84c4d617cfb41f62675ce87c219f763dd9b0d40', true],
+        ['LimitOrderStrategy', createLimitOrderStrategy, '0x1486a951b7cd4dc093897a645444df381eaaa21a3525ef293375e829974620cc'],
+        ['DCAStrategy', createDCAStrategy, '0x9d823b6e1090818e5c206b7d7f54256161a7c460025bf777c79b9a82ca52be63'],
+        ['Continuous-UniV3-Collect-Strategy', createContinuousUniV3CollectStrategy, '0x24883ca944c409886ae04770d2afcd23397481757df1d327b3eb6b7d2e2f83c2'],
+        ['MakerBoostStrategy', createMcdBoostStrategy, '0xc2925a2b605ffad677c95a9dc8cce4005764b7f5e69b8d20d9dd5d5fc5bbdd87'],
+        ['MakerFLBoostStrategy', createFlMcdBoostStrategy, '0x3d56f3bfe523b35e4fde989446ecdf86bfc7ca3671094f5404e8ddfebbe723f5'],
+        ['McdCloseToCollStrategy', createMcdCloseToCollStrategy, '0x2f2780f41e792e3aee61eb92b061daaa2a896c65584908c3bb56ae8bcdd24bb9'],
+        ['McdTrailingCloseToCollStrategy', createMcdCloseToCollStrategy, '0xc9f7cc86f20d05eba65f7b8856c63bf89edd794ce97c98b842897f0ed9879060', true],
+        ['MakerRepayCompositeStrategy', createMcdRepayCompositeStrategy, '0xb46008c8873d5b921d1cbcac3f5a64c39f1f86b22e3e63c0d9185bcb3f8b3921'],
+        ['MakerFLRepayCompositeStrategy', createMcdFLRepayCompositeStrategy, '0x1d959b171b1475c79137bde06717621082cd2ad67e763dd6ad35bac4939caf64'],
+        ['MakerBoostCompositeStrategy', createMcdBoostCompositeStrategy, '0x16982e1aa1608e17bdbe530787d44ab1612f0647daf8639b52ad88993e3545aa'],
+        ['MakerFLBoostCompositeStrategy', createMcdFLBoostCompositeStrategy, '0x00db098c326ce481ee5580df03fd1f1f81d553a13dcfb98753ff24f43b074aab'],
+        ['CompV3RepayStrategy', createCompV3RepayStrategy, '0x85d983a636bc47e848c310c561c318d6bf7090507bc7258eb76125d5f05c08b9'],
+        ['CompV3EOARepayStrategy', createCompV3EOARepayStrategy, '0x4b28647da2f5d7459fed5fe025e2c95cd0e50e88423e50e26e8094c3eb1ae10a'],
+        ['CompV3FlRepayStrategy', createFlCompV3RepayStrategy, '0xcac109faaa7367f277f76a1288bb196de4392b51ab70b53526067784ef5bbc34'],
+        ['CompV3FlEOARepayStrategy', createFlCompV3EOARepayStrategy, '0xc4107990040a93c232b1b8f74851fd3700c9d309147a1c1e3aed6d74865123d2'],
+        ['CompV3BoostStrategy', createCompV3BoostStrategy, '0xeba49c729483cf9ba358d39166810f0ad23546a2f717854796dfbd156b2cab60'],
+        ['CompV3EOABoostStrategy', createCompV3EOABoostStrategy, '0x42402bbbe1005e92e60829f72e1dfa8c824dacfb65201e8d2af0368f1842e00e'],
+        ['CompV3FlBoostStrategy', createCompV3FlBoostStrategy, '0xe3a712f341d103935ccd2d18c396982a288f1658183c8fa6f432fee5abf67e44'],
+        ['CBRebondStrategy', createCbRebondStrategy, '0x4bf15a01c77290983795358cfd1444d8388850780991adb5bccef53a8af7ef87'],
+        ['CompV3EOAFlBoostStrategy', createCompV3EOAFlBoostStrategy, '0x6b2b38a1c9655545c43a2041f551801918821badac023aa0c18a61e7d9c6fcc5'],
+        ['LiquityPaybackChickenInStrategy', createLiquityPaybackChickenInStrategy, '0x9dc668b821affc94b242fb6aae62263e5cbdf6f0aff6f3f66fc67edd9165d4c9'],
+        ['LiquityPaybackChickenOutStrategy', createLiquityPaybackChickenOutStrategy, '0x8e299549478dfa971646a886da505883b2892e82b02c42e41dcc00b2f5a2b7f4'],
+        ['MorphoAaveV2FLBoostStrategy', createMorphoAaveV2FLBoostStrategy, '0x72984c7818fb1b81a56f7d84fcbe0dee512de7703f50ab762c1619c6876b02cf'],
+        ['MorphoAaveV2BoostStrategy', createMorphoAaveV2BoostStrategy, '0xef33e15db6659a6d4101a4fb467d8e470c660f1271ff3d41e7fbcc76656e19ee'],
+        ['MorphoAaveV2FLRepayStrategy', createMorphoAaveV2FLRepayStrategy, '0xf6533dbfee9d65b8aaae7b444f989403456b3e8f788406c0807e1f2a65c30a73'],
+        ['MorphoAaveV2RepayStrategy', createMorphoAaveV2RepayStrategy, '0x9beb77d680f77b8b79c8dbda03971b2f96113dda5f49ba226656f612aa1831ac'],
+        ['AaveV3Boost', createAaveV3BoostStrategy, '0x7c5e4d16b4a6405ca90fccbdf5348f2d37b7b9c2b0f144d20ff0ccd1e03e2bec'],
+        ['AaveFLV3Boost', createAaveFLV3BoostStrategy, '0x13eb46f5b3a9a9aff0700fa128ab8a816e48663dae328ac1bd0569fa4989c58e'],
+        ['AaveV3Repay', createAaveV3RepayStrategy, '0xad497f660d6d14100b47499351506da7b43086ef8b5fdbd466e3ea7c7fa08813'],
+        ['AaveFLV3Repay', createAaveFLV3RepayStrategy, '0x649bb3dde85e39d22454b8d98911b64023761f0c916ca355d4ee2e41590902c4'],
+        ['AaveV3CloseToDebt', createAaveV3CloseToDebtStrategy, '0x1fa53962ab04dc94d960553b081ba8b3f8342728d615415aafae09683e0999dd'],
+        ['AaveV3CloseToDebtWithMaximumGasPrice', createAaveV3CloseToDebtWithMaximumGasPriceStrategy, '0x93a7d60d8a08300d998bbcf3f0a19b3da399261c11f37bdc577d05c0ff00e586'],
+        ['AaveV3FLCloseToDebt', createAaveV3FLCloseToDebtStrategy, '0x924dca2d92b0cb84359814bff176a6083b1d7c626d86e6b09e98edfa3c1f0e51'],
+        ['AaveV3FLCloseToDebtWithMaximumGasPrice', createAaveV3FLCloseToDebtWithMaximumGasPriceStrategy, '0xc93bf89e29949d8c4720c0c06d4628de42fac63be43922cb6deb5478e49f2e13'],
+        ['AaveV3CloseToColl', createAaveV3CloseToCollStrategy, '0x057701de9824454d1f7783c7978a65c0bd78201cc8962c2fb019f7d6944d3f36'],
+        ['AaveV3CloseToCollWithMaximumGasPrice', createAaveV3CloseToCollWithMaximumGasPriceStrategy, '0x9e12c4903d2dd16030574904888699a4614dd793130c9ec2860c5c99bea1b429'],
+        ['AaveV3FLCloseToColl', createAaveV3FLCloseToCollStrategy, '0x9445b34525e18790652954fd4eb50ed82f49b3d8e9a8bf479ec4f298f4f50352'],
+        ['AaveV3FLCloseToCollWithMaximumGasPrice', createAaveV3FLCloseToCollWithMaximumGasPriceStrategy, '0xfbf0c18cf20602f51854c3a06bc9e9bf91c181f2d287ba135d46c483441451f3'],
+        ['AaveV2Repay', createAaveV2RepayStrategy, '0xd1fd4087acd3732ef2d2ce32c140955041f2cae445acdaeaec03f4c95993bc3c'],
+        ['AaveFLV2Repay', createAaveFLV2RepayStrategy, '0xe29e346726a8220715299ca14dfe66ab07aa1aa692ae671b3573d745f0ba4df9'],
+        ['AaveV2Boost', createAaveV2BoostStrategy, '0xb41f43e57378f7f999c16c136a0ae2282e8eec25d33b7ce96b546385f203bb06'],
+        ['AaveFLV2Boost', createAaveFLV2BoostStrategy, '0x84e7e38d555e689485ca49f46f050624180a62d9d3de2a638b34150e05216ac7'],
+        ['CompV2Repay', createCompV2RepayStrategy, '0xa367e701653dba3f897892ba0e66a729720ecbba13dd8c18243552282978ba00'],
+        ['CompFLV2Repay', createCompFLV2RepayStrategy, '0x869150a026aca6013e7f9336ea50d88611ed08fb32b66f2da64040e488383f80'],
+        ['CompV2Boost', createCompV2BoostStrategy, '0x64c87a73da5ffabe92cfb4ee1eb3931b287c4523f19fae9d184a6ac9cf23d28b'],
+        ['CompFLV2Boost', createCompFLV2BoostStrategy, '0xe4a3098fe6b863992f00294b8bbdb2fdb5f5469e11aa1efb0735164d1a7b4737'],
+        ['SparkBoost', createSparkBoostStrategy, '0x5f953eb0e83c18b2dcab9a286d5e4098f8243e52f8ee50d9acde6132b527e3c6'],
+        ['SparkFLBoost', createSparkFLBoostStrategy, '0xf2f05d2712c785c9827d8cd1a626dbf37f3660392c0a285585095ff06258c7df'],
+        ['SparkRepay', createSparkRepayStrategy, '0xcfb5b38219760f9899b6f294209593dd8a1621e239bdb3e11e6932b388cad8f1'],
+        ['SparkFLRepay', createSparkFLRepayStrategy, '0xd5790502e6f8c4099dd3e85dc14195136f2cc77d719fdd41f50d8fa56970f5c8'],
+        ['SparkCloseToDebt', createSparkCloseToDebtStrategy, '0x0b58bf1190ac0e3b2686041f1bedf0d78666fc2dbd5b4c3114ac16cace387a8c'],
+        ['SparkFLCloseToDebt', createSparkFLCloseToDebtStrategy, '0x5da908de095376294f8014c7a775f68d033e8b5dfcf3942373bbca3fbfd69121'],
+        ['SparkCloseToColl', createSparkCloseToCollStrategy, '0x71fcd141dc10210666031ca12d6caf2e888aa671d4fe67a2bbd2b020fc5f18bd'],
+        ['SparkFLCloseToColl', createSparkFLCloseToCollStrategy, '0x1fda1ce725cd5097e666ce9ac6032d448503040e4215df7d472156324b7f4342'],
+        ['LiquityDsrPayback', createLiquityDsrPaybackStrategy, '0x0ceadf587c961bcc6b78382760c7cf0c38adce610e25c3e71484f62de8c4266d'],
+        ['LiquityDsrSupply', createLiquityDsrSupplyStrategy, '0x177b9c87dc5be4a0c15a37ed96069e79df84632469e3f6c1339b613d8b4778e4'],
+        ['LiquityDebtInFrontRepayStrategy', createLiquityDebtInFrontRepayStrategy, '0xfe257e043e34a2d50c352a4a2363ceca9e122b4760f6a19c99d60a596ee989b0'],
+        ['CurveUsdAdvancedRepayStrategy', createCurveUsdAdvancedRepayStrategy, '0xecfaaa53d5936b6c0c488a15e7553bebc3d43bfd38d51afbdb3c7ce8d6c79c5c'],
+        ['CurveUsdRepayStrategy', createCurveUsdRepayStrategy, '0xad3fb20a252b09ddac68bbe371cfbb72a63c17c41cfd8c473e1b6257bfb924a9'],
+        ['CurveUsdFLRepayStrategy', createCurveUsdFLRepayStrategy, '0x6c69d6538177bc848b9d0900cf9fc783b7c5770bc7c2d95967a561044dff2f53'],
+        ['CurveUsdBoostStrategy', createCurveUsdBoostStrategy, '0x5c3095a68b141efcbb22fce639376599f9131a65c99c36d43794280adbd0895c'],
+        ['CurveUsdFLCollBoostStrategy', createCurveUsdFLCollBoostStrategy, '0x2585b9f80b756adfc74815c5ac33c1ca40592ca59549d7e0051438971177e022'],
+        ['CurveUsdFLDebtBoostStrategy', createCurveUsdFLDebtBoostStrategy, '0x7d2d5db82587341fbe93893f37b2548ded30f2726c85db65e90a5fd9959ce0db'],
+        ['CurveUsdPaybackStrategy', createCurveUsdPaybackStrategy, '0xaffd3c68ce4ba1c266a19ba455fe135ef5de53be86f37bb086abdd5a99e2dfd9'],
+        ['MorphoBlueBoostStrategy', createMorphoBlueBoostStrategy, '0x0f3b9c08e2c1d89f3b64018f2942849e9c5e11f6f7c388ec95fb6541b1c9476a'],
+        ['MorphoBlueFLDebtBoostStrategy', createMorphoBlueFLDebtBoostStrategy, '0x78a52da909a22b7df5b51209c1ffc22219cd668414d9ded3c1b35df7db43aa49'],
+        ['MorphoBlueFLCollBoostStrategy', createMorphoBlueFLCollBoostStrategy, '0x402a50f14fc708219143e3cb95fc7cd82acdc4b85bcdce4ccc8a8da653b9dce0'],
+        ['MorphoBlueRepayStrategy', createMorphoBlueRepayStrategy, '0xfa89fdd352326c8063475bdc12c2bac90356565e618057933f4f9e8680df9b81'],
+        ['MorphoBlueFLCollRepayStrategy', createMorphoBlueFLCollRepayStrategy, '0x40560c426d4817797201934e1cc3d6ac768525c6497fcabfde03f455253e155f'],
+        ['MorphoBlueFLDebtRepayStrategy', createMorphoBlueFLDebtRepayStrategy, '0x9855c99e56d08db3737691451a5ec6c49992687bd1db83a8224c29a95b1328d9'],
+        ['AaveV3OpenOrderFromCollStrategy', createAaveV3OpenOrderFromCollStrategy, '0xddd266caca35cdd11fe07f7070087256162d38b5299a06e5a330ce2309331d9a'],
+        ['AaveV3FLOpenOrderFromCollStrategy', createAaveV3FLOpenOrderFromCollStrategy, '0x3fdc83d8b4a21dd25f5263c3c8b422e9f4726c9f7aeca37f94baeb54f11d9b9a'],
+        ['AaveV3FLOpenOrderFromDebtStrategy', createAaveV3FLOpenOrderFromDebtStrategy, '0x144f5d6ae62cb46156b74729a126e5f0ea24615fce186aa4ad0b15dd5ebb1f64'],
+        ['AaveV3RepayL2', createAaveV3RepayL2Strategy, '0xc40f4c517cdd1ee7077c70d4a7455b5a552f3f58bcd00cc8de794e2007c05c31'],
+        ['AaveFLV3RepayL2', createAaveFLV3RepayL2Strategy, '0xbee7023c39caa8ab3646e363a574c0992025fb94d67461e19abe87c34ffb4bbe'],
+        ['AaveV3BoostL2', createAaveV3BoostL2Strategy, '0x7d6a234eeb0b6fc4ee5273d6ad160eceedf536c6bf61c8e2d40da3daf46dfe80'],
+        ['AaveFLV3BoostL2', createAaveFLV3BoostL2Strategy, '0xea186a12033dfd7375b9b9dbaaadb5c3b8e9a76562a572e2a353a3bbe67c283a'],
+        ['AaveV3CloseToDebtL2', createAaveV3CloseToDebtL2Strategy, '0xb9967b18cb6971ec1e18db585998420265db3dd51df30b05b2f18ea5b423d661'],
+        ['AaveV3FLCloseToDebtL2', createAaveV3FLCloseToDebtL2Strategy, '0x5f4f4e9701a56fa52d9c7418214d87ba2dde5c0c80470c3fee68bcbdc438af64'],
+        ['AaveV3CloseToCollL2', createAaveV3CloseToCollL2Strategy, '0x874d4b8fc22cfcaf5ed862113103cc0bbef6becf1b7fcad1fb4f486693f8ced2'],
+        ['AaveV3FLCloseToCollL2', createAaveV3FLCloseToCollL2Strategy, '0x97fa2a6f4bbb00d6ee8e65b8d5d5929b7d718173fd90f5237c0f3c45e17dc5b2'],
+        ['DCAL2Strategy', createDCAL2Strategy, '0x66a7e4b72e12d56bdb4985e7ae85673f9b5f8195f4e92d3e2b291c5d3cfd1f3a'],
+        ['CompV3RepayL2', createCompV3RepayL2Strategy, '0xc9f34c5c2ba9b3b52d77bd44891721b9f9860e6527ad71c2904370d416c92503'],
+        ['CompV3FlRepayL2', createCompV3FLRepayL2Strategy, '0xa0e2f03227aba0fcbcada1fc0bb7a080bda52ca03257f0de4f671b0f18896f7e'],
+        ['CompV3BoostL2', createCompV3BoostL2Strategy, '0xf4401f47aeb08370daa44f5b46bc7d7861acfb4e5932b840697a2a940af73013'],
+        ['CompV3FlBoostL2', createCompV3FLBoostL2Strategy, '0xfbe8fb9d5fbdc104be162565e253e3f982d69c54982a4ac3d910f09f3174cbc2'],
+        ['AaveV3OpenOrderFromCollL2Strategy', createAaveV3OpenOrderFromCollL2Strategy, '0xfb81f01f4e6b04e9078a59b4d89c52f49d80d2110c35fe6b64f3272fd0bef5d1'],
+        ['AaveV3FLOpenOrderFromCollL2Strategy', createAaveV3FLOpenOrderFromCollL2Strategy, '0x12fc9e3846044be157b1f62e79813a02f58b7c69c951e55c8b935345de2c338d'],
+        ['AaveV3FLOpenOrderFromDebtL2Strategy', createAaveV3FLOpenOrderFromDebtL2Strategy, '0x6d5da75133a2df95b9871a7c7f3a1950688529d7fe1fd0d6cc537bc7e7800be1'],
+    ];
+
+    const hashStrategy = (strategy) => hre.ethers.utils.id(JSON.stringify(strategy));
+
+    definitions.forEach(([name, createStrategyFn, hash, isTrailing]) => {
+        it(`... should compile ${name} the same as ${createStrategyFn.name}`, () => {
+            const compiled = compileStrategyDefinition(loadStrategyDefinition(name));
+
+            expect(hashStrategy(compiled)).to.be.eq(hash);
+            expect(isTrailing ? createStrategyFn(true) : createStrategyFn()).to.deep.equal(compiled);
+        });
+    });
+
+    it('... should have a create function for every definition', () => {
+        const names = getStrategyDefinitions().map((definition) => definition.name);
+
+        expect(names).to.have.members(definitions.map(([name]) => name));
+    });
+
+    it('... should load a yaml definition the same as the json one', () => {
+        const definition = loadStrategyDefinition('McdRepayStrategy');
+        const yamlPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'strategy-')), 'McdRepayStrategy.yaml');
+
+        fs.writeFileSync(yamlPath, yaml.dump(definition));
+
+        expect(loadStrategyDefinition(yamlPath)).to.deep.equal(definition);
+        fs.rmSync(path.dirname(yamlPath), { recursive: true });
+    });
+
+    it('... should fail on a sub slot that is not declared', () => {
+        const definition = loadStrategyDefinition('McdRepayStrategy');
+        delete definition.subSlots['&daiAddr'];
+
+        expect(() => compileStrategyDefinition(definition)).to.throw('&daiAddr is not a declared sub slot');
+    });
+
+    it('... should fail on a return value of a later action', () => {
+        const definition = loadStrategyDefinition('McdRepayStrategy');
+        definition.actions[2].args[2] = '$3';
+
+        expect(() => compileStrategyDefinition(definition)).to.throw('$3 does not point to a previous action');
+    });
+});
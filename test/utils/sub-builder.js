@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const hre = require('hardhat');
+
+const { WETH_ADDRESS, DAI_ADDR } = require('../utils');
+const {
+    resolveSubTarget,
+    describeSubTarget,
+    parseAssignments,
+    buildStrategySub,
+    toAbiValue,
+} = require('../../scripts/utils/sub-builder');
+
+describe('Sub builder', () => {
+    const target = resolveSubTarget('LimitOrderStrategy', 'mainnet');
+    const description = describeSubTarget(target);
+
+    const slots = parseAssignments(['srcAddr=WETH', `destAddr=${DAI_ADDR}`, 'srcAmount=1.5e18']);
+    const triggers = parseAssignments(['limitPrice=2000e8', 'goodUntilTimestamp=1893456000', 'orderType=1']);
+
+    it('... should type slots by the action params that read them', () => {
+        expect(description.slots.map(({ name, abiType }) => `${abiType} ${name}`))
+            .to.be.deep.eq(['address srcAddr', 'address destAddr', 'uint256 srcAmount']);
+        expect(description.triggers[0].subParams.map(({ name }) => name))
+            .to.be.deep.eq(['limitPrice', 'goodUntilTimestamp', 'orderType']);
+    });
+
+    it('... should encode sub slots and trigger data by type', () => {
+        const [id, isBundle, triggerData, subData] = buildStrategySub(target, description, slots, triggers, 'mainnet');
+        const { defaultAbiCoder } = hre.ethers.utils;
+
+        expect(id).to.be.eq(51);
+        expect(isBundle).to.be.eq(false);
+        expect(subData[0]).to.be.eq(defaultAbiCoder.encode(['address'], [WETH_ADDRESS]));
+        expect(subData[2]).to.be.eq(defaultAbiCoder.encode(['uint256'], ['1500000000000000000']));
+        expect(triggerData[0]).to.be.eq(defaultAbiCoder.encode(['uint256', 'uint256', 'uint8'], ['200000000000', '1893456000', 1]));
+    });
+
+    it('... should fail on missing, unknown or invalid values', () => {
+        expect(() => buildStrategySub(target, description, { ...slots, srcAmount: undefined }, triggers, 'mainnet'))
+            .to.throw('Missing values for slot 2 srcAmount');
+        expect(() => buildStrategySub(target, description, { ...slots, amount: '1' }, triggers, 'mainnet'))
+            .to.throw('Unknown or ambiguous slot amount');
+        expect(() => buildStrategySub(target, description, slots, { ...triggers, orderType: '256' }, 'mainnet'))
+            .to.throw('is out of range for uint8');
+    });
+
+    it('... should only take bytesN values of the exact length', () => {
+        const value = '0x4554482d41000000000000000000000000000000000000000000000000000000';
+
+        expect(toAbiValue('bytes32', value, 'ilk')).to.be.eq(value);
+        expect(() => toAbiValue('bytes32', '0x4554482d41', 'ilk')).to.throw('ilk: 0x4554482d41 is not 32 bytes long for bytes32');
+        expect(() => toAbiValue('bytes32', 'ETH-A', 'ilk')).to.throw('is not hex for bytes32');
+    });
+
+    it('... should resolve every strategy of a bundle', () => {
+        const bundle = resolveSubTarget('bundle:8', 'mainnet');
+
+        expect(bundle.isBundle).to.be.eq(true);
+        expect(bundle.strategies.map(({ name }) => name)).to.be.deep.eq(['AaveV3Repay', 'AaveFLV3Repay']);
+    });
+});